@@ -0,0 +1,67 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { motion } from 'framer-motion';
+import { Loader, AlertCircle } from 'lucide-react';
+import LoginForm from '../../../components/LoginForm';
+import { useSession } from '../../../hooks/useSession';
+import { useAuth } from '../../../hooks/useAuth';
+
+// Invite link landing page: sign in if needed, redeem the token, then hand
+// the session over to the main page to join it
+export default function JoinPage({ params }) {
+  const router = useRouter();
+  const { user, ready, loading, login, register } = useAuth();
+  const { redeemInvite } = useSession();
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!user) return;
+
+    redeemInvite(params.token)
+      .then((session) => {
+        router.replace(`/?session=${session.id}`);
+      })
+      .catch((err) => setError(err.message));
+  }, [user, params.token, redeemInvite, router]);
+
+  if (!ready) return null;
+
+  return (
+    <main className="container mx-auto px-4 py-8">
+      {!user ? (
+        <LoginForm onLogin={login} onRegister={register} loading={loading} />
+      ) : (
+        <div className="max-w-md mx-auto">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="card text-center"
+          >
+            {error ? (
+              <>
+                <AlertCircle className="w-10 h-10 text-red-500 mx-auto mb-4" />
+                <h2 className="text-xl font-semibold text-gray-900 mb-2">
+                  Can&apos;t join this session
+                </h2>
+                <p className="text-gray-600 mb-6">{error}</p>
+                <button
+                  onClick={() => router.replace('/')}
+                  className="btn btn-primary"
+                >
+                  Go to sessions
+                </button>
+              </>
+            ) : (
+              <>
+                <Loader className="w-10 h-10 text-primary-600 animate-spin mx-auto mb-4" />
+                <p className="text-gray-600">Checking your invite…</p>
+              </>
+            )}
+          </motion.div>
+        </div>
+      )}
+    </main>
+  );
+}
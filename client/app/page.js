@@ -6,15 +6,43 @@ import toast from 'react-hot-toast';
 import ConversationInterface from '../components/ConversationInterface';
 import SessionManager from '../components/SessionManager';
 import Header from '../components/Header';
+import LoginForm from '../components/LoginForm';
 import { useSession } from '../hooks/useSession';
+import { useAuth } from '../hooks/useAuth';
+
+// The session this tab is in, kept across reloads so it can be resumed:
+// { sessionId, resumeToken, since } with since the server timestamp of the
+// last response seen, so the server can replay anything newer
+const RESUME_KEY = 'sessionResume';
+
+const loadResume = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(RESUME_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const saveResume = (resume) => window.sessionStorage.setItem(RESUME_KEY, JSON.stringify(resume));
+
+const clearResume = () => window.sessionStorage.removeItem(RESUME_KEY);
 
 export default function Home() {
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [currentSession, setCurrentSession] = useState(null);
   const { session, createSession, joinSession } = useSession();
+  const { user, token, ready, loading, login, register, logout } = useAuth();
 
   useEffect(() => {
+    // The socket authenticates with the user's token, so connect once signed in
+    if (!token) {
+      setSocket(null);
+      setIsConnected(false);
+      setCurrentSession(null);
+      return;
+    }
+
     // Initialize socket connection
     const SOCKET_BASE = process.env.NEXT_PUBLIC_SOCKET_URL || 'http://localhost:3001';
 
@@ -24,6 +52,7 @@ export default function Home() {
       autoConnect: true,
       withCredentials: true,
       path: '/socket.io',
+      auth: { token },
       reconnection: true,
       reconnectionAttempts: Infinity,
       reconnectionDelay: 500,
@@ -48,6 +77,39 @@ export default function Home() {
     newSocket.on('connect_error', (err) => {
       // surface detailed error for debugging
       console.warn('Socket connect_error:', err?.message || err);
+      if (err?.message === 'Unauthorized') {
+        toast.error('Your sign-in has expired');
+        clearResume();
+        logout();
+      }
+    });
+
+    // Rejoin after the connection drops; the server keeps our place for a
+    // grace period and replays responses we missed
+    newSocket.io.on('reconnect', () => {
+      const resume = loadResume();
+      if (resume) newSocket.emit('join-session', resume);
+    });
+
+    // ConversationInterface owns the session events and removes them with
+    // socket.off, so the resume bookkeeping listens through onAny
+    newSocket.onAny((event, data) => {
+      const resume = loadResume();
+      if (event === 'session-joined') {
+        const lastEntry = data.history?.[data.history.length - 1];
+        const seen = resume?.sessionId === data.sessionId ? resume.since : 0;
+        saveResume({
+          sessionId: data.sessionId,
+          resumeToken: data.resumeToken,
+          since: Math.max(seen || 0, lastEntry?.timestamp || 0),
+        });
+      } else if (event === 'ai-response-complete' && resume && data.timestamp > resume.since) {
+        saveResume({ ...resume, since: data.timestamp });
+      } else if (event === 'error' && [403, 410].includes(data?.status)) {
+        // The session ended (or we lost access) while we were away
+        clearResume();
+        setCurrentSession(null);
+      }
     });
 
     setSocket(newSocket);
@@ -55,7 +117,7 @@ export default function Home() {
     return () => {
       newSocket.close();
     };
-  }, []);
+  }, [token, logout]);
 
   const handleCreateSession = async (options) => {
     try {
@@ -74,7 +136,7 @@ export default function Home() {
     }
   };
 
-  const handleJoinSession = async (sessionId, options) => {
+  const handleJoinSession = async (sessionId, options, resume = null) => {
     try {
       const joinedSession = await joinSession(sessionId, options);
       if (joinedSession && socket) {
@@ -82,29 +144,63 @@ export default function Home() {
           sessionId: joinedSession.id,
           language: options.language,
           voice: options.voice,
+          ...resume,
         });
         setCurrentSession(joinedSession);
         toast.success('Joined session successfully');
       }
     } catch (error) {
+      if (resume) clearResume();
       toast.error('Failed to join session');
     }
   };
 
+  // The effect below only reruns on connection changes; read the latest handler
+  const handleJoinSessionRef = useRef(handleJoinSession);
+  handleJoinSessionRef.current = handleJoinSession;
+
+  // Redeemed invite links land here with ?session=<id>; otherwise pick the
+  // session this tab was in back up after a reload
+  useEffect(() => {
+    if (!socket || !isConnected || currentSession) return;
+
+    const invitedSessionId = new URLSearchParams(window.location.search).get('session');
+    if (invitedSessionId) {
+      window.history.replaceState(null, '', window.location.pathname);
+      handleJoinSessionRef.current(invitedSessionId, {});
+      return;
+    }
+
+    const resume = loadResume();
+    if (resume) handleJoinSessionRef.current(resume.sessionId, {}, resume);
+  }, [socket, isConnected, currentSession]);
+
   const handleLeaveSession = () => {
     if (socket && currentSession) {
       socket.emit('leave-session', { sessionId: currentSession.id });
     }
+    clearResume();
     setCurrentSession(null);
     toast.success('Left session');
   };
 
+  const handleLogout = () => {
+    clearResume();
+    logout();
+  };
+
   return (
     <div className="min-h-screen">
-      <Header isConnected={isConnected} />
+      <Header isConnected={isConnected} user={user} onLogout={handleLogout} />
       
       <main className="container mx-auto px-4 py-8">
-        {!currentSession ? (
+        {!ready ? null : !user ? (
+          <LoginForm
+            onLogin={login}
+            onRegister={register}
+            loading={loading}
+          />
+        ) : !currentSession ? (
           <SessionManager
             onCreateSession={handleCreateSession}
             onJoinSession={handleJoinSession}
@@ -114,6 +210,7 @@ export default function Home() {
           <ConversationInterface
             socket={socket}
             session={currentSession}
+            user={user}
             onLeaveSession={handleLeaveSession}
             isConnected={isConnected}
           />
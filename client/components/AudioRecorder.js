@@ -5,8 +5,20 @@ import { motion } from 'framer-motion';
 import { Mic, MicOff, Volume2, VolumeX, Loader } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+const WORKLET_URL = '/worklets/pcm-capture-processor.js';
+
+// Int16 PCM frame -> base64 for the socket payload
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+};
+
 export default function AudioRecorder({
   onAudioData,
+  captureMode = 'mediarecorder',
+  audioConfig,
   isRecording,
   setIsRecording,
   isListening,
@@ -19,9 +31,14 @@ export default function AudioRecorder({
   const [isInitialized, setIsInitialized] = useState(false);
   
   const mediaRecorderRef = useRef(null);
+  const workletNodeRef = useRef(null);
+  const sourceRef = useRef(null);
   const audioContextRef = useRef(null);
   const analyserRef = useRef(null);
   const animationFrameRef = useRef(null);
+  // Worklet frames arrive outside React's render cycle; read the latest callback
+  const onAudioDataRef = useRef(onAudioData);
+  onAudioDataRef.current = onAudioData;
 
   useEffect(() => {
     initializeAudio();
@@ -46,6 +63,7 @@ export default function AudioRecorder({
       // Set up audio analysis
       audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
       const source = audioContextRef.current.createMediaStreamSource(audioStream);
+      sourceRef.current = source;
       analyserRef.current = audioContextRef.current.createAnalyser();
       analyserRef.current.fftSize = 256;
       source.connect(analyserRef.current);
@@ -58,6 +76,10 @@ export default function AudioRecorder({
   };
 
   const cleanup = () => {
+    if (workletNodeRef.current) {
+      workletNodeRef.current.disconnect();
+      workletNodeRef.current = null;
+    }
     if (stream) {
       stream.getTracks().forEach(track => track.stop());
     }
@@ -69,46 +91,88 @@ export default function AudioRecorder({
     }
   };
 
-  const startRecording = async () => {
-    if (!stream || !isConnected) {
-      toast.error('Microphone not available or not connected');
-      return;
+  // Raw PCM capture: an AudioWorklet downsamples to the server's sample rate
+  // and posts fixed-size Int16 frames, each sent as its own socket message
+  const startWorkletCapture = async () => {
+    const context = audioContextRef.current;
+    if (!context?.audioWorklet) {
+      throw new Error('AudioWorklet is not supported in this browser');
+    }
+    if (context.state === 'suspended') {
+      await context.resume();
     }
 
-    try {
-      const mediaRecorder = new MediaRecorder(stream, {
-        mimeType: 'audio/webm;codecs=opus',
+    if (!workletNodeRef.current) {
+      await context.audioWorklet.addModule(WORKLET_URL);
+      const node = new AudioWorkletNode(context, 'pcm-capture-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        channelCount: 1,
+        processorOptions: {
+          targetSampleRate: audioConfig?.sampleRate || 16000,
+          frameMs: audioConfig?.frameMs || 20,
+        },
       });
-
-      const chunks = [];
-      
-      // Stream in near-real-time
-      mediaRecorder.ondataavailable = async (event) => {
-        try {
-          if (event.data && event.data.size > 0) {
-            const arrayBuffer = await event.data.arrayBuffer();
-            const base64Audio = btoa(String.fromCharCode(...new Uint8Array(arrayBuffer)));
-            await Promise.resolve(onAudioData(base64Audio));
-            chunks.push(event.data);
-          }
-        } catch (e) {
-          console.error('ondataavailable error:', e);
-        }
+      node.port.onmessage = (event) => {
+        onAudioDataRef.current(toBase64(event.data), 'pcm');
       };
+      workletNodeRef.current = node;
+    }
+
+    // The node outputs silence; connecting it to the destination keeps the
+    // graph pulling audio through it
+    sourceRef.current.connect(workletNodeRef.current);
+    workletNodeRef.current.connect(context.destination);
+  };
+
+  const stopWorkletCapture = () => {
+    const node = workletNodeRef.current;
+    if (!node) return;
+    node.port.postMessage({ type: 'flush' });
+    try {
+      sourceRef.current?.disconnect(node);
+      node.disconnect();
+    } catch (e) {
+      // Not connected (capture was running in MediaRecorder mode)
+    }
+  };
 
-      mediaRecorder.onstop = async () => {
-        try {
-          const blob = new Blob(chunks, { type: 'audio/webm' });
-          const arrayBuffer = await blob.arrayBuffer();
+  const startMediaRecorderCapture = () => {
+    const mediaRecorder = new MediaRecorder(stream, {
+      mimeType: 'audio/webm;codecs=opus',
+    });
+
+    // Stream in near-real-time. The server reassembles these fragments into
+    // one WebM stream, so each chunk is sent exactly once.
+    mediaRecorder.ondataavailable = async (event) => {
+      try {
+        if (event.data && event.data.size > 0) {
+          const arrayBuffer = await event.data.arrayBuffer();
           const base64Audio = btoa(String.fromCharCode(...new Uint8Array(arrayBuffer)));
-          await Promise.resolve(onAudioData(base64Audio));
-        } catch (e) {
-          console.error('onstop handler error:', e);
+          await Promise.resolve(onAudioData(base64Audio, 'webm'));
         }
-      };
+      } catch (e) {
+        console.error('ondataavailable error:', e);
+      }
+    };
+
+    mediaRecorder.start(250); // small chunks for lower latency
+    mediaRecorderRef.current = mediaRecorder;
+  };
 
-      mediaRecorder.start(250); // small chunks for lower latency
-      mediaRecorderRef.current = mediaRecorder;
+  const startRecording = async () => {
+    if (!stream || !isConnected) {
+      toast.error('Microphone not available or not connected');
+      return;
+    }
+    if (isRecording) return;
+
+    try {
+      if (captureMode === 'worklet') {
+        await startWorkletCapture();
+      } else {
+        startMediaRecorderCapture();
+      }
       setIsRecording(true);
       startAudioVisualization();
       
@@ -120,12 +184,16 @@ export default function AudioRecorder({
   };
 
   const stopRecording = () => {
-    if (mediaRecorderRef.current && isRecording) {
+    if (!isRecording) return;
+
+    if (mediaRecorderRef.current) {
       mediaRecorderRef.current.stop();
-      setIsRecording(false);
-      stopAudioVisualization();
-      toast.success('Recording stopped');
+      mediaRecorderRef.current = null;
     }
+    stopWorkletCapture();
+    setIsRecording(false);
+    stopAudioVisualization();
+    toast.success('Recording stopped');
   };
 
   const startAudioVisualization = () => {
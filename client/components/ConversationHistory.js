@@ -2,7 +2,8 @@
 
 import { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { MessageCircle, User, Bot, Clock, Search, Download } from 'lucide-react';
+import { MessageCircle, User, Bot, Clock, Search, Download, BookOpen } from 'lucide-react';
+import ToolCallCard from './ToolCallCard';
 
 export default function ConversationHistory({ history, language }) {
   const [searchQuery, setSearchQuery] = useState('');
@@ -166,11 +167,30 @@ export default function ConversationHistory({ history, language }) {
                             </span>
                           </div>
                           <p className="text-sm text-gray-900">{entry.aiResponse}</p>
+                          {entry.toolCalls?.length > 0 && (
+                            <div className="mt-2 space-y-2">
+                              {entry.toolCalls.map(call => (
+                                <ToolCallCard key={call.id} call={call} />
+                              ))}
+                            </div>
+                          )}
                           <div className="mt-2 flex items-center space-x-2 text-xs text-gray-500">
                             <span>Language: {getLanguageName(entry.language || language)}</span>
                             <span>•</span>
                             <span>Voice: {entry.voice || 'male'}</span>
+                            {entry.guardrail && (
+                              <>
+                                <span>•</span>
+                                <span className="text-amber-600">Declined ({entry.guardrail.reason})</span>
+                              </>
+                            )}
                           </div>
+                          {entry.citations?.length > 0 && (
+                            <div className="mt-2 flex items-start space-x-1 text-xs text-gray-500">
+                              <BookOpen className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                              <span>Sources: {entry.citations.map(citation => citation.title).join(' · ')}</span>
+                            </div>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -13,17 +13,30 @@ import {
   Download,
   Globe,
   Circle,
-  MessageCircle
+  MessageCircle,
+  Users
 } from 'lucide-react';
 import toast from 'react-hot-toast';
+import { getAuthToken } from '../hooks/useAuth';
 import AudioRecorder from './AudioRecorder';
 import SubtitleDisplay from './SubtitleDisplay';
 import ConversationHistory from './ConversationHistory';
 import SettingsPanel from './SettingsPanel';
+import ParticipantsPanel from './ParticipantsPanel';
+import { useAudioQueue } from '../hooks/useAudioQueue';
+import { useSession } from '../hooks/useSession';
+
+// History entries keep the response in every language it was heard in
+const localizeEntry = (entry, language) => (
+  entry.translations?.[language]
+    ? { ...entry, aiResponse: entry.translations[language], language }
+    : entry
+);
 
 export default function ConversationInterface({ 
   socket, 
   session, 
+  user,
   onLeaveSession, 
   isConnected 
 }) {
@@ -32,6 +45,8 @@ export default function ConversationInterface({
   const [currentSubtitle, setCurrentSubtitle] = useState('');
   const [aiResponse, setAiResponse] = useState('');
   const [isAiResponding, setIsAiResponding] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [toolCalls, setToolCalls] = useState([]);
   const [conversationHistory, setConversationHistory] = useState([]);
   const [showSettings, setShowSettings] = useState(false);
   const [showHistory, setShowHistory] = useState(false);
@@ -40,51 +55,204 @@ export default function ConversationInterface({
   const [voice, setVoice] = useState(session?.voice || 'male');
   const [voiceEnabled, setVoiceEnabled] = useState(true);
   const [subtitleEnabled, setSubtitleEnabled] = useState(true);
+  const [captureMode, setCaptureMode] = useState('mediarecorder');
+  const [audioConfig, setAudioConfig] = useState({ sampleRate: 16000, channels: 1, frameMs: 20 });
+  const [role, setRole] = useState(session?.role || null);
+  const [sessionState, setSessionState] = useState(session?.state || null);
+  const [persona, setPersona] = useState(session?.persona || null);
+  const [muted, setMuted] = useState(false);
+  const [participants, setParticipants] = useState([]);
+  const [showParticipants, setShowParticipants] = useState(true);
+
+  const isHost = role === 'host';
+  const canSpeak = role !== 'observer' && !muted;
 
   const audioContextRef = useRef(null);
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
+  const streamingResponseIdRef = useRef(null);
+  // The socket listeners are registered once per socket and read the values
+  // that change between renders from here
+  const latestRef = useRef({});
+  const { enqueue: enqueueAudio, end: endAudio, stop: stopAudio } = useAudioQueue();
+  const { createInvite } = useSession();
 
   useEffect(() => {
     if (!socket) return;
 
     // Socket event listeners
     socket.on('session-joined', (data) => {
-      setConversationHistory(data.history || []);
-      toast.success('Joined session successfully');
+      const preferences = data.preferences || data;
+      setConversationHistory((data.history || []).map(entry => localizeEntry(entry, preferences.language)));
+      if (data.audioConfig) setAudioConfig(data.audioConfig);
+      if (data.role) setRole(data.role);
+      if (data.state) setSessionState(data.state);
+      if (data.persona) setPersona(data.persona);
+      // A fresh conversation opens with the persona's greeting
+      if (data.persona?.greeting && !data.resumed && (data.history || []).length === 0) {
+        setAiResponse(data.persona.greeting);
+      }
+      setParticipants(data.participants || []);
+      if (preferences.language) setLanguage(preferences.language);
+      if (preferences.voice) setVoice(preferences.voice);
+      toast.success(data.resumed ? 'Reconnected to session' : 'Joined session successfully');
     });
 
-    socket.on('ai-response', (data) => {
-      setAiResponse(data.text);
+    // Roster: one entry per connection, kept current by presence events
+    socket.on('participant-joined', (participant) => {
+      setParticipants(prev => [...prev.filter(p => p.id !== participant.id), participant]);
+      toast(`${participant.displayName || 'Someone'} joined`);
+    });
+
+    // A resumed connection keeps its entry under a new id (previousId)
+    socket.on('participant-updated', ({ previousId, ...participant }) => {
+      setParticipants(prev => {
+        const matches = (p) => p.id === participant.id || (previousId && p.id === previousId);
+        if (previousId && !prev.some(matches)) return [...prev, participant];
+        return prev.map(p => (matches(p) ? participant : p));
+      });
+      // Our own language/voice preference as the server applied it
+      if (participant.id === socket.id) {
+        setLanguage(participant.language);
+        setVoice(participant.voice);
+      }
+    });
+
+    socket.on('participant-left', (participant) => {
+      setParticipants(prev => prev.filter(p => p.id !== participant.id));
+      if (participant.userId !== latestRef.current.userId) {
+        toast(`${participant.displayName || 'Someone'} left`);
+      }
+    });
+
+    // The host changed this user's role or mute state
+    socket.on('role-changed', (data) => {
+      setRole(data.role);
+      setMuted(data.muted);
+      toast(data.muted ? 'You have been muted by the host' : `Your role is now ${data.role}`);
+    });
+
+    socket.on('removed-from-session', () => {
+      toast.error('You were removed from the session by the host');
+      latestRef.current.onLeaveSession();
+    });
+
+    // Lifecycle: created, active, idle, recording, ended, archived
+    socket.on('session-state', (data) => {
+      setSessionState(data.state);
+      if (data.state === 'ended') {
+        toast('This session has ended');
+        latestRef.current.onLeaveSession();
+      }
+    });
+
+    socket.on('forbidden', (data) => {
+      toast.error(data.message);
+    });
+
+    socket.on('speech-start', () => {
+      setIsListening(true);
+      stopAudio();
+    });
+
+    socket.on('speech-end', () => {
+      setIsListening(false);
+    });
+
+    socket.on('transcription', (data) => {
+      setCurrentSubtitle(data.text);
+    });
+
+    // Partial text streams in as deltas; a new responseId starts a new reply
+    socket.on('ai-response-delta', (data) => {
+      if (streamingResponseIdRef.current !== data.responseId) {
+        streamingResponseIdRef.current = data.responseId;
+        setAiResponse('');
+        setToolCalls(prev => (prev[0]?.responseId === data.responseId ? prev : []));
+      }
+      setIsAiResponding(false);
+      setIsStreaming(true);
+      setAiResponse(prev => prev + data.text);
+    });
+
+    // Functions the assistant called for the reply being streamed
+    socket.on('tool-call', (data) => {
+      setToolCalls(prev => (prev[0]?.responseId === data.responseId ? [...prev, data] : [data]));
+    });
+
+    socket.on('ai-response-complete', (data) => {
+      streamingResponseIdRef.current = null;
+      setIsStreaming(false);
       setIsAiResponding(false);
+      if (data.error) return;
+
+      setAiResponse(data.text);
       
-      // Add to conversation history
+      // Optimistic history entry; replaced by the stored one once the server
+      // confirms it with 'history-entry-added'
       const newEntry = {
-        id: Date.now(),
+        id: data.responseId || Date.now(),
+        responseId: data.responseId,
+        pending: true,
         timestamp: data.timestamp,
-        userInput: currentSubtitle,
+        userInput: data.transcript || latestRef.current.currentSubtitle,
         aiResponse: data.text,
         language: data.language,
         voice: data.voice,
+        citations: data.citations,
+        toolCalls: data.toolCalls,
+        guardrail: data.guardrail,
       };
       
-      setConversationHistory(prev => [...prev, newEntry]);
+      setConversationHistory(prev => (
+        prev.some(entry => entry.responseId && entry.responseId === data.responseId)
+          ? prev
+          : [...prev, newEntry]
+      ));
       setCurrentSubtitle('');
       
-      // Play audio if available
-      if (data.audio && voiceEnabled) {
-        playAudioResponse(data.audio);
+      // Sentence clips already went through the playback queue
+      if (data.audio && latestRef.current.voiceEnabled && !data.audioStreamed) {
+        latestRef.current.playAudioResponse(data.responseId, data.audio);
       }
     });
 
+    socket.on('history-entry-added', (data) => {
+      setConversationHistory(prev => {
+        const entry = localizeEntry(data.entry, latestRef.current.language);
+        const index = prev.findIndex(item => item.responseId === data.responseId);
+        if (index === -1) return [...prev, entry];
+
+        const next = [...prev];
+        next[index] = entry;
+        return next;
+      });
+    });
+
+    // Speech arrives sentence by sentence, keyed by response id
+    socket.on('ai-audio-chunk', (data) => {
+      if (latestRef.current.voiceEnabled) {
+        enqueueAudio(data);
+      }
+    });
+
+    socket.on('ai-audio-end', (data) => {
+      endAudio(data.responseId, data.chunks);
+    });
+
+    // Barge-in from any participant or the model: stop speaking at once
+    socket.on('interrupted', () => {
+      stopAudio();
+    });
+
+    // Session-wide changes by the host; our own preference follows
+    // through 'participant-updated'
     socket.on('language-changed', (data) => {
-      setLanguage(data.language);
-      toast.success(`Language changed to ${getLanguageName(data.language)}`);
+      toast.success(`Session language changed to ${getLanguageName(data.language)}`);
     });
 
     socket.on('voice-changed', (data) => {
-      setVoice(data.voice);
-      toast.success(`Voice changed to ${data.voice}`);
+      toast.success(`Session voice changed to ${data.voice}`);
     });
 
     socket.on('recording-started', () => {
@@ -94,7 +262,18 @@ export default function ConversationInterface({
 
     socket.on('recording-stopped', (data) => {
       setSessionRecording(false);
-      toast.success('Session recording stopped');
+      toast.success(data?.reason === 'max-duration'
+        ? 'Session recording reached its time limit and was saved'
+        : 'Session recording stopped');
+    });
+
+    socket.on('audio-config-accepted', (data) => {
+      if (data.config) setAudioConfig(data.config);
+    });
+
+    socket.on('audio-config-rejected', (data) => {
+      toast.error(data.error || 'Audio capture mode not supported by server');
+      setCaptureMode('mediarecorder');
     });
 
     socket.on('error', (error) => {
@@ -103,14 +282,64 @@ export default function ConversationInterface({
 
     return () => {
       socket.off('session-joined');
-      socket.off('ai-response');
+      socket.off('participant-joined');
+      socket.off('participant-updated');
+      socket.off('participant-left');
+      socket.off('role-changed');
+      socket.off('removed-from-session');
+      socket.off('session-state');
+      socket.off('forbidden');
+      socket.off('speech-start');
+      socket.off('speech-end');
+      socket.off('transcription');
+      socket.off('ai-response-delta');
+      socket.off('tool-call');
+      socket.off('ai-response-complete');
+      socket.off('history-entry-added');
+      socket.off('ai-audio-chunk');
+      socket.off('ai-audio-end');
+      socket.off('interrupted');
       socket.off('language-changed');
       socket.off('voice-changed');
       socket.off('recording-started');
       socket.off('recording-stopped');
+      socket.off('audio-config-accepted');
+      socket.off('audio-config-rejected');
       socket.off('error');
     };
-  }, [socket, currentSubtitle, voiceEnabled]);
+  }, [socket, enqueueAudio, endAudio, stopAudio]);
+
+  // Observers and muted participants stop sending audio at once
+  useEffect(() => {
+    if (!canSpeak) setIsRecording(false);
+  }, [canSpeak]);
+
+  // Starting to talk cuts off whatever is being played back, here and for
+  // everyone else in the session
+  useEffect(() => {
+    if (!isRecording) return;
+
+    stopAudio();
+    if (socket) socket.emit('interrupt');
+  }, [isRecording, socket, stopAudio]);
+
+  useEffect(() => {
+    if (!voiceEnabled) stopAudio();
+  }, [voiceEnabled, stopAudio]);
+
+  // Tell the server how microphone audio will be framed
+  useEffect(() => {
+    if (!socket) return;
+
+    socket.emit('audio-config', captureMode === 'worklet'
+      ? {
+          format: 'pcm',
+          sampleRate: audioConfig.sampleRate,
+          channels: audioConfig.channels,
+          frameMs: audioConfig.frameMs,
+        }
+      : { format: 'webm' });
+  }, [socket, captureMode, audioConfig.sampleRate, audioConfig.channels, audioConfig.frameMs]);
 
   const getLanguageName = (code) => {
     const languages = {
@@ -121,14 +350,14 @@ export default function ConversationInterface({
     return languages[code] || code;
   };
 
-  const handleAudioData = async (audioData) => {
+  const handleAudioData = async (audioData, format) => {
     if (!socket || !isConnected) return;
 
     try {
       setIsAiResponding(true);
-      socket.emit('interrupt');
       socket.emit('audio-stream', {
         audioData,
+        format,
         timestamp: Date.now()
       });
     } catch (error) {
@@ -138,15 +367,25 @@ export default function ConversationInterface({
     }
   };
 
+  // The host sets the session's language and voice; everyone else picks the
+  // ones they hear responses in
   const handleLanguageChange = (newLanguage) => {
     if (socket) {
-      socket.emit('change-language', { language: newLanguage });
+      if (isHost) {
+        socket.emit('change-language', { language: newLanguage });
+      } else {
+        socket.emit('update-preferences', { language: newLanguage });
+      }
     }
   };
 
   const handleVoiceChange = (newVoice) => {
     if (socket) {
-      socket.emit('change-voice', { voice: newVoice });
+      if (isHost) {
+        socket.emit('change-voice', { voice: newVoice });
+      } else {
+        socket.emit('update-preferences', { voice: newVoice });
+      }
     }
   };
 
@@ -162,31 +401,60 @@ export default function ConversationInterface({
     }
   };
 
-  const playAudioResponse = async (audioData) => {
+  // Whole-response audio goes through the same queue so barge-in can stop it
+  const playAudioResponse = async (responseId, audioData) => {
     try {
-      if (audioData.method === 'POST') {
-        const resp = await fetch(audioData.audioUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(audioData.payload || {}),
-        });
-        if (!resp.ok) throw new Error('TTS fetch failed');
-        const blob = await resp.blob();
-        const url = URL.createObjectURL(blob);
-        const audio = new Audio(url);
-        await audio.play();
-        URL.revokeObjectURL(url);
-      } else {
-        const audio = new Audio(audioData.audioUrl);
-        await audio.play();
-      }
+      const authHeaders = { Authorization: `Bearer ${getAuthToken()}` };
+      const resp = audioData.method === 'POST'
+        ? await fetch(audioData.audioUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...authHeaders },
+            body: JSON.stringify(audioData.payload || {}),
+          })
+        : await fetch(audioData.audioUrl, { headers: authHeaders });
+      if (!resp.ok) throw new Error('TTS fetch failed');
+
+      await enqueueAudio({ responseId, index: 0, audio: await resp.arrayBuffer() });
+      endAudio(responseId, 1);
     } catch (error) {
       console.error('Error playing audio:', error);
     }
   };
 
+  latestRef.current = { currentSubtitle, voiceEnabled, language, onLeaveSession, userId: user?.id, playAudioResponse };
+
+  const handleRoleChange = (userId, newRole) => {
+    if (socket) {
+      socket.emit('update-participant', { userId, role: newRole });
+    }
+  };
+
+  const handleMuteChange = (userId, newMuted) => {
+    if (socket) {
+      socket.emit('update-participant', { userId, muted: newMuted });
+    }
+  };
+
+  const handleRemoveParticipant = (userId) => {
+    if (socket) {
+      socket.emit('remove-participant', { userId });
+    }
+  };
+
+  // Invite links open the /join/[token] page of this client
+  const handleCreateInvite = async (inviteRole) => {
+    try {
+      const invite = await createInvite(session.id, { role: inviteRole });
+      const link = `${window.location.origin}/join/${invite.token}`;
+      await navigator.clipboard.writeText(link);
+      toast.success('Invite link copied to clipboard');
+    } catch (error) {
+      toast.error(error.message || 'Failed to create invite');
+    }
+  };
+
   const handleLeaveSession = () => {
-    if (sessionRecording) {
+    if (sessionRecording && isHost) {
       handleStopRecording();
     }
     onLeaveSession();
@@ -209,11 +477,21 @@ export default function ConversationInterface({
                   Session: {session?.id?.slice(0, 8)}...
                 </h2>
                 <p className="text-sm text-gray-600">
+                  {persona && <span>{persona.name} | </span>}
                   Language: {getLanguageName(language)} | Voice: {voice}
+                  {role && <span className="capitalize"> | Role: {role}</span>}
+                  {sessionState && <span className="capitalize"> | {sessionState}</span>}
                 </p>
               </div>
               
               <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => setShowParticipants(!showParticipants)}
+                  className="btn btn-secondary"
+                >
+                  <Users className="w-4 h-4" />
+                </button>
+                
                 <button
                   onClick={() => setShowHistory(!showHistory)}
                   className="btn btn-secondary"
@@ -245,15 +523,26 @@ export default function ConversationInterface({
             transition={{ delay: 0.1 }}
             className="card"
           >
-            <AudioRecorder
-              onAudioData={handleAudioData}
-              isRecording={isRecording}
-              setIsRecording={setIsRecording}
-              isListening={isListening}
-              setIsListening={setIsListening}
-              isAiResponding={isAiResponding}
-              isConnected={isConnected}
-            />
+            {canSpeak ? (
+              <AudioRecorder
+                onAudioData={handleAudioData}
+                captureMode={captureMode}
+                audioConfig={audioConfig}
+                isRecording={isRecording}
+                setIsRecording={setIsRecording}
+                isListening={isListening}
+                setIsListening={setIsListening}
+                isAiResponding={isAiResponding}
+                isConnected={isConnected}
+              />
+            ) : (
+              <div className="flex items-center justify-center space-x-2 py-6 text-gray-600">
+                <MicOff className="w-5 h-5" />
+                <span>
+                  {muted ? 'You have been muted by the host' : 'You are listening as an observer'}
+                </span>
+              </div>
+            )}
           </motion.div>
 
           {/* Subtitle Display */}
@@ -267,6 +556,8 @@ export default function ConversationInterface({
               currentSubtitle={currentSubtitle}
               aiResponse={aiResponse}
               isAiResponding={isAiResponding}
+              isStreaming={isStreaming}
+              toolCalls={toolCalls}
               language={language}
               voice={voice}
               subtitleEnabled={subtitleEnabled}
@@ -292,7 +583,7 @@ export default function ConversationInterface({
               </div>
               
               <div className="flex items-center space-x-2">
-                {!sessionRecording ? (
+                {!isHost ? null : !sessionRecording ? (
                   <button
                     onClick={handleStartRecording}
                     className="btn btn-primary flex items-center space-x-2"
@@ -330,10 +621,35 @@ export default function ConversationInterface({
                   voice={voice}
                   voiceEnabled={voiceEnabled}
                   subtitleEnabled={subtitleEnabled}
+                  captureMode={captureMode}
+                  isRecording={isRecording}
                   onLanguageChange={handleLanguageChange}
                   onVoiceChange={handleVoiceChange}
                   onVoiceEnabledChange={setVoiceEnabled}
                   onSubtitleEnabledChange={setSubtitleEnabled}
+                  onCaptureModeChange={setCaptureMode}
+                />
+              </motion.div>
+            )}
+          </AnimatePresence>
+
+          {/* Participants and host controls */}
+          <AnimatePresence>
+            {showParticipants && (
+              <motion.div
+                initial={{ opacity: 0, x: 20 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: 20 }}
+                className="card"
+              >
+                <ParticipantsPanel
+                  participants={participants}
+                  currentUserId={user?.id}
+                  canManage={isHost}
+                  onRoleChange={handleRoleChange}
+                  onMuteChange={handleMuteChange}
+                  onRemove={handleRemoveParticipant}
+                  onCreateInvite={handleCreateInvite}
                 />
               </motion.div>
             )}
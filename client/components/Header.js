@@ -1,6 +1,6 @@
-import { Wifi, WifiOff, Settings, HelpCircle } from 'lucide-react';
+import { Wifi, WifiOff, Settings, HelpCircle, LogOut, User } from 'lucide-react';
 
-export default function Header({ isConnected }) {
+export default function Header({ isConnected, user, onLogout }) {
   return (
     <header className="bg-white shadow-sm border-b border-gray-200">
       <div className="container mx-auto px-4 py-4">
@@ -25,12 +25,27 @@ export default function Header({ isConnected }) {
           </div>
           
           <div className="flex items-center space-x-4">
+            {user && (
+              <div className="flex items-center space-x-2 text-sm text-gray-700">
+                <User className="w-4 h-4" />
+                <span className="font-medium">{user.displayName}</span>
+              </div>
+            )}
             <button className="p-2 text-gray-500 hover:text-gray-700 transition-colors">
               <HelpCircle className="w-5 h-5" />
             </button>
             <button className="p-2 text-gray-500 hover:text-gray-700 transition-colors">
               <Settings className="w-5 h-5" />
             </button>
+            {user && (
+              <button
+                onClick={onLogout}
+                className="p-2 text-gray-500 hover:text-gray-700 transition-colors"
+                title="Sign out"
+              >
+                <LogOut className="w-5 h-5" />
+              </button>
+            )}
           </div>
         </div>
       </div>
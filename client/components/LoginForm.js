@@ -0,0 +1,116 @@
+'use client';
+
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { LogIn, UserPlus } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+export default function LoginForm({ onLogin, onRegister, loading }) {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [displayName, setDisplayName] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      if (mode === 'login') {
+        await onLogin(username.trim(), password);
+        toast.success('Signed in');
+      } else {
+        await onRegister(username.trim(), password, displayName.trim());
+        toast.success('Account created');
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="card"
+      >
+        <div className="text-center mb-8">
+          <h2 className="text-3xl font-bold text-gray-900 mb-2">
+            {mode === 'login' ? 'Sign In' : 'Create Account'}
+          </h2>
+          <p className="text-gray-600">
+            Your sessions and conversation history are private to your account
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Username
+            </label>
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              className="input"
+              required
+            />
+          </div>
+
+          {mode === 'register' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Display Name
+              </label>
+              <input
+                type="text"
+                value={displayName}
+                onChange={(e) => setDisplayName(e.target.value)}
+                placeholder="Optional"
+                className="input"
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Password
+            </label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+              minLength={mode === 'register' ? 8 : undefined}
+              className="input"
+              required
+            />
+          </div>
+
+          <motion.button
+            type="submit"
+            disabled={loading}
+            className="w-full btn btn-primary flex items-center justify-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+          >
+            {mode === 'login' ? <LogIn className="w-5 h-5" /> : <UserPlus className="w-5 h-5" />}
+            <span>{mode === 'login' ? 'Sign In' : 'Create Account'}</span>
+          </motion.button>
+        </form>
+
+        <p className="mt-4 text-center text-sm text-gray-600">
+          {mode === 'login' ? "Don't have an account? " : 'Already have an account? '}
+          <button
+            type="button"
+            onClick={() => setMode(mode === 'login' ? 'register' : 'login')}
+            className="text-primary-600 hover:text-primary-700 font-medium"
+          >
+            {mode === 'login' ? 'Create one' : 'Sign in'}
+          </button>
+        </p>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+'use client';
+
+import { useState } from 'react';
+import { Users, Crown, Mic, MicOff, UserX, Link, Volume2 } from 'lucide-react';
+
+const LANGUAGES = {
+  'en': 'English',
+  'hi': 'Hindi',
+  'hinglish': 'Hinglish'
+};
+
+const ROLES = [
+  { value: 'host', label: 'Host' },
+  { value: 'participant', label: 'Participant' },
+  { value: 'observer', label: 'Observer' }
+];
+
+export default function ParticipantsPanel({
+  participants,
+  currentUserId,
+  canManage,
+  onRoleChange,
+  onMuteChange,
+  onRemove,
+  onCreateInvite
+}) {
+  const [inviteRole, setInviteRole] = useState('participant');
+
+  // A user connected from several tabs is listed once, speaking if any tab is
+  // and away only while every tab is reconnecting
+  const members = participants
+    .filter((participant, index) => (
+      participants.findIndex(p => p.userId === participant.userId) === index
+    ))
+    .map(participant => ({
+      ...participant,
+      speaking: participants.some(p => p.userId === participant.userId && p.speaking),
+      connected: participants.some(p => p.userId === participant.userId && p.connected !== false)
+    }));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center space-x-2">
+        <Users className="w-5 h-5 text-gray-600" />
+        <h3 className="subtitle">Participants ({members.length})</h3>
+      </div>
+
+      <ul className="space-y-2">
+        {members.map((participant) => {
+          const isSelf = participant.userId === currentUserId;
+          const editable = canManage && !isSelf && !participant.isOwner;
+
+          return (
+            <li
+              key={participant.userId || participant.id}
+              className={`p-3 rounded-lg border space-y-2 transition-colors ${
+                participant.speaking ? 'border-green-400 bg-green-50' : 'border-gray-200'
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-2">
+                  {participant.role === 'host' && <Crown className="w-4 h-4 text-yellow-500" />}
+                  <span className="font-medium text-gray-900">
+                    {participant.displayName || 'Guest'}
+                    {isSelf && <span className="text-gray-500 font-normal"> (you)</span>}
+                  </span>
+                  {participant.muted && <MicOff className="w-4 h-4 text-red-500" />}
+                  {participant.speaking && <Volume2 className="w-4 h-4 text-green-600 animate-pulse" />}
+                </div>
+                {!editable && (
+                  <span className="text-xs text-gray-500 capitalize">{participant.role}</span>
+                )}
+              </div>
+
+              <p className="text-xs text-gray-500">
+                {LANGUAGES[participant.language] || participant.language} · <span className="capitalize">{participant.voice}</span> voice
+                {participant.speaking && <span className="text-green-600 font-medium"> · speaking</span>}
+                {!participant.connected && <span className="text-amber-600"> · reconnecting…</span>}
+              </p>
+
+              {editable && (
+                <div className="flex items-center space-x-2">
+                  <select
+                    value={participant.role || 'participant'}
+                    onChange={(e) => onRoleChange(participant.userId, e.target.value)}
+                    className="input py-1 text-sm"
+                  >
+                    {ROLES.map(role => (
+                      <option key={role.value} value={role.value}>{role.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => onMuteChange(participant.userId, !participant.muted)}
+                    className="btn btn-secondary p-2"
+                    title={participant.muted ? 'Unmute' : 'Mute'}
+                  >
+                    {participant.muted ? <Mic className="w-4 h-4" /> : <MicOff className="w-4 h-4" />}
+                  </button>
+                  <button
+                    onClick={() => onRemove(participant.userId)}
+                    className="btn btn-danger p-2"
+                    title="Remove from session"
+                  >
+                    <UserX className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {canManage && (
+        <div className="pt-4 border-t border-gray-200 space-y-2">
+          <span className="text-sm font-medium text-gray-700">Invite link</span>
+          <div className="flex items-center space-x-2">
+            <select
+              value={inviteRole}
+              onChange={(e) => setInviteRole(e.target.value)}
+              className="input py-1 text-sm"
+            >
+              {ROLES.map(role => (
+                <option key={role.value} value={role.value}>{role.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => onCreateInvite(inviteRole)}
+              className="btn btn-primary flex items-center space-x-2"
+            >
+              <Link className="w-4 h-4" />
+              <span>Copy</span>
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
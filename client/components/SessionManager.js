@@ -1,8 +1,10 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { Plus, Users, Mic, Globe, Volume2 } from 'lucide-react';
+import { Plus, Users, Mic, Globe, Volume2, Bot } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSession } from '../hooks/useSession';
 
 export default function SessionManager({ onCreateSession, onJoinSession, isConnected }) {
   const [activeTab, setActiveTab] = useState('create');
@@ -12,6 +14,28 @@ export default function SessionManager({ onCreateSession, onJoinSession, isConne
   const [autoTranslate, setAutoTranslate] = useState(false);
   const [voiceEnabled, setVoiceEnabled] = useState(true);
   const [subtitleEnabled, setSubtitleEnabled] = useState(true);
+  const [personas, setPersonas] = useState([]);
+  const [personaId, setPersonaId] = useState('');
+  const { listPersonas } = useSession();
+
+  // A persona brings its own language and voice, which can still be changed
+  const selectPersona = (persona) => {
+    setPersonaId(persona.id);
+    if (persona.language) setLanguage(persona.language);
+    if (persona.voice) setVoice(persona.voice);
+  };
+
+  useEffect(() => {
+    listPersonas()
+      .then((list) => {
+        setPersonas(list);
+        const preset = list.find(persona => persona.isDefault) || list[0];
+        if (preset) selectPersona(preset);
+      })
+      .catch(() => setPersonas([]));
+  }, [listPersonas]);
+
+  const selectedPersona = personas.find(persona => persona.id === personaId);
 
   const handleCreateSession = (e) => {
     e.preventDefault();
@@ -21,6 +45,7 @@ export default function SessionManager({ onCreateSession, onJoinSession, isConne
     }
     
     onCreateSession({
+      personaId,
       language,
       voice,
       autoTranslate,
@@ -96,6 +121,31 @@ export default function SessionManager({ onCreateSession, onJoinSession, isConne
         <div className="mb-6">
           <h3 className="subtitle">Session Settings</h3>
           
+          {/* Persona Selection (new sessions only) */}
+          {activeTab === 'create' && personas.length > 0 && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                <Bot className="w-4 h-4 inline mr-2" />
+                Assistant
+              </label>
+              <select
+                value={personaId}
+                onChange={(e) => {
+                  const persona = personas.find(item => item.id === e.target.value);
+                  if (persona) selectPersona(persona);
+                }}
+                className="input"
+              >
+                {personas.map(persona => (
+                  <option key={persona.id} value={persona.id}>{persona.name}</option>
+                ))}
+              </select>
+              {selectedPersona?.description && (
+                <p className="mt-1 text-xs text-gray-500">{selectedPersona.description}</p>
+              )}
+            </div>
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             {/* Language Selection */}
             <div>
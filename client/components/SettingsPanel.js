@@ -1,17 +1,20 @@
 'use client';
 
 import { motion } from 'framer-motion';
-import { Settings, Globe, Volume2, Eye, EyeOff } from 'lucide-react';
+import { Settings, Globe, Volume2, Eye, EyeOff, Mic } from 'lucide-react';
 
 export default function SettingsPanel({
   language,
   voice,
   voiceEnabled,
   subtitleEnabled,
+  captureMode,
+  isRecording,
   onLanguageChange,
   onVoiceChange,
   onVoiceEnabledChange,
-  onSubtitleEnabledChange
+  onSubtitleEnabledChange,
+  onCaptureModeChange
 }) {
   const getLanguageName = (code) => {
     const languages = {
@@ -98,6 +101,44 @@ export default function SettingsPanel({
         </div>
       </div>
 
+      {/* Microphone Capture Mode */}
+      <div className="space-y-3">
+        <label className="flex items-center space-x-2">
+          <Mic className="w-4 h-4 text-gray-600" />
+          <span className="text-sm font-medium text-gray-700">Capture Mode</span>
+        </label>
+        
+        <div className="grid grid-cols-1 gap-2">
+          {[
+            { value: 'mediarecorder', label: 'MediaRecorder', description: 'WebM/Opus chunks, lower bandwidth' },
+            { value: 'worklet', label: 'AudioWorklet', description: 'Raw 16 kHz PCM frames, lower latency' }
+          ].map((mode) => (
+            <motion.button
+              key={mode.value}
+              onClick={() => onCaptureModeChange(mode.value)}
+              disabled={isRecording}
+              className={`p-3 rounded-lg border text-left transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+                captureMode === mode.value
+                  ? 'border-primary-500 bg-primary-50 text-primary-700'
+                  : 'border-gray-200 hover:border-gray-300 text-gray-700'
+              }`}
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+            >
+              <div className="flex items-center justify-between">
+                <div>
+                  <span className="font-medium">{mode.label}</span>
+                  <p className="text-xs text-gray-500">{mode.description}</p>
+                </div>
+                {captureMode === mode.value && (
+                  <div className="w-2 h-2 bg-primary-500 rounded-full"></div>
+                )}
+              </div>
+            </motion.button>
+          ))}
+        </div>
+      </div>
+
       {/* Toggle Settings */}
       <div className="space-y-4">
         <div className="flex items-center justify-between">
@@ -157,6 +198,10 @@ export default function SettingsPanel({
             <span className="text-gray-600">Voice:</span>
             <span className="font-medium capitalize">{voice}</span>
           </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Capture Mode:</span>
+            <span className="font-medium">{captureMode === 'worklet' ? 'AudioWorklet' : 'MediaRecorder'}</span>
+          </div>
           <div className="flex justify-between">
             <span className="text-gray-600">Voice Responses:</span>
             <span className={`font-medium ${voiceEnabled ? 'text-green-600' : 'text-red-600'}`}>
@@ -2,11 +2,14 @@
 
 import { motion, AnimatePresence } from 'framer-motion';
 import { MessageCircle, Bot, User, Loader } from 'lucide-react';
+import ToolCallCard from './ToolCallCard';
 
 export default function SubtitleDisplay({
   currentSubtitle,
   aiResponse,
   isAiResponding,
+  isStreaming,
+  toolCalls = [],
   language,
   voice,
   subtitleEnabled
@@ -120,10 +123,22 @@ export default function SubtitleDisplay({
                 <div className="flex items-center space-x-2 mb-2">
                   <span className="text-sm font-medium text-green-700">AI Assistant</span>
                   <span className="text-xs text-gray-500">
-                    {formatTimestamp(Date.now())}
+                    {isStreaming ? 'Speaking...' : formatTimestamp(Date.now())}
                   </span>
                 </div>
-                <p className="text-gray-900 leading-relaxed">{aiResponse}</p>
+                <p className="text-gray-900 leading-relaxed">
+                  {aiResponse}
+                  {isStreaming && (
+                    <span className="inline-block w-2 h-4 ml-1 align-middle bg-green-500 animate-pulse"></span>
+                  )}
+                </p>
+                {toolCalls.length > 0 && (
+                  <div className="mt-3 space-y-2">
+                    {toolCalls.map(call => (
+                      <ToolCallCard key={call.id} call={call} />
+                    ))}
+                  </div>
+                )}
                 <div className="mt-2 flex items-center space-x-2 text-xs text-gray-500">
                   <span>Language: {getLanguageName(language)}</span>
                   <span>•</span>
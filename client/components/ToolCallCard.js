@@ -0,0 +1,125 @@
+'use client';
+
+import { MapPin, Bike, CalendarCheck, Wrench, AlertCircle } from 'lucide-react';
+
+const TITLES = {
+  find_dealer: 'Revolt hubs',
+  get_bike_spec: 'Bike specifications',
+  book_test_ride: 'Test ride booked',
+  check_service_slot: 'Service slots'
+};
+
+const ICONS = {
+  find_dealer: MapPin,
+  get_bike_spec: Bike,
+  book_test_ride: CalendarCheck,
+  check_service_slot: Wrench
+};
+
+const SPEC_FIELDS = [
+  ['range', 'Range'],
+  ['topSpeed', 'Top speed'],
+  ['battery', 'Battery'],
+  ['chargingTime', 'Charging'],
+  ['price', 'Price']
+];
+
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString(undefined, {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short'
+});
+
+function Details({ name, result }) {
+  switch (name) {
+    case 'find_dealer':
+      return result.dealers.length === 0 ? (
+        <p>No hub nearby. Revolt is in {result.citiesServed?.join(', ')}.</p>
+      ) : (
+        <ul className="space-y-2">
+          {result.dealers.map(dealer => (
+            <li key={dealer.id}>
+              <p className="font-medium text-gray-900">{dealer.name}</p>
+              <p>{dealer.address} {dealer.pincode}</p>
+              <p className="text-gray-500">{dealer.hours}</p>
+            </li>
+          ))}
+        </ul>
+      );
+
+    case 'get_bike_spec':
+      return (
+        <div>
+          <p className="font-medium text-gray-900 mb-1">{result.bike.name}</p>
+          <dl className="grid grid-cols-3 gap-x-2 gap-y-1">
+            {SPEC_FIELDS.filter(([field]) => result.bike[field]).map(([field, label]) => (
+              <div key={field} className="contents">
+                <dt className="text-gray-500">{label}</dt>
+                <dd className="col-span-2">{result.bike[field]}</dd>
+              </div>
+            ))}
+          </dl>
+        </div>
+      );
+
+    case 'book_test_ride': {
+      const { booking } = result;
+      return (
+        <div className="space-y-1">
+          <p className="font-medium text-gray-900">
+            {booking.model} on {formatDate(booking.date)} at {booking.time}
+          </p>
+          <p>{booking.dealer.name}, {booking.dealer.address}</p>
+          <p className="text-gray-500">
+            {booking.name} · {booking.phone} · Booking {booking.id}
+          </p>
+        </div>
+      );
+    }
+
+    case 'check_service_slot':
+      return (
+        <div className="space-y-1">
+          <p className="font-medium text-gray-900">
+            {result.dealer.name}, {formatDate(result.date)}
+          </p>
+          {result.time && (
+            <p>{result.time} is {result.available ? 'available' : 'not available'}</p>
+          )}
+          {result.slots.length > 0 ? (
+            <div className="flex flex-wrap gap-1">
+              {result.slots.map(slot => (
+                <span key={slot} className="px-2 py-0.5 bg-white border border-gray-200 rounded">{slot}</span>
+              ))}
+            </div>
+          ) : (
+            <p className="text-gray-500">No free slots (open {result.dealer.hours})</p>
+          )}
+        </div>
+      );
+
+    default:
+      return null;
+  }
+}
+
+// Structured result of a function the assistant called ('tool-call' events
+// and history entries' toolCalls)
+export default function ToolCallCard({ call }) {
+  const Icon = call.status === 'ok' ? ICONS[call.name] || Wrench : AlertCircle;
+  const failed = call.status !== 'ok';
+
+  return (
+    <div className={`border rounded-lg p-3 text-xs text-gray-700 ${
+      failed ? 'bg-amber-50 border-amber-200' : 'bg-white border-gray-200'
+    }`}>
+      <div className="flex items-center space-x-2 mb-2">
+        <Icon className={`w-4 h-4 ${failed ? 'text-amber-600' : 'text-green-600'}`} />
+        <span className="font-medium text-gray-900">
+          {failed && call.name === 'book_test_ride' ? 'Test ride not booked' : TITLES[call.name] || call.name}
+        </span>
+      </div>
+      {failed ? <p>{call.error}</p> : <Details name={call.name} result={call.result} />}
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+'use client';
+
+import { useRef, useCallback, useEffect } from 'react';
+
+// Gapless playback of streamed speech clips (one per sentence or live audio
+// segment) through Web Audio. Clips are keyed by response id and played in
+// index order even when they decode out of order; stop() silences everything
+// immediately and drops clips that arrive later for the stopped responses.
+
+const MAX_CANCELLED = 50;
+
+const base64ToArrayBuffer = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+export function useAudioQueue() {
+  const contextRef = useRef(null);
+  const responsesRef = useRef(new Map());
+  const cancelledRef = useRef(new Set());
+  const playheadRef = useRef(0);
+
+  const getContext = useCallback(() => {
+    if (!contextRef.current) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      contextRef.current = new AudioContextClass();
+    }
+    if (contextRef.current.state === 'suspended') {
+      contextRef.current.resume();
+    }
+    return contextRef.current;
+  }, []);
+
+  const getResponse = useCallback((responseId) => {
+    if (!responsesRef.current.has(responseId)) {
+      responsesRef.current.set(responseId, {
+        nextIndex: 0,
+        decoded: new Map(),
+        sources: new Set(),
+        ended: false,
+        total: null,
+      });
+    }
+    return responsesRef.current.get(responseId);
+  }, []);
+
+  const release = useCallback((responseId, response) => {
+    if (response.ended && response.sources.size === 0 && response.decoded.size === 0) {
+      responsesRef.current.delete(responseId);
+    }
+  }, []);
+
+  // Schedule every clip that is now contiguous with what already played
+  const schedule = useCallback((responseId, response) => {
+    const context = contextRef.current;
+
+    while (response.decoded.has(response.nextIndex)) {
+      const buffer = response.decoded.get(response.nextIndex);
+      response.decoded.delete(response.nextIndex);
+      response.nextIndex += 1;
+      if (!buffer) continue;
+
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(context.destination);
+
+      const startAt = Math.max(context.currentTime, playheadRef.current);
+      source.start(startAt);
+      playheadRef.current = startAt + buffer.duration;
+
+      response.sources.add(source);
+      source.onended = () => {
+        response.sources.delete(source);
+        release(responseId, response);
+      };
+    }
+
+    if (response.total !== null && response.nextIndex >= response.total) {
+      response.ended = true;
+      release(responseId, response);
+    }
+  }, [release]);
+
+  const enqueue = useCallback(async ({ responseId, index = 0, audio }) => {
+    if (!responseId || !audio || cancelledRef.current.has(responseId)) return;
+    // Register before decoding so stop() also covers clips still in flight
+    getResponse(responseId);
+
+    try {
+      const context = getContext();
+      const data = typeof audio === 'string' ? base64ToArrayBuffer(audio) : audio;
+      const buffer = await context.decodeAudioData(data);
+
+      // stop() may have run while the clip was decoding
+      if (cancelledRef.current.has(responseId)) return;
+
+      const response = getResponse(responseId);
+      response.decoded.set(index, buffer);
+      schedule(responseId, response);
+    } catch (error) {
+      console.error('Error decoding audio clip:', error);
+      if (cancelledRef.current.has(responseId)) return;
+      // Skip the broken clip rather than stalling the rest of the response
+      const response = getResponse(responseId);
+      response.decoded.set(index, null);
+      schedule(responseId, response);
+    }
+  }, [getContext, getResponse, schedule]);
+
+  // The server reports how many clips a response had once synthesis is done
+  const end = useCallback((responseId, total) => {
+    if (cancelledRef.current.has(responseId)) return;
+
+    const response = getResponse(responseId);
+    response.total = total;
+    if (contextRef.current) schedule(responseId, response);
+  }, [getResponse, schedule]);
+
+  const stop = useCallback(() => {
+    responsesRef.current.forEach((response, responseId) => {
+      response.sources.forEach((source) => {
+        source.onended = null;
+        try {
+          source.stop();
+        } catch (error) {
+          // already stopped
+        }
+      });
+      cancelledRef.current.add(responseId);
+    });
+    responsesRef.current.clear();
+    playheadRef.current = 0;
+
+    if (cancelledRef.current.size > MAX_CANCELLED) {
+      const ids = Array.from(cancelledRef.current);
+      cancelledRef.current = new Set(ids.slice(-MAX_CANCELLED));
+    }
+  }, []);
+
+  useEffect(() => {
+    return () => {
+      stop();
+      if (contextRef.current) {
+        contextRef.current.close();
+        contextRef.current = null;
+      }
+    };
+  }, [stop]);
+
+  return { enqueue, end, stop };
+}
@@ -0,0 +1,103 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001/api';
+const TOKEN_KEY = 'authToken';
+
+// Fired when the server rejects the stored token so every useAuth instance
+// drops back to the login form
+export const AUTH_EXPIRED_EVENT = 'auth-expired';
+
+export const getAuthToken = () => (
+  typeof window === 'undefined' ? null : window.localStorage.getItem(TOKEN_KEY)
+);
+
+export const clearAuthToken = () => {
+  window.localStorage.removeItem(TOKEN_KEY);
+  window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+};
+
+export function useAuth() {
+  const [user, setUser] = useState(null);
+  const [token, setToken] = useState(null);
+  const [ready, setReady] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const logout = useCallback(() => {
+    window.localStorage.removeItem(TOKEN_KEY);
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  // Restore a stored token, checking it is still valid
+  useEffect(() => {
+    const stored = getAuthToken();
+    if (!stored) {
+      setReady(true);
+      return;
+    }
+
+    axios.get(`${API_BASE_URL}/auth/me`, {
+      headers: { Authorization: `Bearer ${stored}` },
+    })
+      .then((response) => {
+        setToken(stored);
+        setUser(response.data.user);
+      })
+      .catch(() => {
+        window.localStorage.removeItem(TOKEN_KEY);
+      })
+      .finally(() => setReady(true));
+  }, []);
+
+  useEffect(() => {
+    window.addEventListener(AUTH_EXPIRED_EVENT, logout);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, logout);
+  }, [logout]);
+
+  const authenticate = useCallback(async (path, credentials, fallbackError) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/auth/${path}`, credentials);
+
+      if (response.data.success) {
+        window.localStorage.setItem(TOKEN_KEY, response.data.token);
+        setToken(response.data.token);
+        setUser(response.data.user);
+        return response.data.user;
+      } else {
+        throw new Error(response.data.error || fallbackError);
+      }
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || err.message || fallbackError;
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const login = useCallback((username, password) => (
+    authenticate('login', { username, password }, 'Failed to log in')
+  ), [authenticate]);
+
+  const register = useCallback((username, password, displayName) => (
+    authenticate('register', { username, password, displayName }, 'Failed to register')
+  ), [authenticate]);
+
+  return {
+    user,
+    token,
+    ready,
+    loading,
+    error,
+    login,
+    register,
+    logout,
+  };
+}
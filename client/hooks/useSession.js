@@ -2,9 +2,28 @@
 
 import { useState, useCallback } from 'react';
 import axios from 'axios';
+import { getAuthToken, clearAuthToken } from './useAuth';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001/api';
 
+// Every session request carries the signed-in user's token
+const api = axios.create();
+
+api.interceptors.request.use((config) => {
+  const token = getAuthToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+api.interceptors.response.use(undefined, (error) => {
+  if (error.response?.status === 401) {
+    clearAuthToken();
+  }
+  return Promise.reject(error);
+});
+
 export function useSession() {
   const [session, setSession] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -15,12 +34,13 @@ export function useSession() {
     setError(null);
     
     try {
-      const response = await axios.post(`${API_BASE_URL}/sessions`, {
+      const response = await api.post(`${API_BASE_URL}/sessions`, {
         language: options.language || 'en',
         voice: options.voice || 'male',
         autoTranslate: options.autoTranslate || false,
         voiceEnabled: options.voiceEnabled !== false,
         subtitleEnabled: options.subtitleEnabled !== false,
+        personaId: options.personaId || undefined,
       });
 
       if (response.data.success) {
@@ -44,7 +64,7 @@ export function useSession() {
     setError(null);
     
     try {
-      const response = await axios.get(`${API_BASE_URL}/sessions/${sessionId}`);
+      const response = await api.get(`${API_BASE_URL}/sessions/${sessionId}`);
       
       if (response.data.success) {
         const joinedSession = {
@@ -69,7 +89,7 @@ export function useSession() {
 
   const updateSession = useCallback(async (sessionId, updates) => {
     try {
-      const response = await axios.put(`${API_BASE_URL}/sessions/${sessionId}`, updates);
+      const response = await api.put(`${API_BASE_URL}/sessions/${sessionId}`, updates);
       
       if (response.data.success) {
         const updatedSession = response.data.session;
@@ -87,7 +107,7 @@ export function useSession() {
 
   const deleteSession = useCallback(async (sessionId) => {
     try {
-      const response = await axios.delete(`${API_BASE_URL}/sessions/${sessionId}`);
+      const response = await api.delete(`${API_BASE_URL}/sessions/${sessionId}`);
       
       if (response.data.success) {
         if (session?.id === sessionId) {
@@ -106,7 +126,7 @@ export function useSession() {
 
   const getSessionHistory = useCallback(async (sessionId, limit = 50) => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/sessions/${sessionId}/history?limit=${limit}`);
+      const response = await api.get(`${API_BASE_URL}/sessions/${sessionId}/history?limit=${limit}`);
       
       if (response.data.success) {
         return response.data.history;
@@ -122,7 +142,7 @@ export function useSession() {
 
   const getSessionStats = useCallback(async (sessionId) => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/sessions/${sessionId}/stats`);
+      const response = await api.get(`${API_BASE_URL}/sessions/${sessionId}/stats`);
       
       if (response.data.success) {
         return response.data.stats;
@@ -138,7 +158,7 @@ export function useSession() {
 
   const startRecording = useCallback(async (sessionId) => {
     try {
-      const response = await axios.post(`${API_BASE_URL}/sessions/${sessionId}/recording/start`);
+      const response = await api.post(`${API_BASE_URL}/sessions/${sessionId}/recording/start`);
       
       if (response.data.success) {
         return response.data.session;
@@ -154,7 +174,7 @@ export function useSession() {
 
   const stopRecording = useCallback(async (sessionId) => {
     try {
-      const response = await axios.post(`${API_BASE_URL}/sessions/${sessionId}/recording/stop`);
+      const response = await api.post(`${API_BASE_URL}/sessions/${sessionId}/recording/stop`);
       
       if (response.data.success) {
         return response.data.recording;
@@ -170,7 +190,7 @@ export function useSession() {
 
   const getAllSessions = useCallback(async () => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/sessions`);
+      const response = await api.get(`${API_BASE_URL}/sessions`);
       
       if (response.data.success) {
         return response.data.sessions;
@@ -184,6 +204,60 @@ export function useSession() {
     }
   }, []);
 
+  const createInvite = useCallback(async (sessionId, options = {}) => {
+    try {
+      const response = await api.post(`${API_BASE_URL}/sessions/${sessionId}/invites`, options);
+      
+      if (response.data.success) {
+        return response.data.invite;
+      } else {
+        throw new Error(response.data.error || 'Failed to create invite');
+      }
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || err.message || 'Failed to create invite';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  }, []);
+
+  const redeemInvite = useCallback(async (token) => {
+    setLoading(true);
+    setError(null);
+    
+    try {
+      const response = await api.post(`${API_BASE_URL}/invites/${encodeURIComponent(token)}/redeem`);
+      
+      if (response.data.success) {
+        setSession(response.data.session);
+        return response.data.session;
+      } else {
+        throw new Error(response.data.error || 'Failed to redeem invite');
+      }
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || err.message || 'Failed to redeem invite';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const listPersonas = useCallback(async () => {
+    try {
+      const response = await api.get(`${API_BASE_URL}/personas`);
+      
+      if (response.data.success) {
+        return response.data.personas;
+      } else {
+        throw new Error(response.data.error || 'Failed to get personas');
+      }
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || err.message || 'Failed to get personas';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  }, []);
+
   const clearSession = useCallback(() => {
     setSession(null);
     setError(null);
@@ -206,6 +280,9 @@ export function useSession() {
     startRecording,
     stopRecording,
     getAllSessions,
+    createInvite,
+    redeemInvite,
+    listPersonas,
     clearSession,
     clearError,
   };
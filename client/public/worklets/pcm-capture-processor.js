@@ -0,0 +1,72 @@
+// AudioWorklet processor that turns the microphone into fixed-size frames of
+// 16-bit mono PCM at the sample rate the server asked for. Each output sample
+// averages the input samples it covers (a box filter) before decimation, which
+// is enough anti-aliasing for speech. Frames are posted to the main thread as
+// transferable ArrayBuffers.
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { targetSampleRate = 16000, frameMs = 20 } = options.processorOptions || {};
+
+    this.ratio = sampleRate / targetSampleRate;
+    this.frameSamples = Math.round(targetSampleRate * frameMs / 1000);
+    this.frame = new Int16Array(this.frameSamples);
+    this.frameIndex = 0;
+
+    // Running box-filter state carried across render quanta
+    this.position = 0;
+    this.accumulator = 0;
+    this.accumulated = 0;
+
+    this.port.onmessage = (event) => {
+      if (event.data?.type === 'flush') this.flush();
+    };
+  }
+
+  pushSample(value) {
+    const clamped = Math.max(-1, Math.min(1, value));
+    this.frame[this.frameIndex++] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+
+    if (this.frameIndex === this.frameSamples) {
+      this.port.postMessage(this.frame.buffer, [this.frame.buffer]);
+      this.frame = new Int16Array(this.frameSamples);
+      this.frameIndex = 0;
+    }
+  }
+
+  flush() {
+    if (this.frameIndex === 0) return;
+    const partial = this.frame.slice(0, this.frameIndex);
+    this.port.postMessage(partial.buffer, [partial.buffer]);
+    this.frameIndex = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0) return true;
+
+    const channels = input.length;
+    const length = input[0].length;
+
+    for (let i = 0; i < length; i++) {
+      let mixed = 0;
+      for (let c = 0; c < channels; c++) mixed += input[c][i];
+
+      this.accumulator += mixed / channels;
+      this.accumulated++;
+      this.position++;
+
+      if (this.position >= this.ratio) {
+        this.position -= this.ratio;
+        this.pushSample(this.accumulator / this.accumulated);
+        this.accumulator = 0;
+        this.accumulated = 0;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('pcm-capture-processor', PcmCaptureProcessor);
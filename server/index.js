@@ -6,6 +6,7 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
 const SessionManager = require('./services/SessionManager');
@@ -13,9 +14,29 @@ const GeminiService = require('./services/GeminiService');
 const CacheService = require('./services/CacheService');
 const AudioProcessor = require('./services/AudioProcessor');
 const GeminiLiveService = require('./services/GeminiLiveService');
+const TtsService = require('./services/TtsService');
+const SpeechStream = require('./services/SpeechStream');
+const ListenerStream = require('./services/ListenerStream');
+const UtteranceBuffer = require('./services/UtteranceBuffer');
+const RecordingService = require('./services/RecordingService');
+const ArchiveService = require('./services/ArchiveService');
+const AuthService = require('./services/AuthService');
+const InviteService = require('./services/InviteService');
+const JobScheduler = require('./services/JobScheduler');
+const ClusterService = require('./services/ClusterService');
+const KnowledgeBase = require('./services/KnowledgeBase');
+const PersonaService = require('./services/PersonaService');
+const GuardrailService = require('./services/GuardrailService');
+const { createRevoltTools } = require('./services/tools');
+const createAuthMiddleware = require('./middleware/auth');
+const { pcmToWav, resamplePcm } = require('./utils/wav');
 const sessionRoutes = require('./routes/sessions');
 const conversationRoutes = require('./routes/conversations');
 const ttsRoutes = require('./routes/tts');
+const authRoutes = require('./routes/auth');
+const inviteRoutes = require('./routes/invites');
+const jobRoutes = require('./routes/jobs');
+const personaRoutes = require('./routes/personas');
 
 const app = express();
 const server = http.createServer(app);
@@ -32,6 +53,7 @@ const io = socketIo(server, {
 // Middleware
 app.use(helmet());
 app.use(compression());
+morgan.token('url', createAuthMiddleware.redactedUrl);
 app.use(morgan('combined'));
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' ? false : "http://localhost:3000",
@@ -50,65 +72,886 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Initialize services
+const cluster = new ClusterService(io);
 const cacheService = new CacheService();
-const sessionManager = new SessionManager(cacheService);
-const geminiService = new GeminiService();
+const recordingService = new RecordingService();
+const archiveService = new ArchiveService();
+const personaService = new PersonaService(cacheService);
+const sessionManager = new SessionManager(cacheService, {
+  recordingService,
+  archiveService,
+  personaService,
+  shared: cluster.enabled,
+  claimOwnership: (sessionId) => cluster.claim(sessionId)
+});
+const knowledgeBase = new KnowledgeBase();
+// Functions the text and live models can call; GEMINI_TOOLS_ENABLED=false
+// leaves them answering from the prompt alone
+const tools = process.env.GEMINI_TOOLS_ENABLED === 'false' ? null : createRevoltTools();
+const geminiService = new GeminiService({ knowledgeBase, tools });
+const guardrails = new GuardrailService({ knowledgeBase });
 const audioProcessor = new AudioProcessor();
-const geminiLive = new GeminiLiveService(geminiService);
+const geminiLive = new GeminiLiveService(geminiService, { tools });
+const ttsService = new TtsService();
+const authService = new AuthService(cacheService, { archiveService });
+const auth = createAuthMiddleware(authService, sessionManager);
+const inviteService = new InviteService(cacheService, sessionManager);
+
+// Maintenance jobs; JOB_*_CRON=off leaves a job to be run by hand
+const jobScheduler = new JobScheduler()
+  .register('inactive-sessions', process.env.JOB_INACTIVE_SESSIONS_CRON || '*/5 * * * *',
+    () => sessionManager.cleanupInactiveSessions())
+  .register('stale-cache-sessions', process.env.JOB_STALE_CACHE_SESSIONS_CRON || '0 * * * *',
+    () => cacheService.cleanupOldSessions())
+  .register('temp-files', process.env.JOB_TEMP_FILES_CRON || '*/15 * * * *',
+    () => audioProcessor.cleanupTempFiles());
 
 // Routes
-app.use('/api/sessions', sessionRoutes(sessionManager));
-app.use('/api/conversations', conversationRoutes(sessionManager));
-app.use('/api/tts', ttsRoutes());
-// Broadcast live responses to the session room so all participants receive them
-geminiLive.on('response', (payload) => {
-  io.to(payload.sessionId).emit('ai-response', {
-    text: payload.text,
-    audio: payload.audio,
-    language: payload.language,
-    voice: payload.voice,
-    timestamp: Date.now()
+app.use('/api/auth', authRoutes(authService, auth.requireAuth));
+app.use('/api/sessions', auth.requireAuth, sessionRoutes(sessionManager, auth, inviteService, cluster));
+app.use('/api/invites', auth.requireAuth, inviteRoutes(inviteService, sessionManager));
+app.use('/api/conversations', auth.requireAuth, conversationRoutes(sessionManager, auth));
+app.use('/api/tts', auth.requireAuth, ttsRoutes(ttsService));
+app.use('/api/personas', auth.requireAuth, personaRoutes(personaService, auth));
+app.use('/api/admin/jobs', auth.requireAuth, auth.requireAdmin, jobRoutes(jobScheduler));
+// Decoded PCM of the user's current turn (an UtteranceBuffer), per session,
+// so the configured speech-to-text provider can transcribe each turn
+const utteranceAudio = new Map();
+const getUtterance = (sessionId) => {
+  if (!utteranceAudio.has(sessionId)) {
+    utteranceAudio.set(sessionId, new UtteranceBuffer({
+      sampleRate: audioProcessor.sampleRate,
+      maxMs: audioProcessor.maxUtteranceMs
+    }));
+  }
+  return utteranceAudio.get(sessionId);
+};
+// Transcripts finalized at speech-end, waiting for the matching AI response
+const pendingTranscripts = new Map();
+// When the user's last utterance ended and when the reply to it began, for
+// the latency recorded with each history entry
+const turnTimings = new Map();
+
+const markFirstResponse = (sessionId) => {
+  const timing = turnTimings.get(sessionId);
+  if (timing && !timing.firstResponseAt) timing.firstResponseAt = Date.now();
+};
+
+const takeTurnTiming = (sessionId) => {
+  const timing = turnTimings.get(sessionId);
+  turnTimings.delete(sessionId);
+  if (!timing) return {};
+
+  return {
+    duration: timing.utteranceMs,
+    speechStartedAt: timing.speechStartedAt,
+    speechEndedAt: timing.speechEndedAt,
+    latency: {
+      firstResponseMs: timing.firstResponseAt ? timing.firstResponseAt - timing.speechEndedAt : null,
+      totalMs: Date.now() - timing.speechEndedAt
+    }
+  };
+};
+
+const transcribeUtterance = async (sessionId, language) => {
+  const utterance = utteranceAudio.get(sessionId);
+  if (utterance?.truncated) {
+    console.warn(`Utterance in ${sessionId} cut at ${audioProcessor.maxUtteranceMs} ms for transcription`);
+  }
+  const pcm = utterance ? utterance.take() : null;
+  if (!pcm) return null;
+
+  const wav = pcmToWav(pcm, audioProcessor.sampleRate);
+  const transcription = await audioProcessor.processAudio(wav, { language, format: 'wav' });
+  if (transcription?.text) {
+    io.to(sessionId).emit('transcription', transcription);
+    return transcription.text;
+  }
+  return null;
+};
+
+// AI speech is teed into an active recording as pipeline-rate PCM: MP3
+// sentences are decoded, live model audio is resampled
+const recordAiAudio = async (sessionId, clip) => {
+  if (!sessionManager.isRecording(sessionId)) return;
+
+  const timestamp = Date.now();
+  const pcm = clip.format === 'pcm'
+    ? resamplePcm(clip.audio, clip.sampleRate, audioProcessor.sampleRate)
+    : await audioProcessor.decodeToPcm(clip.audio, clip.format);
+  if (!pcm) return;
+
+  await sessionManager.addRecordingData(sessionId, {
+    type: 'audio',
+    source: 'ai',
+    pcm,
+    text: clip.text,
+    language: clip.language,
+    responseId: clip.responseId
+  }, timestamp);
+};
+
+// Every decoded 16 kHz frame feeds the utterance buffer, the live session
+// and, while recording, the user's side of the recording
+audioProcessor.on('audio-frame', async ({ sessionId, pcm }) => {
+  getUtterance(sessionId).push(pcm);
+
+  try {
+    if (sessionManager.isRecording(sessionId)) {
+      await sessionManager.addRecordingData(sessionId, { type: 'audio', source: 'user', pcm });
+    }
+
+    const session = await sessionManager.getSession(sessionId);
+    if (session) {
+      await geminiLive.sendAudioChunk(session, pcm.toString('base64'));
+    }
+  } catch (error) {
+    console.error(`Error handling audio frame (${sessionId}):`, error);
+  }
+});
+
+// Sentence-by-sentence speech for the response currently being spoken, per
+// session: a SpeechStream on the text path, or buffered native audio from
+// the live session cut into short clips
+const speechStreams = new Map();
+const liveSpeech = new Map();
+const LIVE_AUDIO_SEGMENT_MS = parseInt(process.env.LIVE_AUDIO_SEGMENT_MS) || 800;
+
+// Who hears the response currently being generated, per session: the
+// connections whose language and voice match the session's get it as
+// generated ('primary'); every other language/voice group gets its own
+// translated and re-synthesized copy through a ListenerStream
+const responseAudiences = new Map();
+
+// io.to([]) would reach every socket, so empty groups are skipped
+const emitTo = (target, event, data) => {
+  if (target.length > 0) io.to(target).emit(event, data);
+};
+
+const translateCached = async (text, language, sourceLanguage) => {
+  const cached = await cacheService.getTranslation(text, language);
+  if (cached) return cached;
+
+  const translation = await geminiService.translateText(text, language, sourceLanguage);
+  if (translation !== text) await cacheService.setTranslation(text, language, translation);
+  return translation;
+};
+
+const groupAudiences = (session) => {
+  const groups = new Map();
+  for (const participant of session.participants) {
+    const language = participant.language || session.language;
+    const voice = participant.voice || session.voice;
+    const key = `${language}:${voice}`;
+    if (!groups.has(key)) groups.set(key, { language, voice, socketIds: [] });
+    groups.get(key).socketIds.push(participant.id);
+  }
+
+  const primaryKey = `${session.language}:${session.voice}`;
+  const primary = groups.get(primaryKey);
+  groups.delete(primaryKey);
+  return { primary: primary ? primary.socketIds : [], listeners: Array.from(groups.values()) };
+};
+
+const startAudience = (session, responseId) => {
+  const previous = responseAudiences.get(session?.id);
+  if (previous) previous.listeners.forEach(listener => listener.stream.cancel());
+
+  // Without the session loaded here, fall back to the whole room
+  if (!session) return { responseId, primary: null, listeners: [] };
+
+  const { primary, listeners } = groupAudiences(session);
+  const speak = ttsService.isConfigured() && session.settings?.voiceEnabled !== false;
+  const audience = {
+    responseId,
+    primary,
+    listeners: listeners.map((group) => {
+      const stream = new ListenerStream({
+        responseId,
+        language: group.language,
+        voice: group.voice,
+        sourceLanguage: session.language,
+        translate: translateCached,
+        ttsService: speak ? ttsService : null
+      });
+      stream.on('delta', (data) => emitTo(group.socketIds, 'ai-response-delta', data));
+      stream.on('audio', (chunk) => emitTo(group.socketIds, 'ai-audio-chunk', chunk));
+      stream.on('audio-end', (data) => emitTo(group.socketIds, 'ai-audio-end', data));
+      return { ...group, stream, speaking: speak };
+    })
+  };
+  responseAudiences.set(session.id, audience);
+  return audience;
+};
+
+const getAudience = (sessionId, responseId) => {
+  const audience = responseAudiences.get(sessionId);
+  return audience && audience.responseId === responseId ? audience : null;
+};
+
+// Where output generated for the session itself goes
+const primaryTarget = (sessionId, responseId) => getAudience(sessionId, responseId)?.primary || sessionId;
+
+const isSpeaking = (sessionId) => speechStreams.has(sessionId) || liveSpeech.has(sessionId);
+
+const cancelSpeech = (sessionId) => {
+  const stream = speechStreams.get(sessionId);
+  if (stream) stream.cancel();
+  speechStreams.delete(sessionId);
+  liveSpeech.delete(sessionId);
+
+  const audience = responseAudiences.get(sessionId);
+  if (audience) audience.listeners.forEach(listener => listener.stream.cancel());
+  responseAudiences.delete(sessionId);
+};
+
+// Barge-in: stop synthesizing and tell every participant to stop playback.
+// Live sessions report the interruption through their own 'interrupted' event.
+const interruptResponse = (sessionId, source) => {
+  cancelSpeech(sessionId);
+  if (geminiLive.sessions.has(sessionId)) {
+    geminiLive.interrupt(sessionId, source);
+  } else {
+    io.to(sessionId).emit('interrupted', { source });
+  }
+};
+
+const startSpeechStream = (session, responseId) => {
+  if (!ttsService.isConfigured() || session.settings?.voiceEnabled === false) return null;
+
+  cancelSpeech(session.id);
+  const stream = new SpeechStream(ttsService, {
+    responseId,
+    language: session.language,
+    voice: session.voice
+  });
+  stream.on('audio', (chunk) => {
+    emitTo(primaryTarget(session.id, responseId), 'ai-audio-chunk', chunk);
+    recordAiAudio(session.id, {
+      audio: Buffer.from(chunk.audio, 'base64'),
+      format: 'mp3',
+      text: chunk.text,
+      language: session.language,
+      responseId
+    });
+  });
+  stream.on('end', (data) => {
+    emitTo(primaryTarget(session.id, responseId), 'ai-audio-end', data);
+    if (speechStreams.get(session.id) === stream) speechStreams.delete(session.id);
+  });
+  speechStreams.set(session.id, stream);
+  return stream;
+};
+
+const flushLiveSpeech = (sessionId, final = false) => {
+  const speech = liveSpeech.get(sessionId);
+  if (!speech) return;
+
+  if (speech.chunks.length > 0) {
+    const pcm = Buffer.concat(speech.chunks);
+    const wav = pcmToWav(pcm, speech.sampleRate);
+    speech.chunks = [];
+    speech.bytes = 0;
+    recordAiAudio(sessionId, { audio: pcm, format: 'pcm', sampleRate: speech.sampleRate, responseId: speech.responseId });
+    emitTo(primaryTarget(sessionId, speech.responseId), 'ai-audio-chunk', {
+      responseId: speech.responseId,
+      index: speech.index++,
+      audio: wav.toString('base64'),
+      mimeType: 'audio/wav'
+    });
+  }
+
+  if (final) {
+    liveSpeech.delete(sessionId);
+    emitTo(primaryTarget(sessionId, speech.responseId), 'ai-audio-end', { responseId: speech.responseId, chunks: speech.index });
+  }
+};
+
+// VAD runs per session, so speech is attributed to the connection that
+// last streamed audio into it
+const audioSenders = new Map();
+
+const setSpeaking = async (sessionId, speaking) => {
+  const participantId = audioSenders.get(sessionId);
+  if (!participantId) return;
+
+  try {
+    const participant = await sessionManager.updateParticipant(sessionId, participantId, { speaking });
+    if (participant) io.to(sessionId).emit('participant-updated', participant);
+  } catch (error) {
+    console.error('Error updating speaking state:', error);
+  }
+};
+
+// Server-side VAD decides where a user turn starts and ends
+audioProcessor.on('speech-start', ({ sessionId, timestamp }) => {
+  io.to(sessionId).emit('speech-start', { timestamp });
+  setSpeaking(sessionId, true);
+  getUtterance(sessionId).start();
+  // Barge-in: the user talking over a response cuts it off
+  if (geminiLive.isResponding(sessionId) || isSpeaking(sessionId)) {
+    interruptResponse(sessionId, 'client');
+  }
+  // A new turn: whatever was left of a reply cut off by the guardrails is gone
+  liveScreens.delete(sessionId);
+  geminiLive.startActivity(sessionId);
+});
+
+audioProcessor.on('speech-end', async ({ sessionId, durationMs, reason, startedAt, endedAt, timestamp }) => {
+  io.to(sessionId).emit('speech-end', { durationMs, reason, timestamp });
+  setSpeaking(sessionId, false);
+  geminiLive.endActivity(sessionId);
+  turnTimings.set(sessionId, {
+    speechStartedAt: startedAt,
+    speechEndedAt: endedAt || timestamp || Date.now(),
+    utteranceMs: durationMs
+  });
+
+  try {
+    const session = await sessionManager.getSession(sessionId);
+    const transcript = await transcribeUtterance(sessionId, session?.language);
+    if (!transcript) return;
+
+    if (geminiLive.isOpen(sessionId)) {
+      // The live model answers on its own; pair the transcript with its response
+      pendingTranscripts.set(sessionId, transcript);
+    } else if (session) {
+      await streamTextResponse(session, transcript);
+    }
+  } catch (error) {
+    console.error(`Error handling end of speech (${sessionId}):`, error);
+  }
+});
+
+// Persist a completed turn; clients swap their optimistic entry for the
+// stored one (matched on responseId) when 'history-entry-added' arrives
+const recordTurn = async (sessionId, response) => {
+  const { duration, latency, speechStartedAt, speechEndedAt } = takeTurnTiming(sessionId);
+  // Only audio that already exists at a fetchable URL goes into history: a
+  // POST to /api/tts is a request to synthesise it, and inline live audio is
+  // too large to keep
+  const audio = response.audio || {};
+  const audioUrl = audio.audioUrl && audio.method !== 'POST' && !audio.audioUrl.startsWith('data:')
+    ? audio.audioUrl
+    : undefined;
+
+  if (sessionManager.isRecording(sessionId)) {
+    await sessionManager.addRecordingData(sessionId, {
+      type: 'caption',
+      speaker: 'user',
+      text: response.transcript,
+      language: response.language,
+      startTime: speechStartedAt,
+      endTime: speechEndedAt
+    });
+    await sessionManager.addRecordingData(sessionId, {
+      type: 'caption',
+      speaker: 'ai',
+      text: response.text,
+      language: response.language,
+      responseId: response.responseId
+    });
+  }
+
+  try {
+    const entry = await sessionManager.addToHistory(sessionId, {
+      responseId: response.responseId,
+      timestamp: response.timestamp,
+      userInput: response.transcript,
+      aiResponse: response.text,
+      language: response.language,
+      voice: response.voice,
+      audioUrl,
+      audioMimeType: audioUrl ? audio.mimeType || 'audio/mpeg' : undefined,
+      duration,
+      latency,
+      translations: response.translations,
+      citations: response.citations,
+      toolCalls: response.toolCalls,
+      guardrail: response.guardrail
+    });
+    io.to(sessionId).emit('history-entry-added', { responseId: response.responseId, entry });
+  } catch (error) {
+    console.error('Error saving history entry:', error.message);
+  }
+};
+
+// Final response for a turn. 'ai-response-complete' closes the delta stream;
+// 'ai-response' carries the same payload for clients that do not stream.
+// Other language/voice groups get theirs once their copy is complete, and
+// the translations are stored with the history entry.
+const broadcastResponse = async (sessionId, payload, audience = getAudience(sessionId, payload.responseId)) => {
+  const response = { ...payload, timestamp: Date.now() };
+  const primary = audience?.primary || sessionId;
+  emitTo(primary, 'ai-response-complete', response);
+  emitTo(primary, 'ai-response', response);
+
+  const translations = {};
+  await Promise.all((audience?.listeners || []).map(async (listener) => {
+    // A reply replaced by a refusal afterwards: its copy is dropped and the
+    // refusal translated instead
+    if (response.guardrail?.stage === 'output') listener.stream.cancel();
+    // A barge-in cuts the copy short; it still gets what was translated
+    const text = response.guardrail?.stage === 'output'
+      ? await translateCached(response.text, listener.language, response.language)
+      : await listener.stream.end(response.text);
+    if (!listener.stream.cancelled && listener.language !== response.language) {
+      translations[listener.language] = text;
+    }
+    const copy = {
+      ...response,
+      text,
+      originalText: response.text,
+      language: listener.language,
+      voice: listener.voice,
+      audio: undefined,
+      audioStreamed: listener.speaking
+    };
+    emitTo(listener.socketIds, 'ai-response-complete', copy);
+    emitTo(listener.socketIds, 'ai-response', copy);
+  }));
+  if (responseAudiences.get(sessionId) === audience) responseAudiences.delete(sessionId);
+
+  await recordTurn(sessionId, {
+    ...response,
+    translations: Object.keys(translations).length > 0 ? translations : undefined
+  });
+};
+
+// Responses completed while a client was away, oldest first and in the
+// language it listens in. Marked replayed: they are caught up on, not spoken.
+const replayResponses = async (socket, sessionId, since, language) => {
+  const history = await sessionManager.getSessionHistory(sessionId);
+  for (const entry of history) {
+    if (!entry.responseId || !(entry.timestamp > since)) continue;
+
+    const translated = entry.translations?.[language];
+    const response = {
+      responseId: entry.responseId,
+      text: translated || entry.aiResponse,
+      originalText: translated ? entry.aiResponse : undefined,
+      language: translated ? language : entry.language,
+      voice: entry.voice,
+      transcript: entry.userInput,
+      citations: entry.citations,
+      toolCalls: entry.toolCalls,
+      timestamp: entry.timestamp,
+      replayed: true
+    };
+    socket.emit('ai-response-complete', response);
+    socket.emit('ai-response', response);
+  }
+};
+
+// Text path used when no live session is available: stream the reply to the
+// transcript token by token from streamGenerateContent
+const streamTextResponse = async (session, transcript) => {
+  const responseId = uuidv4();
+  const speech = startSpeechStream(session, responseId);
+  const audience = startAudience(session, responseId);
+  const relay = (text) => {
+    markFirstResponse(session.id);
+    emitTo(audience.primary, 'ai-response-delta', { responseId, text });
+    audience.listeners.forEach(listener => listener.stream.push(text));
+    if (speech) speech.push(text);
+  };
+  const guard = { persona: session.persona, language: session.language };
+
+  try {
+    // A turn that trips the guardrails is answered with a refusal, without
+    // asking the model
+    let guardrail = guardrails.check(transcript, { ...guard, stage: 'input' });
+    let response;
+    if (guardrail) {
+      response = { text: guardrails.refusal(session.language, guardrail, session.persona), language: session.language, voice: session.voice };
+      relay(response.text);
+    } else {
+      let streamed = '';
+      response = await geminiService.streamResponse(transcript, session, (text) => {
+        if (guardrail) return;
+        streamed += text;
+        guardrail = guardrails.check(streamed, { ...guard, stage: 'output', partial: true });
+        if (guardrail) {
+          // Cut the reply off where it tripped the blocklist
+          cancelSpeech(session.id);
+          io.to(session.id).emit('interrupted', { source: 'guardrail' });
+          return;
+        }
+        relay(text);
+      }, (call) => {
+        io.to(session.id).emit('tool-call', { responseId, ...call });
+      });
+      guardrail = guardrail
+        || (response.blocked ? { stage: 'output', reason: 'safety' } : null)
+        || guardrails.check(response.text, { ...guard, stage: 'output' });
+      if (guardrail) {
+        response = { ...response, text: guardrails.refusal(session.language, guardrail, session.persona), audio: null, citations: [] };
+      }
+    }
+    if (speech) speech.end();
+
+    await broadcastResponse(session.id, {
+      responseId,
+      text: response.text,
+      audio: response.audio,
+      audioStreamed: Boolean(speech),
+      language: response.language,
+      voice: response.voice,
+      citations: response.citations,
+      toolCalls: response.toolCalls,
+      guardrail: guardrail || undefined,
+      transcript
+    }, audience);
+  } catch (error) {
+    cancelSpeech(session.id);
+    turnTimings.delete(session.id);
+    io.to(session.id).emit('ai-response-complete', { responseId, error: error.message });
+    io.to(session.id).emit('error', { message: error.message });
+  }
+};
+
+// Live output transcription arrives incrementally; relay it as deltas. Native
+// audio is regrouped into short WAV clips for the client playback queue.
+// Live replies are screened as they stream. One that trips the blocklist is
+// cut off, and everything the model still sends for that turn is dropped
+// until the turn completes or the user speaks again.
+const liveScreens = new Map();
+
+const screenLiveChunk = (sessionId, responseId, text) => {
+  let screen = liveScreens.get(sessionId);
+  if (!screen || (screen.responseId !== responseId && !screen.violation)) {
+    screen = { responseId, text: '', violation: null };
+    liveScreens.set(sessionId, screen);
+  }
+  if (screen.violation) return false;
+  if (!text) return true;
+
+  screen.text += text;
+  const session = sessionManager.getLoadedSession(sessionId);
+  screen.violation = guardrails.check(screen.text, {
+    persona: session?.persona,
+    language: session?.language,
+    stage: 'output',
+    partial: true
   });
+  if (screen.violation) interruptResponse(sessionId, 'guardrail');
+  return !screen.violation;
+};
+
+geminiLive.on('response-chunk', ({ sessionId, responseId, text, audio, mimeType }) => {
+  if (!screenLiveChunk(sessionId, responseId, text)) return;
+  markFirstResponse(sessionId);
+  const audience = getAudience(sessionId, responseId)
+    || startAudience(sessionManager.getLoadedSession(sessionId), responseId);
+  if (text) {
+    emitTo(audience.primary || sessionId, 'ai-response-delta', { responseId, text });
+    audience.listeners.forEach(listener => listener.stream.push(text));
+  }
+
+  if (audio) {
+    let speech = liveSpeech.get(sessionId);
+    if (!speech || speech.responseId !== responseId) {
+      flushLiveSpeech(sessionId, true);
+      const rate = /rate=(\d+)/.exec(mimeType || '');
+      speech = { responseId, sampleRate: rate ? parseInt(rate[1]) : 24000, chunks: [], bytes: 0, index: 0 };
+      liveSpeech.set(sessionId, speech);
+    }
+
+    const pcm = Buffer.from(audio, 'base64');
+    speech.chunks.push(pcm);
+    speech.bytes += pcm.length;
+    if (speech.bytes >= speech.sampleRate * 2 * LIVE_AUDIO_SEGMENT_MS / 1000) {
+      flushLiveSpeech(sessionId);
+    }
+  }
+});
+
+// Broadcast live responses to the session room so all participants receive them
+geminiLive.on('response', async (payload) => {
+  try {
+    const audioStreamed = liveSpeech.get(payload.sessionId)?.responseId === payload.responseId;
+    if (audioStreamed) flushLiveSpeech(payload.sessionId, true);
+
+    let transcript = pendingTranscripts.get(payload.sessionId);
+    pendingTranscripts.delete(payload.sessionId);
+    if (!transcript) {
+      transcript = await transcribeUtterance(payload.sessionId, payload.language) || payload.transcript;
+    }
+
+    // The live model has already answered by the time the transcript is known,
+    // so a turn that trips the guardrails keeps its refusal in place of the reply
+    const screen = liveScreens.get(payload.sessionId);
+    liveScreens.delete(payload.sessionId);
+    const session = sessionManager.getLoadedSession(payload.sessionId);
+    const guard = { persona: session?.persona, language: payload.language };
+    const guardrail = screen?.violation
+      || guardrails.check(transcript, { ...guard, stage: 'input' })
+      || guardrails.check(payload.text, { ...guard, stage: 'output' });
+
+    await broadcastResponse(payload.sessionId, {
+      responseId: payload.responseId,
+      text: guardrail ? guardrails.refusal(payload.language, guardrail, session?.persona) : payload.text,
+      audio: guardrail ? null : payload.audio,
+      audioStreamed: audioStreamed || Boolean(guardrail),
+      language: payload.language,
+      voice: payload.voice,
+      // The live model had the whole knowledge base; cite what the question matches
+      citations: guardrail ? [] : knowledgeBase.citations(knowledgeBase.search(transcript)),
+      toolCalls: payload.toolCalls,
+      guardrail: guardrail || undefined,
+      transcript
+    });
+  } catch (error) {
+    console.error(`Error broadcasting live response (${payload.sessionId}):`, error);
+  }
+});
+
+geminiLive.on('session-closed', ({ sessionId }) => {
+  // Upstream drops keep the session registered and reconnect lazily
+  if (geminiLive.sessions.has(sessionId)) return;
+
+  utteranceAudio.delete(sessionId);
+  pendingTranscripts.delete(sessionId);
+  turnTimings.delete(sessionId);
+  liveScreens.delete(sessionId);
+  cancelSpeech(sessionId);
+  audioProcessor.closeStream(sessionId);
+});
+
+// Calls the live model made while answering, shown as they happen
+geminiLive.on('tool-call', ({ sessionId, ...call }) => {
+  io.to(sessionId).emit('tool-call', call);
+});
+
+// Interruptions come from the upstream live session (server-side VAD) or from
+// a client barge-in; either way every participant should stop playback
+geminiLive.on('interrupted', (payload) => {
+  cancelSpeech(payload.sessionId);
+  io.to(payload.sessionId).emit('interrupted', { source: payload.source });
 });
 
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
+  const cache = cacheService.getStatus();
   res.json({ 
-    status: 'OK', 
+    status: cache.degraded ? 'DEGRADED' : 'OK', 
     timestamp: new Date().toISOString(),
     services: {
-      redis: cacheService.isConnected(),
-      gemini: await geminiService.healthCheck()
+      cache,
+      gemini: await geminiService.healthCheck(),
+      knowledge: knowledgeBase.getStatus(),
+      guardrails: guardrails.getStatus(),
+      tools: tools ? tools.getStatus() : null
+    }
+  });
+});
+
+// A dropped connection keeps its place in the session for
+// RECONNECT_GRACE_MS so the client can resume it with its token; only then
+// is it removed (ending the session if it was the last one)
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS) || 30000;
+const pendingDepartures = new Map();
+
+const departParticipant = async (sessionId, participantId) => {
+  const participant = sessionManager.getParticipant(await sessionManager.getSession(sessionId), participantId);
+  await sessionManager.leaveSession(sessionId, participantId);
+  if (participant) io.to(sessionId).emit('participant-left', participant);
+};
+
+// The upstream live model runs as the session's persona, grounded in the
+// knowledge base: live turns are answered before any transcript exists, so
+// the passages go into the instruction up front instead of per turn
+const LIVE_KNOWLEDGE_MAX_CHARS = parseInt(process.env.KNOWLEDGE_LIVE_MAX_CHARS) || 8000;
+const LIVE_KNOWLEDGE = knowledgeBase.passages.length > 0
+  ? `Base product facts (specifications, prices, dealers, service) on this reference information, and say you are not sure when it does not cover a question:\n\n${knowledgeBase.overview(LIVE_KNOWLEDGE_MAX_CHARS)}`
+  : null;
+
+// Sessions created before personas existed run as the default one
+const liveInstruction = async (session) => [
+  PersonaService.instructions(session?.persona || await personaService.resolve()),
+  LIVE_KNOWLEDGE,
+  tools?.instructions()
+].filter(Boolean).join('\n\n');
+
+// Work that has to happen on the node owning the session: its audio
+// pipeline, live connection, response audiences and recording buffer live
+// there. With a single node every session is owned locally.
+cluster
+  .handle('audio', async ({ sessionId, participantId, audioData, format }) => {
+    // Refreshes this node's copy, which streamed output reads synchronously
+    const session = await sessionManager.getSession(sessionId);
+    // Taken over from a node that went away
+    if (geminiLive.enabled && !geminiLive.sessions.has(sessionId)) {
+      await geminiLive.openSession(sessionId, await liveInstruction(session));
     }
+
+    audioSenders.set(sessionId, participantId);
+    // Decode to 16 kHz PCM frames; 'audio-frame' listeners forward them to
+    // the Gemini Live proxy (low-latency streaming path)
+    await audioProcessor.processAudioChunk(audioData, sessionId, { format });
+  })
+  .handle('interrupt', async ({ sessionId }) => interruptResponse(sessionId, 'client'))
+  .handle('start-recording', async ({ sessionId }) => {
+    const session = await sessionManager.startRecording(sessionId);
+    return { id: session.id, state: session.state, isRecording: session.isRecording, recordingStartTime: session.recordingStartTime };
+  })
+  .handle('stop-recording', ({ sessionId }) => sessionManager.stopRecording(sessionId))
+  .handle('session-ended', async ({ sessionId }) => {
+    if (!cluster.owns(sessionId)) return;
+    await cluster.release(sessionId);
+    await geminiLive.closeSession(sessionId);
+  })
+  .handle('list-sessions', ({ user }) => sessionManager.getAllSessions(user));
+
+// Another node took the session over after this one failed to renew its lock
+cluster.on('lost', (sessionId) => {
+  geminiLive.closeSession(sessionId).catch((error) => {
+    console.error('Error closing live session:', error);
   });
 });
 
-// WebSocket connection handling
+// Lifecycle changes go to the room; the upstream live connection is shared
+// by the room, so its owner closes it when the session ends
+sessionManager.on('state-change', (change) => {
+  io.to(change.sessionId).emit('session-state', change);
+  if (change.state === 'ended') {
+    cluster.notify('session-ended', { sessionId: change.sessionId }).catch((error) => {
+      console.error('Error closing live session:', error);
+    });
+  }
+});
+
+// A recording that reached RECORDING_MAX_MS was stopped and saved on its own
+sessionManager.on('recording-limit', ({ sessionId, recording }) => {
+  io.to(sessionId).emit('recording-stopped', { recording, reason: 'max-duration' });
+});
+
+// WebSocket connection handling; the handshake must carry a valid token
+io.use(auth.authenticateSocket);
+
 io.on('connection', (socket) => {
-  console.log(`Client connected: ${socket.id}`);
+  const { user } = socket.data;
+  console.log(`Client connected: ${socket.id} (${user.username})`);
   
   let currentSession = null;
+  let resumeToken = null;
   let audioStream = null;
+  let streamFormat = null;
+
+  // Re-reads the session so role changes by the host apply immediately;
+  // emits 'forbidden' and returns null when the user lacks the permission
+  const authorize = async (permission) => {
+    const session = currentSession && await sessionManager.getSession(currentSession.id);
+    if (!session) return null;
+    if (!sessionManager.hasPermission(session, user, permission)) {
+      socket.emit('forbidden', { permission, message: `Your role cannot ${permission.replace('-', ' ')}` });
+      return null;
+    }
+    return session;
+  };
+
+  // Roster changes for every connection of a user (role, mute)
+  const broadcastUserUpdate = (session, userId) => {
+    for (const participant of session.participants) {
+      if (participant.userId === userId) {
+        io.to(session.id).emit('participant-updated', sessionManager.getParticipant(session, participant.id));
+      }
+    }
+  };
+
+  const updatePreferences = async (changes) => {
+    const participant = await sessionManager.updateParticipant(currentSession.id, socket.id, changes);
+    if (participant) io.to(currentSession.id).emit('participant-updated', participant);
+  };
+
+  // Any participant may pick the language and voice they hear responses in;
+  // change-language / change-voice set the session's own (host only)
+  socket.on('update-preferences', async (data = {}) => {
+    try {
+      if (currentSession) {
+        const { language, voice } = data;
+        await updatePreferences({ language, voice });
+      }
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  });
 
   // Join session
   socket.on('join-session', async (data) => {
     try {
-      const { sessionId, language = 'en', voice = 'male' } = data;
-      currentSession = await sessionManager.joinSession(sessionId, socket.id, { language, voice });
-      // open live session with system instruction restricting domain
-      const systemInstruction = 'You are Rev, the voice assistant for Revolt Motors. Only discuss Revolt Motors products, services, and related topics.';
-      await geminiLive.openSession(sessionId, systemInstruction);
+      const { sessionId, language, voice, since } = data;
+      // The connection id the resume token was issued to, for the roster
+      const previous = data.resumeToken && await sessionManager.getSession(sessionId);
+      const previousId = previous?.participants.find(p => p.resumeToken === data.resumeToken)?.id;
+
+      currentSession = await sessionManager.joinSession(sessionId, socket.id, {
+        language,
+        voice,
+        user,
+        resumeToken: data.resumeToken,
+        // Used when the join creates the session
+        personaId: data.personaId
+      });
+      resumeToken = sessionManager.getResumeToken(currentSession, socket.id);
+      const resumed = Boolean(data.resumeToken) && data.resumeToken === resumeToken;
+      if (resumed) {
+        clearTimeout(pendingDepartures.get(resumeToken)?.timer);
+        pendingDepartures.delete(resumeToken);
+      }
+
+      // The owning node opens the upstream live session
+      if (await cluster.claim(sessionId)) {
+        await geminiLive.openSession(sessionId, await liveInstruction(currentSession));
+      }
       
       socket.join(sessionId);
+      const participant = sessionManager.getParticipant(currentSession, socket.id);
       socket.emit('session-joined', { 
         sessionId, 
-        language, 
-        voice,
-        history: currentSession.history || []
+        language: currentSession.language, 
+        voice: currentSession.voice,
+        state: currentSession.state,
+        persona: currentSession.persona
+          ? { id: currentSession.persona.id, name: currentSession.persona.name, greeting: currentSession.persona.greeting }
+          : null,
+        role: sessionManager.getRole(currentSession, user),
+        preferences: { language: participant.language, voice: participant.voice },
+        history: currentSession.history || [],
+        participants: sessionManager.listParticipants(currentSession),
+        audioConfig: audioProcessor.getAudioConfig(),
+        resumeToken,
+        resumed
       });
+
+      if (resumed) {
+        // Same roster entry under the new connection id
+        socket.to(sessionId).emit('participant-updated', { ...participant, previousId });
+        if (typeof since === 'number') await replayResponses(socket, sessionId, since, participant.language);
+      } else {
+        socket.to(sessionId).emit('participant-joined', participant);
+      }
       
       console.log(`Client ${socket.id} joined session ${sessionId}`);
+    } catch (error) {
+      socket.emit('error', { message: error.message, status: error.status });
+    }
+  });
+
+  // Leaving on purpose skips the reconnect grace period
+  socket.on('leave-session', async () => {
+    try {
+      if (!currentSession) return;
+
+      const sessionId = currentSession.id;
+      if (audioSenders.get(sessionId) === socket.id) audioSenders.delete(sessionId);
+      currentSession = null;
+      resumeToken = null;
+
+      socket.leave(sessionId);
+      await departParticipant(sessionId, socket.id);
+      console.log(`Client ${socket.id} left session ${sessionId}`);
     } catch (error) {
       socket.emit('error', { message: error.message });
     }
@@ -122,20 +965,42 @@ io.on('connection', (socket) => {
         return;
       }
 
-      const { audioData, timestamp } = data;
-      
-      // Forward chunk to Gemini Live proxy (low-latency streaming path)
-      await geminiLive.sendAudioChunk(currentSession, audioData);
+      // Observers and muted participants are listen-only
+      const session = await sessionManager.getSession(currentSession.id);
+      if (!sessionManager.hasPermission(session, user, 'speak')) {
+        return;
+      }
+
+      const { audioData, format, timestamp } = data;
+
+      // Processed by the session's owner; forwarded chunks travel as base64
+      await cluster.send(currentSession.id, 'audio', {
+        participantId: socket.id,
+        audioData: Buffer.isBuffer(audioData) ? audioData.toString('base64') : audioData,
+        format: format || streamFormat
+      });
     } catch (error) {
       console.error('Error processing audio:', error);
       socket.emit('error', { message: 'Error processing audio' });
     }
   });
+  // Client proposes its capture mode (MediaRecorder WebM or AudioWorklet PCM)
+  socket.on('audio-config', (data = {}) => {
+    const result = audioProcessor.negotiateAudioConfig(data);
+    if (result.accepted) {
+      streamFormat = result.format;
+      socket.emit('audio-config-accepted', result);
+    } else {
+      socket.emit('audio-config-rejected', result);
+    }
+  });
+
   // Barge-in: user started speaking while AI is talking
   socket.on('interrupt', () => {
     if (currentSession) {
-      geminiLive.interrupt(currentSession.id);
-      socket.emit('interrupted');
+      cluster.send(currentSession.id, 'interrupt').catch((error) => {
+        console.error('Error interrupting response:', error);
+      });
     }
   });
 
@@ -143,10 +1008,11 @@ io.on('connection', (socket) => {
   socket.on('change-language', async (data) => {
     try {
       const { language } = data;
-      if (currentSession) {
+      if (await authorize('change-language')) {
         currentSession.language = language;
         await sessionManager.updateSession(currentSession.id, { language });
-        socket.emit('language-changed', { language });
+        io.to(currentSession.id).emit('language-changed', { language });
+        await updatePreferences({ language });
       }
     } catch (error) {
       socket.emit('error', { message: error.message });
@@ -157,10 +1023,11 @@ io.on('connection', (socket) => {
   socket.on('change-voice', async (data) => {
     try {
       const { voice } = data;
-      if (currentSession) {
+      if (await authorize('change-voice')) {
         currentSession.voice = voice;
         await sessionManager.updateSession(currentSession.id, { voice });
-        socket.emit('voice-changed', { voice });
+        io.to(currentSession.id).emit('voice-changed', { voice });
+        await updatePreferences({ voice });
       }
     } catch (error) {
       socket.emit('error', { message: error.message });
@@ -170,9 +1037,9 @@ io.on('connection', (socket) => {
   // Start recording
   socket.on('start-recording', async () => {
     try {
-      if (currentSession) {
-        await sessionManager.startRecording(currentSession.id);
-        socket.emit('recording-started');
+      if (await authorize('record')) {
+        await cluster.run(currentSession.id, 'start-recording');
+        io.to(currentSession.id).emit('recording-started');
       }
     } catch (error) {
       socket.emit('error', { message: error.message });
@@ -182,9 +1049,51 @@ io.on('connection', (socket) => {
   // Stop recording
   socket.on('stop-recording', async () => {
     try {
-      if (currentSession) {
-        const recording = await sessionManager.stopRecording(currentSession.id);
-        socket.emit('recording-stopped', { recording });
+      if (await authorize('record')) {
+        const recording = await cluster.run(currentSession.id, 'stop-recording');
+        io.to(currentSession.id).emit('recording-stopped', { recording });
+      }
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  // Host controls: change a participant's role or mute them
+  socket.on('update-participant', async (data = {}) => {
+    try {
+      const { userId, role, muted } = data;
+      const session = await authorize('manage-participants');
+      if (session) {
+        const member = await sessionManager.updateMember(session.id, userId, { role, muted });
+        for (const participant of session.participants) {
+          if (participant.userId === userId) {
+            io.to(participant.id).emit('role-changed', { role: member.role, muted: member.muted });
+          }
+        }
+        broadcastUserUpdate(session, userId);
+      }
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  // Host controls: remove a participant and revoke their access
+  socket.on('remove-participant', async (data = {}) => {
+    try {
+      const { userId } = data;
+      const session = await authorize('manage-participants');
+      if (session) {
+        const removed = session.participants
+          .filter(p => p.userId === userId)
+          .map(p => sessionManager.getParticipant(session, p.id));
+        const socketIds = await sessionManager.removeMember(session.id, userId);
+        for (const socketId of socketIds) {
+          io.to(socketId).emit('removed-from-session', { sessionId: session.id });
+          io.in(socketId).socketsLeave(session.id);
+        }
+        for (const participant of removed) {
+          io.to(session.id).emit('participant-left', participant);
+        }
       }
     } catch (error) {
       socket.emit('error', { message: error.message });
@@ -194,9 +1103,25 @@ io.on('connection', (socket) => {
   // Disconnect handling
   socket.on('disconnect', async () => {
     console.log(`Client disconnected: ${socket.id}`);
-    if (currentSession) {
-      await geminiLive.closeSession(currentSession.id);
-      await sessionManager.leaveSession(currentSession.id, socket.id);
+    if (!currentSession) return;
+
+    const sessionId = currentSession.id;
+    if (audioSenders.get(sessionId) === socket.id) audioSenders.delete(sessionId);
+
+    try {
+      const participant = await sessionManager.suspendParticipant(sessionId, socket.id);
+      if (!participant) return;
+      io.to(sessionId).emit('participant-updated', participant);
+
+      const timer = setTimeout(() => {
+        pendingDepartures.delete(resumeToken);
+        departParticipant(sessionId, socket.id).catch((error) => {
+          console.error('Error removing disconnected participant:', error);
+        });
+      }, RECONNECT_GRACE_MS);
+      pendingDepartures.set(resumeToken, { sessionId, timer });
+    } catch (error) {
+      console.error('Error suspending disconnected participant:', error);
     }
   });
 });
@@ -214,14 +1139,20 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 3001;  
 
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV}`);
+// The Socket.IO adapter has to be in place before the first connection
+cluster.connect().then(() => {
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV}`);
+    jobScheduler.start();
+  });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  jobScheduler.stop();
+  cluster.disconnect();
   server.close(() => {
     console.log('Process terminated');
   });
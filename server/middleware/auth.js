@@ -0,0 +1,124 @@
+// Express and Socket.IO guards built on AuthService. Tokens are read from an
+// "Authorization: Bearer" header. Only the downloads the browser loads
+// directly (<audio src> on recordings, caption and export links) may pass an
+// access_token query parameter instead, as no header can be set there.
+
+const QUERY_TOKEN_ROUTES = [
+  /^\/api\/sessions\/recording\/[^/]+\/(audio|captions)$/,
+  /^\/api\/conversations\/[^/]+\/export$/
+];
+
+const acceptsQueryToken = (req) => (
+  req.method === 'GET' && QUERY_TOKEN_ROUTES.some(route => route.test(req.baseUrl + req.path))
+);
+
+const readToken = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return acceptsQueryToken(req) ? req.query.access_token || null : null;
+};
+
+// morgan :url token with the access_token value left out of the access log
+const redactedUrl = (req) => (req.originalUrl || req.url).replace(/([?&]access_token=)[^&]*/g, '$1[redacted]');
+
+const createAuth = (authService, sessionManager) => {
+  const requireAuth = (req, res, next) => {
+    const user = authService.verifyToken(readToken(req));
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    req.user = user;
+    next();
+  };
+
+  const requireAdmin = (req, res, next) => {
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access required'
+      });
+    }
+    next();
+  };
+
+  // router.param handler: loads the session (live or archived) into
+  // req.session and rejects users who may not access it
+  const loadSession = async (req, res, next, sessionId) => {
+    try {
+      const session = await sessionManager.findSession(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+      if (!sessionManager.canAccess(session, req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      req.session = session;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Route guard for actions limited by session role; runs after loadSession
+  const requirePermission = (permission) => (req, res, next) => {
+    if (!sessionManager.hasPermission(req.session, req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not allowed for your role in this session'
+      });
+    }
+    next();
+  };
+
+  // router.param handler for recordings, checked against their session
+  const loadRecording = async (req, res, next, recordingId) => {
+    try {
+      const recording = await sessionManager.getRecording(recordingId);
+      const session = recording && await sessionManager.findSession(recording.sessionId);
+      if (!recording) {
+        return res.status(404).json({
+          success: false,
+          error: 'Recording not found'
+        });
+      }
+      if (!session || !sessionManager.canAccess(session, req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      req.recording = recording;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // io.use middleware: the client passes its token in the handshake auth
+  const authenticateSocket = (socket, next) => {
+    const user = authService.verifyToken(socket.handshake.auth?.token);
+    if (!user) {
+      return next(new Error('Unauthorized'));
+    }
+
+    socket.data.user = user;
+    next();
+  };
+
+  return { requireAuth, requireAdmin, loadSession, requirePermission, loadRecording, authenticateSocket };
+};
+
+module.exports = createAuth;
+module.exports.redactedUrl = redactedUrl;
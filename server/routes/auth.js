@@ -0,0 +1,57 @@
+const express = require('express');
+
+module.exports = (authService, requireAuth) => {
+  const router = express.Router();
+
+  // Register a local account; responds with a token like login
+  router.post('/register', async (req, res) => {
+    try {
+      const { username, password, displayName } = req.body;
+      
+      const { token, user } = await authService.register({ username, password, displayName });
+      
+      res.status(201).json({
+        success: true,
+        token,
+        user
+      });
+    } catch (error) {
+      if (!error.status) console.error('Error registering user:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to register'
+      });
+    }
+  });
+
+  // Exchange username/password for a bearer token
+  router.post('/login', async (req, res) => {
+    try {
+      const { username, password } = req.body;
+      
+      const { token, user } = await authService.login(username, password);
+      
+      res.json({
+        success: true,
+        token,
+        user
+      });
+    } catch (error) {
+      if (!error.status) console.error('Error logging in:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to log in'
+      });
+    }
+  });
+
+  // Current user for a token
+  router.get('/me', requireAuth, (req, res) => {
+    res.json({
+      success: true,
+      user: req.user
+    });
+  });
+
+  return router;
+};
@@ -1,8 +1,15 @@
 const express = require('express');
+const { toWebVtt, toSrt, historyToCues, splitCuesBySentence } = require('../utils/captions');
 
-module.exports = (sessionManager) => {
+// Exports, summaries, analytics and search cover the whole archived
+// conversation, not one page
+const FULL_HISTORY_LIMIT = 10000;
+
+module.exports = (sessionManager, auth) => {
   const router = express.Router();
 
+  router.param('sessionId', auth.loadSession);
+
   // Helper methods
   const calculatePeakActivityHour = (history) => {
     if (history.length === 0) return null;
@@ -41,6 +48,29 @@ module.exports = (sessionManager) => {
     };
   };
 
+  // Turns answered with a guardrail refusal, by reason and stage
+  const summarizeGuardrailHits = (history) => {
+    const hits = history.filter(entry => entry.guardrail);
+    const count = (key) => hits.reduce((counts, entry) => {
+      const value = entry.guardrail[key];
+      counts[value] = (counts[value] || 0) + 1;
+      return counts;
+    }, {});
+
+    return {
+      total: hits.length,
+      rate: history.length > 0 ? hits.length / history.length : 0,
+      byReason: count('reason'),
+      byStage: count('stage'),
+      recent: hits.slice(-10).map(entry => ({
+        responseId: entry.responseId,
+        timestamp: entry.timestamp,
+        userInput: entry.userInput,
+        ...entry.guardrail
+      }))
+    };
+  };
+
   const createTimeDistribution = (responseTimes) => {
     const ranges = [
       { min: 0, max: 1000, label: '0-1s' },
@@ -77,6 +107,25 @@ module.exports = (sessionManager) => {
     return text;
   };
 
+  // Caption cues for an export. With a recording, its captured cues are
+  // already aligned to the mixed audio; otherwise they are rebuilt from
+  // history relative to the session start.
+  const buildCaptionCues = (session, history, recording, perSentence) => {
+    let cues;
+    if (recording) {
+      cues = recording.cues && recording.cues.length > 0
+        ? recording.cues
+        : historyToCues(
+            history.filter(entry => entry.timestamp >= recording.startTime && entry.timestamp <= recording.endTime),
+            recording.startTime
+          );
+    } else {
+      cues = historyToCues(history, session.createdAt);
+    }
+
+    return perSentence ? splitCuesBySentence(cues) : cues;
+  };
+
   const searchInHistory = (history, query, limit) => {
     const results = [];
     const lowerQuery = query.toLowerCase();
@@ -252,7 +301,7 @@ module.exports = (sessionManager) => {
       }
 
       // Calculate additional analytics
-      const history = await sessionManager.getSessionHistory(sessionId);
+      const history = await sessionManager.getSessionHistory(sessionId, FULL_HISTORY_LIMIT);
       
       const analytics = {
         ...stats,
@@ -266,7 +315,8 @@ module.exports = (sessionManager) => {
         conversationDuration: history.length > 0 ? 
           history[history.length - 1].timestamp - history[0].timestamp : 0,
         peakActivityHour: calculatePeakActivityHour(history),
-        responseTimeDistribution: calculateResponseTimeDistribution(history)
+        responseTimeDistribution: calculateResponseTimeDistribution(history),
+        guardrailHits: summarizeGuardrailHits(history)
       };
 
       res.json({
@@ -286,10 +336,10 @@ module.exports = (sessionManager) => {
   router.get('/:sessionId/export', async (req, res) => {
     try {
       const { sessionId } = req.params;
-      const { format = 'json' } = req.query;
+      const { format = 'json', recordingId, sentences } = req.query;
       
-      const session = await sessionManager.getSession(sessionId);
-      const history = await sessionManager.getSessionHistory(sessionId);
+      const session = await sessionManager.findSession(sessionId);
+      const history = await sessionManager.getSessionHistory(sessionId, FULL_HISTORY_LIMIT);
       
       if (!session) {
         return res.status(404).json({
@@ -303,6 +353,8 @@ module.exports = (sessionManager) => {
           id: session.id,
           createdAt: session.createdAt,
           lastActivity: session.lastActivity,
+          endedAt: session.endedAt,
+          archived: Boolean(session.archived),
           language: session.language,
           voice: session.voice,
           settings: session.settings
@@ -312,7 +364,24 @@ module.exports = (sessionManager) => {
         totalInteractions: history.length
       };
 
-      if (format === 'txt') {
+      if (format === 'vtt' || format === 'srt') {
+        let recording = null;
+        if (recordingId) {
+          recording = await sessionManager.getRecording(recordingId);
+          if (!recording || recording.sessionId !== sessionId) {
+            return res.status(404).json({
+              success: false,
+              error: 'Recording not found'
+            });
+          }
+        }
+
+        const cues = buildCaptionCues(session, history, recording, sentences === 'true');
+        const name = recording ? `recording-${recording.id}` : `conversation-${sessionId}`;
+        res.setHeader('Content-Type', format === 'vtt' ? 'text/vtt' : 'application/x-subrip');
+        res.setHeader('Content-Disposition', `attachment; filename="${name}.${format}"`);
+        res.send(format === 'vtt' ? toWebVtt(cues) : toSrt(cues));
+      } else if (format === 'txt') {
         const textContent = convertToText(exportData);
         res.setHeader('Content-Type', 'text/plain');
         res.setHeader('Content-Disposition', `attachment; filename="conversation-${sessionId}.txt"`);
@@ -344,7 +413,7 @@ module.exports = (sessionManager) => {
         });
       }
 
-      const history = await sessionManager.getSessionHistory(sessionId);
+      const history = await sessionManager.getSessionHistory(sessionId, FULL_HISTORY_LIMIT);
       const searchResults = searchInHistory(history, query, parseInt(limit));
       
       res.json({
@@ -367,8 +436,8 @@ module.exports = (sessionManager) => {
     try {
       const { sessionId } = req.params;
       
-      const session = await sessionManager.getSession(sessionId);
-      const history = await sessionManager.getSessionHistory(sessionId);
+      const session = await sessionManager.findSession(sessionId);
+      const history = await sessionManager.getSessionHistory(sessionId, FULL_HISTORY_LIMIT);
       
       if (!session) {
         return res.status(404).json({
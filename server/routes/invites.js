@@ -0,0 +1,53 @@
+const express = require('express');
+
+module.exports = (inviteService, sessionManager) => {
+  const router = express.Router();
+
+  // Check an invite before joining: which role it grants and until when
+  router.get('/:token', async (req, res) => {
+    try {
+      const invite = await inviteService.preview(req.params.token);
+      
+      res.json({
+        success: true,
+        invite
+      });
+    } catch (error) {
+      if (!error.status) console.error('Error checking invite:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to check invite'
+      });
+    }
+  });
+
+  // Redeem an invite: the signed-in user becomes a member of the session
+  router.post('/:token/redeem', async (req, res) => {
+    try {
+      const session = await inviteService.redeem(req.params.token, req.user);
+      
+      res.json({
+        success: true,
+        session: {
+          id: session.id,
+          language: session.language,
+          voice: session.voice,
+          createdAt: session.createdAt,
+          lastActivity: session.lastActivity,
+          participantCount: session.participants.length,
+          role: sessionManager.getRole(session, req.user),
+          isRecording: session.isRecording,
+          settings: session.settings
+        }
+      });
+    } catch (error) {
+      if (!error.status) console.error('Error redeeming invite:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to redeem invite'
+      });
+    }
+  });
+
+  return router;
+};
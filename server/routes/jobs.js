@@ -0,0 +1,33 @@
+const express = require('express');
+
+module.exports = (jobScheduler) => {
+  const router = express.Router();
+
+  // Maintenance jobs with their schedules and last-run results
+  router.get('/', (req, res) => {
+    res.json({
+      success: true,
+      jobs: jobScheduler.getStatus()
+    });
+  });
+
+  // Run a job now, outside its schedule
+  router.post('/:name/run', async (req, res) => {
+    try {
+      const run = await jobScheduler.run(req.params.name);
+
+      res.json({
+        success: true,
+        run
+      });
+    } catch (error) {
+      if (!error.status) console.error('Error running job:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to run job'
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,98 @@
+const express = require('express');
+
+module.exports = (personaService, auth) => {
+  const router = express.Router();
+
+  // Personas a session can be created with, built-in ones first
+  router.get('/', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        personas: await personaService.list()
+      });
+    } catch (error) {
+      if (!error.status) console.error('Error listing personas:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to list personas'
+      });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const persona = await personaService.get(req.params.id);
+      if (!persona) {
+        return res.status(404).json({
+          success: false,
+          error: 'Persona not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        persona
+      });
+    } catch (error) {
+      if (!error.status) console.error('Error getting persona:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to get persona'
+      });
+    }
+  });
+
+  // Custom personas are managed by admins; built-in ones are read-only
+  router.post('/', auth.requireAdmin, async (req, res) => {
+    try {
+      const persona = await personaService.create(req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        persona
+      });
+    } catch (error) {
+      if (!error.status) console.error('Error creating persona:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to create persona'
+      });
+    }
+  });
+
+  router.put('/:id', auth.requireAdmin, async (req, res) => {
+    try {
+      const persona = await personaService.update(req.params.id, req.body);
+
+      res.json({
+        success: true,
+        persona
+      });
+    } catch (error) {
+      if (!error.status) console.error('Error updating persona:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to update persona'
+      });
+    }
+  });
+
+  router.delete('/:id', auth.requireAdmin, async (req, res) => {
+    try {
+      await personaService.delete(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Persona deleted successfully'
+      });
+    } catch (error) {
+      if (!error.status) console.error('Error deleting persona:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to delete persona'
+      });
+    }
+  });
+
+  return router;
+};
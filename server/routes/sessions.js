@@ -1,14 +1,29 @@
 const express = require('express');
+const { toWebVtt } = require('../utils/captions');
 
-module.exports = (sessionManager) => {
+// The parts of a session's persona clients show
+const describePersona = (session) => (
+  session.persona
+    ? { id: session.persona.id, name: session.persona.name, greeting: session.persona.greeting }
+    : null
+);
+
+module.exports = (sessionManager, auth, inviteService, cluster) => {
   const router = express.Router();
 
+  // Every :sessionId / :recordingId route is limited to users who may access it
+  router.param('sessionId', auth.loadSession);
+  router.param('recordingId', auth.loadRecording);
+
   // Create a new session
   router.post('/', async (req, res) => {
     try {
-      const { language, voice, autoTranslate, voiceEnabled, subtitleEnabled } = req.body;
+      const { language, voice, autoTranslate, voiceEnabled, subtitleEnabled, personaId } = req.body;
       
+      // Language and voice default to the persona's
       const session = await sessionManager.createSession({
+        ownerId: req.user.id,
+        personaId,
         language,
         voice,
         autoTranslate,
@@ -22,15 +37,18 @@ module.exports = (sessionManager) => {
           id: session.id,
           language: session.language,
           voice: session.voice,
+          persona: describePersona(session),
+          state: session.state,
           createdAt: session.createdAt,
+          role: sessionManager.getRole(session, req.user),
           settings: session.settings
         }
       });
     } catch (error) {
-      console.error('Error creating session:', error);
-      res.status(500).json({
+      if (!error.status) console.error('Error creating session:', error);
+      res.status(error.status || 500).json({
         success: false,
-        error: 'Failed to create session'
+        error: error.status ? error.message : 'Failed to create session'
       });
     }
   });
@@ -54,9 +72,12 @@ module.exports = (sessionManager) => {
           id: session.id,
           language: session.language,
           voice: session.voice,
+          persona: describePersona(session),
+          state: session.state,
           createdAt: session.createdAt,
           lastActivity: session.lastActivity,
           participantCount: session.participants.length,
+          role: sessionManager.getRole(session, req.user),
           isRecording: session.isRecording,
           settings: session.settings
         }
@@ -71,10 +92,11 @@ module.exports = (sessionManager) => {
   });
 
   // Update session
-  router.put('/:sessionId', async (req, res) => {
+  router.put('/:sessionId', auth.requirePermission('update-session'), async (req, res) => {
     try {
       const { sessionId } = req.params;
-      const updates = req.body;
+      // Ownership, membership, lifecycle state and the persona are not editable through this route
+      const { id, ownerId, members, participants, state, stateChangedAt, persona, ...updates } = req.body;
       
       const session = await sessionManager.updateSession(sessionId, updates);
       
@@ -146,37 +168,54 @@ module.exports = (sessionManager) => {
     }
   });
 
+  // Mint an invite link token for the session
+  router.post('/:sessionId/invites', auth.requirePermission('manage-participants'), async (req, res) => {
+    try {
+      const { role, expiresIn, maxUses } = req.body;
+      
+      const invite = await inviteService.create(req.session, req.user, { role, expiresIn, maxUses });
+      
+      res.status(201).json({
+        success: true,
+        invite
+      });
+    } catch (error) {
+      if (!error.status) console.error('Error creating invite:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to create invite'
+      });
+    }
+  });
+
   // Start recording
-  router.post('/:sessionId/recording/start', async (req, res) => {
+  router.post('/:sessionId/recording/start', auth.requirePermission('record'), async (req, res) => {
     try {
       const { sessionId } = req.params;
       
-      const session = await sessionManager.startRecording(sessionId);
+      // Recording buffers live on the node that owns the session
+      const session = await cluster.run(sessionId, 'start-recording');
       
       res.json({
         success: true,
         message: 'Recording started',
-        session: {
-          id: session.id,
-          isRecording: session.isRecording,
-          recordingStartTime: session.recordingStartTime
-        }
+        session
       });
     } catch (error) {
-      console.error('Error starting recording:', error);
-      res.status(500).json({
+      if (!error.status) console.error('Error starting recording:', error);
+      res.status(error.status || 500).json({
         success: false,
-        error: 'Failed to start recording'
+        error: error.status ? error.message : 'Failed to start recording'
       });
     }
   });
 
   // Stop recording
-  router.post('/:sessionId/recording/stop', async (req, res) => {
+  router.post('/:sessionId/recording/stop', auth.requirePermission('record'), async (req, res) => {
     try {
       const { sessionId } = req.params;
       
-      const recording = await sessionManager.stopRecording(sessionId);
+      const recording = await cluster.run(sessionId, 'stop-recording');
       
       res.json({
         success: true,
@@ -219,7 +258,10 @@ module.exports = (sessionManager) => {
           duration: recording.duration,
           startTime: recording.startTime,
           endTime: recording.endTime,
-          history: recording.history
+          history: recording.history,
+          cues: recording.cues || [],
+          audioUrl: recording.audioFile ? `${req.baseUrl}/recording/${recording.id}/audio` : null,
+          captionsUrl: `${req.baseUrl}/recording/${recording.id}/captions`
         }
       });
     } catch (error) {
@@ -231,8 +273,59 @@ module.exports = (sessionManager) => {
     }
   });
 
+  // Mixed audio of a recording (user and AI)
+  router.get('/recording/:recordingId/audio', async (req, res) => {
+    try {
+      const { recordingId } = req.params;
+      
+      const recording = await sessionManager.getRecording(recordingId);
+      const audioPath = recording && sessionManager.getRecordingAudioPath(recording);
+      
+      if (!audioPath) {
+        return res.status(404).json({
+          success: false,
+          error: 'Recording audio not found'
+        });
+      }
+
+      res.type(recording.mimeType || 'audio/wav');
+      res.sendFile(audioPath);
+    } catch (error) {
+      console.error('Error getting recording audio:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get recording audio'
+      });
+    }
+  });
+
+  // WebVTT caption track aligned with the recording audio
+  router.get('/recording/:recordingId/captions', async (req, res) => {
+    try {
+      const { recordingId } = req.params;
+      
+      const recording = await sessionManager.getRecording(recordingId);
+      
+      if (!recording) {
+        return res.status(404).json({
+          success: false,
+          error: 'Recording not found'
+        });
+      }
+
+      res.type('text/vtt');
+      res.send(toWebVtt(recording.cues || []));
+    } catch (error) {
+      console.error('Error getting recording captions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get recording captions'
+      });
+    }
+  });
+
   // Delete session
-  router.delete('/:sessionId', async (req, res) => {
+  router.delete('/:sessionId', auth.requirePermission('delete-session'), async (req, res) => {
     try {
       const { sessionId } = req.params;
       
@@ -261,14 +354,25 @@ module.exports = (sessionManager) => {
   // Get all active sessions
   router.get('/', async (req, res) => {
     try {
-      const sessions = await sessionManager.getAllSessions();
+      // Every node reports the sessions it has loaded; the most recently
+      // active copy of each wins, with the nodes that have it
+      const reports = await cluster.gather('list-sessions', { user: req.user });
+      const merged = new Map();
+      for (const { nodeId, result } of reports) {
+        for (const session of result) {
+          const known = merged.get(session.id);
+          const latest = !known || session.lastActivity > known.lastActivity ? session : known;
+          merged.set(session.id, { ...latest, nodes: [...(known?.nodes || []), nodeId] });
+        }
+      }
+      const sessions = Array.from(merged.values()).sort((a, b) => b.lastActivity - a.lastActivity);
       
       res.json({
         success: true,
         sessions,
         count: sessions.length,
-        activeCount: sessionManager.getActiveSessionsCount(),
-        recordingCount: sessionManager.getRecordingSessionsCount()
+        activeCount: sessions.filter(session => ['active', 'recording'].includes(session.state)).length,
+        recordingCount: sessions.filter(session => session.isRecording).length
       });
     } catch (error) {
       console.error('Error getting sessions:', error);
@@ -280,7 +384,7 @@ module.exports = (sessionManager) => {
   });
 
   // Cleanup inactive sessions
-  router.post('/cleanup', async (req, res) => {
+  router.post('/cleanup', auth.requireAdmin, async (req, res) => {
     try {
       await sessionManager.cleanupInactiveSessions();
       
@@ -1,7 +1,6 @@
 const express = require('express');
-const axios = require('axios');
 
-module.exports = () => {
+module.exports = (ttsService) => {
   const router = express.Router();
 
   // POST /api/tts
@@ -13,30 +12,11 @@ module.exports = () => {
         return res.status(400).json({ error: 'text is required' });
       }
 
-      const GOOGLE_TTS_KEY = process.env.GOOGLE_TTS_API_KEY;
-      if (!GOOGLE_TTS_KEY) {
+      if (!ttsService.isConfigured()) {
         return res.status(501).json({ error: 'TTS not configured' });
       }
 
-      // pick a safe default voice name per language
-      const genderMap = voice === 'female' ? 'F' : 'B';
-      const voiceName = `${languageCode}-Standard-${genderMap}`;
-
-      const payload = {
-        input: { text },
-        voice: { languageCode, name: voiceName },
-        audioConfig: { audioEncoding: 'MP3', speakingRate: 1.0 },
-      };
-
-      const url = `https://texttospeech.googleapis.com/v1/text:synthesize?key=${GOOGLE_TTS_KEY}`;
-      const { data } = await axios.post(url, payload, { headers: { 'Content-Type': 'application/json' } });
-
-      const audioContent = data.audioContent;
-      if (!audioContent) {
-        return res.status(502).json({ error: 'No audio returned from TTS' });
-      }
-
-      const buffer = Buffer.from(audioContent, 'base64');
+      const buffer = await ttsService.synthesize(text, voice, languageCode);
       res.setHeader('Content-Type', 'audio/mpeg');
       res.setHeader('Content-Length', buffer.length);
       return res.send(buffer);
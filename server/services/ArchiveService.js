@@ -0,0 +1,210 @@
+const { createArchiveDriver } = require('./archive');
+
+// Durable archive of conversations beyond the cache's TTLs and the 100-entry
+// history cap. SessionManager writes through to it (session rows on create
+// and end, every history entry, recording metadata on stop) and reads from
+// it once a session has left the cache. Rows keep the full JSON alongside
+// the indexed columns. Failures are logged and reported as misses so the
+// live pipeline never depends on the archive being up.
+//
+// It also keeps the local user accounts (AuthService), keyed by username so
+// the table's primary key settles concurrent sign-ups for the same name.
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS archived_sessions (
+    id TEXT PRIMARY KEY,
+    created_at BIGINT,
+    last_activity BIGINT,
+    ended_at BIGINT,
+    language TEXT,
+    voice TEXT,
+    data TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS archived_history (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    timestamp BIGINT,
+    user_input TEXT,
+    ai_response TEXT,
+    language TEXT,
+    data TEXT NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_archived_history_session ON archived_history (session_id, timestamp)',
+  `CREATE TABLE IF NOT EXISTS archived_recordings (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    start_time BIGINT,
+    end_time BIGINT,
+    data TEXT NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_archived_recordings_session ON archived_recordings (session_id)',
+  `CREATE TABLE IF NOT EXISTS users (
+    username TEXT PRIMARY KEY,
+    id TEXT NOT NULL,
+    created_at BIGINT,
+    data TEXT NOT NULL
+  )`,
+];
+
+const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+class ArchiveService {
+  // options.driver takes a driver name or instance; null disables archiving
+  constructor(options = {}) {
+    this.driver = typeof options.driver === 'object' ? options.driver : createArchiveDriver(options);
+    this.ready = null;
+  }
+
+  isEnabled() {
+    return this.driver !== null;
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await this.driver.connect();
+        for (const statement of SCHEMA) {
+          await this.driver.exec(statement);
+        }
+        console.log(`Conversation archive ready (${this.driver.name})`);
+        return true;
+      })().catch((error) => {
+        console.error('Failed to initialise conversation archive:', error.message);
+        return false;
+      });
+    }
+    return this.ready;
+  }
+
+  // Runs fn against the driver once the schema exists; resolves fallback on error
+  async query(label, fn, fallback) {
+    if (!this.driver || !(await this.init())) return fallback;
+    try {
+      return await fn(this.driver);
+    } catch (error) {
+      console.error(`Archive ${label} error:`, error.message);
+      return fallback;
+    }
+  }
+
+  async saveSession(session, endedAt = null) {
+    const { history, recordingData, ...data } = session;
+    if (endedAt) data.endedAt = endedAt;
+
+    return this.query('saveSession', async (db) => {
+      await db.run(
+        `INSERT INTO archived_sessions (id, created_at, last_activity, ended_at, language, voice, data)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET
+           last_activity = excluded.last_activity,
+           ended_at = COALESCE(excluded.ended_at, archived_sessions.ended_at),
+           language = excluded.language,
+           voice = excluded.voice,
+           data = excluded.data`,
+        [session.id, session.createdAt, session.lastActivity, endedAt, session.language, session.voice, JSON.stringify(data)]
+      );
+      return true;
+    }, false);
+  }
+
+  async saveHistoryEntry(sessionId, entry) {
+    return this.query('saveHistoryEntry', async (db) => {
+      await db.run(
+        `INSERT INTO archived_history (id, session_id, timestamp, user_input, ai_response, language, data)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO NOTHING`,
+        [entry.id, sessionId, entry.timestamp, entry.userInput, entry.aiResponse, entry.language, JSON.stringify(entry)]
+      );
+      return true;
+    }, false);
+  }
+
+  async saveRecording(recording) {
+    return this.query('saveRecording', async (db) => {
+      await db.run(
+        `INSERT INTO archived_recordings (id, session_id, start_time, end_time, data)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET data = excluded.data`,
+        [recording.id, recording.sessionId, recording.startTime, recording.endTime, JSON.stringify(recording)]
+      );
+      return true;
+    }, false);
+  }
+
+  async getSession(sessionId) {
+    return this.query('getSession', async (db) => {
+      const session = parse(await db.get('SELECT data FROM archived_sessions WHERE id = ?', [sessionId]));
+      return session ? { ...session, archived: true } : null;
+    }, null);
+  }
+
+  // The most recent `limit` entries, oldest first
+  async getHistory(sessionId, limit = 50) {
+    return this.query('getHistory', async (db) => {
+      const rows = await db.all(
+        'SELECT data FROM archived_history WHERE session_id = ? ORDER BY timestamp DESC LIMIT ?',
+        [sessionId, limit]
+      );
+      return rows.map(parse).reverse();
+    }, []);
+  }
+
+  async getRecording(recordingId) {
+    return this.query('getRecording', async (db) => (
+      parse(await db.get('SELECT data FROM archived_recordings WHERE id = ?', [recordingId]))
+    ), null);
+  }
+
+  async listSessions(limit = 50, offset = 0) {
+    return this.query('listSessions', async (db) => {
+      const rows = await db.all(
+        'SELECT data FROM archived_sessions ORDER BY last_activity DESC LIMIT ? OFFSET ?',
+        [limit, offset]
+      );
+      return rows.map(parse);
+    }, []);
+  }
+
+  async deleteSession(sessionId) {
+    return this.query('deleteSession', async (db) => {
+      await db.run('DELETE FROM archived_history WHERE session_id = ?', [sessionId]);
+      await db.run('DELETE FROM archived_recordings WHERE session_id = ?', [sessionId]);
+      await db.run('DELETE FROM archived_sessions WHERE id = ?', [sessionId]);
+      return true;
+    }, false);
+  }
+
+  // True when the account was added, false when the username is taken and
+  // null when the archive is unavailable
+  async createUser(user) {
+    return this.query('createUser', async (db) => {
+      const rows = await db.all(
+        `INSERT INTO users (username, id, created_at, data)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (username) DO NOTHING
+         RETURNING id`,
+        [user.username, user.id, user.createdAt, JSON.stringify(user)]
+      );
+      return rows.length > 0;
+    }, null);
+  }
+
+  async saveUser(user) {
+    return this.query('saveUser', async (db) => {
+      await db.run('UPDATE users SET data = ? WHERE username = ?', [JSON.stringify(user), user.username]);
+      return true;
+    }, false);
+  }
+
+  async getUser(username) {
+    return this.query('getUser', async (db) => (
+      parse(await db.get('SELECT data FROM users WHERE username = ?', [username]))
+    ), null);
+  }
+
+  async close() {
+    if (this.driver) await this.driver.close();
+  }
+}
+
+module.exports = ArchiveService;
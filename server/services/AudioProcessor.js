@@ -1,13 +1,43 @@
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
+const { PassThrough } = require('stream');
 const { v4: uuidv4 } = require('uuid');
+const { createSttProvider } = require('./stt');
+const ffmpeg = require('fluent-ffmpeg');
+const VoiceActivityDetector = require('./VoiceActivityDetector');
+const StreamDecoder = require('./StreamDecoder');
+const { parseWav } = require('../utils/wav');
 
-class AudioProcessor {
-  constructor() {
+// Matroska Cluster element id; MediaRecorder starts every cluster with it
+const WEBM_CLUSTER_ID = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+
+class AudioProcessor extends EventEmitter {
+  constructor(options = {}) {
+    super();
     this.sampleRate = parseInt(process.env.AUDIO_SAMPLE_RATE) || 16000;
     this.channels = parseInt(process.env.AUDIO_CHANNELS) || 1;
     this.bitRate = parseInt(process.env.AUDIO_BITRATE) || 16;
     this.tempDir = path.join(__dirname, '../temp');
+    this.sttProvider = options.sttProvider || createSttProvider(options.stt);
+    this.vadOptions = {
+      sampleRate: this.sampleRate,
+      thresholdDb: parseFloat(process.env.VAD_THRESHOLD_DB) || undefined,
+      minSpeechMs: parseInt(process.env.VAD_MIN_SPEECH_MS) || undefined,
+      hangoverMs: parseInt(process.env.VAD_HANGOVER_MS) || undefined,
+      maxSpeechMs: parseInt(process.env.VAD_MAX_SPEECH_MS) || undefined,
+      ...options.vad
+    };
+    this.frameMs = 20;
+    // Longest utterance sent for transcription: the provider's limit, if any
+    this.maxUtteranceMs = Math.min(
+      (this.sttProvider.maxDuration || Infinity) * 1000,
+      parseInt(process.env.UTTERANCE_MAX_MS) || 120000
+    );
+    this.detectors = new Map();
+    this.decoders = new Map();
+    this.containers = new Map();
+    this.pcmRemainders = new Map();
     this.ensureTempDir();
   }
 
@@ -17,17 +47,18 @@ class AudioProcessor {
     }
   }
 
-  async processAudio(audioData) {
+  async processAudio(audioData, options = {}) {
     try {
-      // Decode base64 audio data
-      const audioBuffer = Buffer.from(audioData, 'base64');
+      // Accept base64 (socket payloads) or raw buffers (server-side buffers)
+      const audioBuffer = Buffer.isBuffer(audioData) ? audioData : Buffer.from(audioData, 'base64');
+      const format = options.format || this.detectFormat(audioBuffer);
       
       // Save to temporary file for processing
-      const tempFile = path.join(this.tempDir, `${uuidv4()}.wav`);
+      const tempFile = path.join(this.tempDir, `${uuidv4()}.${format}`);
       fs.writeFileSync(tempFile, audioBuffer);
       
       // Process audio and get transcription
-      const transcription = await this.transcribeAudio(tempFile);
+      const transcription = await this.transcribeAudio(tempFile, { ...options, format });
       
       // Clean up temp file
       fs.unlinkSync(tempFile);
@@ -39,43 +70,48 @@ class AudioProcessor {
     }
   }
 
-  async transcribeAudio(audioFile) {
+  // Returns { text, words, confidence, language, provider } from the
+  // configured speech-to-text provider (see services/stt)
+  async transcribeAudio(audioFile, options = {}) {
     try {
-      // This is a placeholder for actual transcription
-      // In a real implementation, you would use:
-      // - Google Cloud Speech-to-Text
-      // - Amazon Transcribe
-      // - OpenAI Whisper API
-      // - Or other speech recognition services
-      
-      // For now, return a mock transcription
-      // In production, this would call the actual transcription API
-      
-      const mockTranscriptions = [
-        "Hello, how are you today?",
-        "What's the weather like?",
-        "Tell me a joke",
-        "How do I make coffee?",
-        "What time is it?",
-        "Can you help me with my homework?",
-        "What's your favorite color?",
-        "Tell me about artificial intelligence",
-        "How do I learn programming?",
-        "What's the capital of France?"
-      ];
-      
-      // Simulate processing delay
-      await new Promise(resolve => setTimeout(resolve, 100 + Math.random() * 200));
-      
-      // Return random transcription for demo purposes
-      return mockTranscriptions[Math.floor(Math.random() * mockTranscriptions.length)];
+      const audioBuffer = fs.readFileSync(audioFile);
+      const format = options.format || this.detectFormat(audioBuffer);
+      const pcmBytes = { pcm: audioBuffer.length, wav: audioBuffer.length - 44 }[format];
+      const duration = pcmBytes !== undefined
+        ? pcmBytes / (this.sampleRate * this.channels * 2)
+        : undefined;
+
+      const result = await this.sttProvider.transcribe(audioBuffer, {
+        format,
+        sampleRate: this.sampleRate,
+        language: options.language || 'en',
+        duration: options.duration || duration,
+        filePath: audioFile,
+      });
+
+      return {
+        text: (result.text || '').trim(),
+        words: result.words || [],
+        confidence: result.confidence || 0,
+        language: result.language || options.language || 'en',
+        provider: this.sttProvider.name,
+      };
       
     } catch (error) {
-      console.error('Transcription error:', error);
+      console.error('Transcription error:', error.message);
       return null;
     }
   }
 
+  detectFormat(audioBuffer) {
+    if (audioBuffer.length < 4) return 'pcm';
+    if (audioBuffer.toString('ascii', 0, 4) === 'RIFF') return 'wav';
+    if (audioBuffer.toString('ascii', 0, 4) === 'OggS') return 'ogg';
+    if (audioBuffer.readUInt32BE(0) === 0x1a45dfa3) return 'webm'; // EBML magic
+    if (audioBuffer.toString('ascii', 0, 3) === 'ID3' || (audioBuffer[0] === 0xff && (audioBuffer[1] & 0xe0) === 0xe0)) return 'mp3';
+    return 'pcm';
+  }
+
   async detectLanguage(audioFile) {
     try {
       // Language detection from audio
@@ -91,27 +127,59 @@ class AudioProcessor {
     }
   }
 
-  async processAudioChunk(chunk, sessionId) {
+  // Feed one streamed chunk into the session's decode pipeline. Raw PCM and WAV
+  // are framed directly; WebM/Ogg fragments go through a per-session ffmpeg
+  // decoder. Every decoded 16 kHz mono frame runs through the voice activity
+  // detector and is emitted as 'audio-frame'; 'speech-start' / 'speech-end'
+  // are re-emitted with the sessionId.
+  //
+  // The container is remembered per stream, so fragments arriving after the
+  // decoder exited are never mistaken for PCM: a WebM stream resumes at its
+  // next cluster behind the saved header, anything else is dropped
+  // (dropped: true) until the recorder sends a new header.
+  async processAudioChunk(chunk, sessionId, options = {}) {
     try {
-      // Process real-time audio chunks
-      const audioBuffer = Buffer.from(chunk, 'base64');
-      
-      // Analyze audio characteristics
-      const audioInfo = this.analyzeAudio(audioBuffer);
-      
-      // Check for speech activity
-      if (audioInfo.hasSpeech) {
-        return {
-          hasSpeech: true,
-          volume: audioInfo.volume,
-          duration: audioInfo.duration,
-          timestamp: Date.now()
-        };
+      const audioBuffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'base64');
+      const header = this.detectFormat(audioBuffer);
+      let decoder = this.decoders.get(sessionId);
+      let format;
+      let compressed = null;
+
+      if (header === 'webm' || header === 'ogg') {
+        // A fresh container header means the recorder was restarted
+        if (decoder) decoder.close();
+        this.containers.set(sessionId, { format: header, init: header === 'webm' ? this.webmInit(audioBuffer) : null });
+        decoder = this.createDecoder(sessionId, header);
+        format = header;
+        compressed = audioBuffer;
+      } else if (options.format === 'pcm') {
+        format = 'pcm';
+      } else if (this.containers.has(sessionId) || options.format === 'webm' || options.format === 'ogg') {
+        const container = this.containers.get(sessionId);
+        format = container ? container.format : options.format;
+        if (decoder) {
+          compressed = audioBuffer; // continuation fragment of the open container
+        } else {
+          compressed = this.resumeAtCluster(container, audioBuffer);
+          if (compressed) decoder = this.createDecoder(sessionId, format);
+        }
+      } else {
+        format = header === 'wav' ? 'wav' : 'pcm';
       }
-      
+
+      if (format === 'webm' || format === 'ogg') {
+        if (compressed) decoder.write(compressed);
+      } else {
+        const pcm = format === 'wav' ? (parseWav(audioBuffer)?.pcm || Buffer.alloc(0)) : audioBuffer;
+        this.framePcm(sessionId, pcm);
+      }
+
+      const detector = this.getDetector(sessionId);
       return {
-        hasSpeech: false,
-        volume: audioInfo.volume,
+        format,
+        dropped: (format === 'webm' || format === 'ogg') && !compressed,
+        hasSpeech: detector.speaking,
+        noiseFloorDb: detector.noiseFloorDb,
         timestamp: Date.now()
       };
       
@@ -121,6 +189,112 @@ class AudioProcessor {
     }
   }
 
+  // The EBML header, segment info and tracks ahead of the first cluster,
+  // which a new decoder needs before any later cluster
+  webmInit(audioBuffer) {
+    const cluster = audioBuffer.indexOf(WEBM_CLUSTER_ID);
+    return Buffer.from(cluster > 0 ? audioBuffer.subarray(0, cluster) : audioBuffer);
+  }
+
+  // A headerless WebM fragment restarted from its first cluster, or null if
+  // the stream cannot be resumed from this fragment
+  resumeAtCluster(container, audioBuffer) {
+    if (!container || !container.init) return null;
+    const cluster = audioBuffer.indexOf(WEBM_CLUSTER_ID);
+    if (cluster < 0) return null;
+    return Buffer.concat([container.init, audioBuffer.subarray(cluster)]);
+  }
+
+  createDecoder(sessionId, format) {
+    const decoder = new StreamDecoder({ format, sampleRate: this.sampleRate, frameMs: this.frameMs });
+    decoder.on('frame', (frame) => this.handleFrame(sessionId, frame));
+    decoder.on('error', (error) => {
+      console.error(`Audio decode error (${sessionId}):`, error.message);
+    });
+    decoder.on('close', () => {
+      if (this.decoders.get(sessionId) === decoder) this.decoders.delete(sessionId);
+    });
+    this.decoders.set(sessionId, decoder);
+    return decoder;
+  }
+
+  // Split raw PCM into the same fixed frames the decoder produces
+  framePcm(sessionId, pcm) {
+    const frameBytes = Math.round(this.sampleRate * this.frameMs / 1000) * 2;
+    const previous = this.pcmRemainders.get(sessionId);
+    let buffer = previous ? Buffer.concat([previous, pcm]) : pcm;
+
+    while (buffer.length >= frameBytes) {
+      this.handleFrame(sessionId, buffer.subarray(0, frameBytes));
+      buffer = buffer.subarray(frameBytes);
+    }
+    this.pcmRemainders.set(sessionId, Buffer.from(buffer));
+  }
+
+  handleFrame(sessionId, frame) {
+    this.getDetector(sessionId).process(frame);
+    this.emit('audio-frame', { sessionId, pcm: frame, sampleRate: this.sampleRate });
+  }
+
+  getDetector(sessionId) {
+    let detector = this.detectors.get(sessionId);
+    if (!detector) {
+      detector = new VoiceActivityDetector(this.vadOptions);
+      // startedAt/endedAt map stream time back onto the wall clock; the end
+      // is only confirmed a hangover after the last voiced frame
+      detector.on('speech-start', (event) => {
+        const timestamp = Date.now();
+        const startedAt = timestamp - (detector.streamTimeMs - event.streamTimeMs);
+        this.emit('speech-start', { sessionId, ...event, startedAt, timestamp });
+      });
+      detector.on('speech-end', (event) => {
+        const timestamp = Date.now();
+        const endedAt = timestamp - (detector.streamTimeMs - event.streamTimeMs);
+        this.emit('speech-end', { sessionId, ...event, startedAt: endedAt - event.durationMs, endedAt, timestamp });
+      });
+      this.detectors.set(sessionId, detector);
+    }
+    return detector;
+  }
+
+  closeStream(sessionId) {
+    const decoder = this.decoders.get(sessionId);
+    if (decoder) decoder.close();
+    this.decoders.delete(sessionId);
+    this.containers.delete(sessionId);
+    this.pcmRemainders.delete(sessionId);
+
+    const detector = this.detectors.get(sessionId);
+    if (detector) {
+      detector.destroy();
+      this.detectors.delete(sessionId);
+    }
+  }
+
+  // Decode a complete compressed clip (e.g. an MP3 sentence from TTS) to the
+  // pipeline's mono 16-bit PCM. Resolves null if ffmpeg cannot read it.
+  decodeToPcm(audioBuffer, format = 'mp3') {
+    return new Promise((resolve) => {
+      const chunks = [];
+      const input = new PassThrough();
+      const command = ffmpeg(input)
+        .inputFormat(format)
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(this.sampleRate)
+        .audioCodec('pcm_s16le')
+        .format('s16le')
+        .on('error', (error) => {
+          console.error('Audio decode error:', error.message);
+          resolve(null);
+        })
+        .on('end', () => resolve(Buffer.concat(chunks)));
+
+      command.pipe().on('data', (chunk) => chunks.push(chunk));
+      input.end(audioBuffer);
+    });
+  }
+
   analyzeAudio(audioBuffer) {
     try {
       // Basic audio analysis
@@ -160,15 +334,45 @@ class AudioProcessor {
     }
   }
 
+  // Convert between wav/webm/mp3/ogg with ffmpeg. WAV output is normalised to
+  // the pipeline's PCM settings. Returns the new file path (in tempDir), or the
+  // input path if it is already in the requested format or conversion fails.
   async convertAudioFormat(inputFile, outputFormat = 'wav') {
     try {
-      // Audio format conversion
-      // This would use ffmpeg or similar library
-      // For now, just return the input file
-      return inputFile;
+      const codecs = {
+        wav: { codec: 'pcm_s16le', format: 'wav' },
+        webm: { codec: 'libopus', format: 'webm' },
+        ogg: { codec: 'libopus', format: 'ogg' },
+        mp3: { codec: 'libmp3lame', format: 'mp3' }
+      };
+      const target = codecs[outputFormat];
+      if (!target) {
+        throw new Error(`Unsupported output format: ${outputFormat}`);
+      }
+
+      const inputFormat = this.detectFormat(fs.readFileSync(inputFile));
+      if (inputFormat === outputFormat) return inputFile;
+
+      const outputFile = path.join(this.tempDir, `${uuidv4()}.${outputFormat}`);
+      await new Promise((resolve, reject) => {
+        const command = ffmpeg(inputFile);
+        if (inputFormat === 'pcm') {
+          command.inputFormat('s16le').inputOptions(['-ar', String(this.sampleRate), '-ac', String(this.channels)]);
+        }
+        command.noVideo().audioCodec(target.codec).format(target.format);
+        if (outputFormat === 'wav') {
+          command.audioFrequency(this.sampleRate).audioChannels(this.channels);
+        }
+        command
+          .on('error', reject)
+          .on('end', resolve)
+          .save(outputFile);
+      });
+
+      return outputFile;
       
     } catch (error) {
-      console.error('Audio conversion error:', error);
+      console.error('Audio conversion error:', error.message);
       return inputFile;
     }
   }
@@ -215,13 +419,15 @@ class AudioProcessor {
         return { valid: false, error: 'Audio buffer too small' };
       }
       
-      // Check for valid WAV header (simplified)
-      const header = audioBuffer.slice(0, 12);
-      if (header.toString('ascii', 0, 4) !== 'RIFF') {
+      const format = this.detectFormat(audioBuffer);
+      if (format === 'wav' && !parseWav(audioBuffer)) {
         return { valid: false, error: 'Invalid WAV header' };
       }
+      if (format === 'pcm' && audioBuffer.length % 2 !== 0) {
+        return { valid: false, error: 'PCM data is not 16-bit aligned' };
+      }
       
-      return { valid: true };
+      return { valid: true, format };
       
     } catch (error) {
       console.error('Audio validation error:', error);
@@ -229,39 +435,62 @@ class AudioProcessor {
     }
   }
 
-  async cleanupTempFiles() {
-    try {
-      const files = fs.readdirSync(this.tempDir);
-      
-      for (const file of files) {
-        const filePath = path.join(this.tempDir, file);
-        const stats = fs.statSync(filePath);
-        
-        // Remove files older than 1 hour
-        if (Date.now() - stats.mtime.getTime() > 60 * 60 * 1000) {
-          fs.unlinkSync(filePath);
-        }
+  // Remove temp files older than maxAge; run by the job scheduler
+  async cleanupTempFiles(maxAge = 60 * 60 * 1000) {
+    const files = fs.readdirSync(this.tempDir);
+    let removed = 0;
+
+    for (const file of files) {
+      const filePath = path.join(this.tempDir, file);
+      const stats = fs.statSync(filePath);
+
+      if (Date.now() - stats.mtime.getTime() > maxAge) {
+        fs.unlinkSync(filePath);
+        removed += 1;
       }
-      
-    } catch (error) {
-      console.error('Cleanup error:', error);
     }
+
+    return { scanned: files.length, removed };
   }
 
+  // Capture parameters advertised to clients. Raw PCM (AudioWorklet capture)
+  // must match sampleRate/channels exactly; container formats are decoded.
   getAudioConfig() {
     return {
       sampleRate: this.sampleRate,
       channels: this.channels,
       bitRate: this.bitRate,
-      format: 'wav'
+      frameMs: this.frameMs,
+      format: 'pcm',
+      encoding: 's16le',
+      formats: ['pcm', 'webm', 'ogg', 'wav']
     };
   }
 
-  // Schedule cleanup every hour
-  startCleanupScheduler() {
-    setInterval(() => {
-      this.cleanupTempFiles();
-    }, 60 * 60 * 1000); // Every hour
+  // Validate a client's proposed capture settings against getAudioConfig()
+  negotiateAudioConfig(proposal = {}) {
+    const config = this.getAudioConfig();
+    const format = proposal.format || 'webm';
+
+    if (!config.formats.includes(format)) {
+      return { accepted: false, error: `Unsupported audio format: ${format}`, config };
+    }
+
+    if (format === 'pcm') {
+      if (proposal.sampleRate && proposal.sampleRate !== config.sampleRate) {
+        return { accepted: false, error: `PCM must be ${config.sampleRate} Hz`, config };
+      }
+      if (proposal.channels && proposal.channels !== config.channels) {
+        return { accepted: false, error: `PCM must have ${config.channels} channel(s)`, config };
+      }
+    }
+
+    return {
+      accepted: true,
+      format,
+      frameMs: proposal.frameMs || config.frameMs,
+      config
+    };
   }
 }
 
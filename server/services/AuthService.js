@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { httpError } = require('../utils/errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Local user accounts and JWT bearer tokens. Accounts are kept in the
+// archive database, whose primary key on the username makes sign-up atomic;
+// ones an earlier version left in the cache are moved there on first use.
+// With archiving off (ARCHIVE_DRIVER=none) they stay in the cache under
+// user:<username> without a TTL, each name claimed with an atomic counter
+// first, and only outlive a restart with the redis or file store. Passwords
+// are salted scrypt hashes. Tokens carry the public user fields, so verifying
+// one needs no lookup.
+//
+// AUTH_ADMIN_USERS names existing accounts to promote to admin: the role is
+// granted when such an account signs in, never at sign-up, and listed names
+// cannot be registered. Register the account first, then list it.
+
+const KEY_LENGTH = 64;
+
+class AuthService {
+  constructor(cacheService, options = {}) {
+    this.cacheService = cacheService;
+    this.archiveService = options.archiveService || null;
+    this.secret = options.secret || process.env.AUTH_SECRET || process.env.SESSION_SECRET;
+    this.tokenTtl = options.tokenTtl || process.env.AUTH_TOKEN_TTL || '12h';
+    this.adminUsers = (options.adminUsers || process.env.AUTH_ADMIN_USERS || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    if (!this.secret) {
+      throw new Error('AUTH_SECRET (or SESSION_SECRET) must be set');
+    }
+  }
+
+  normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+  }
+
+  async hashPassword(password, salt) {
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return hash.toString('hex');
+  }
+
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      displayName: user.displayName,
+      role: user.role,
+    };
+  }
+
+  usesArchive() {
+    return Boolean(this.archiveService && this.archiveService.isEnabled());
+  }
+
+  async getUser(username) {
+    const name = this.normalizeUsername(username);
+    const cached = () => this.cacheService.get(`user:${name}`);
+    if (!this.usesArchive()) return await cached();
+
+    const user = await this.archiveService.getUser(name);
+    if (user) return user;
+    const legacy = await cached();
+    if (legacy && await this.archiveService.createUser(legacy)) {
+      await this.cacheService.del(`user:${name}`);
+    }
+    return legacy;
+  }
+
+  // Adds a new account; false when the username is already taken
+  async createUser(user) {
+    if (this.usesArchive()) {
+      const created = await this.archiveService.createUser(user);
+      if (created === null) {
+        throw httpError('User storage unavailable', 503);
+      }
+      return created;
+    }
+
+    const claimKey = `user-claim:${user.username}`;
+    const claims = await this.cacheService.incr(claimKey);
+    if (claims === null) {
+      throw httpError('User storage unavailable', 503);
+    }
+    if (claims > 1) return false;
+
+    if (!await this.cacheService.set(`user:${user.username}`, user, 0)) {
+      await this.cacheService.del(claimKey);
+      throw httpError('User storage unavailable', 503);
+    }
+    return true;
+  }
+
+  async saveUser(user) {
+    const stored = this.usesArchive()
+      ? await this.archiveService.saveUser(user)
+      : await this.cacheService.set(`user:${user.username}`, user, 0);
+    if (!stored) {
+      throw httpError('User storage unavailable', 503);
+    }
+  }
+
+  async register({ username, password, displayName }) {
+    if (typeof username !== 'string' || typeof password !== 'string'
+      || (displayName !== undefined && displayName !== null && typeof displayName !== 'string')) {
+      throw httpError('Username, password and display name must be strings', 400);
+    }
+
+    const name = this.normalizeUsername(username);
+    if (!/^[a-z0-9._-]{3,32}$/.test(name)) {
+      throw httpError('Username must be 3-32 letters, digits, dots, dashes or underscores', 400);
+    }
+    if (!password || password.length < 8) {
+      throw httpError('Password must be at least 8 characters', 400);
+    }
+    // Otherwise whoever registered a listed name first would become admin
+    if (await this.getUser(name) || this.adminUsers.includes(name)) {
+      throw httpError('Username already taken', 409);
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const user = {
+      id: uuidv4(),
+      username: name,
+      displayName: (displayName || '').trim() || name,
+      role: 'user',
+      salt,
+      passwordHash: await this.hashPassword(password, salt),
+      createdAt: Date.now(),
+    };
+
+    // The store settles concurrent sign-ups for the same name
+    if (!await this.createUser(user)) {
+      throw httpError('Username already taken', 409);
+    }
+
+    return this.issue(user);
+  }
+
+  async login(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      throw httpError('Username and password are required', 400);
+    }
+
+    const user = await this.getUser(username);
+    if (!user || !password) {
+      throw httpError('Invalid username or password', 401);
+    }
+
+    const hash = Buffer.from(await this.hashPassword(password, user.salt), 'hex');
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    if (hash.length !== expected.length || !crypto.timingSafeEqual(hash, expected)) {
+      throw httpError('Invalid username or password', 401);
+    }
+
+    if (this.adminUsers.includes(user.username) && user.role !== 'admin') {
+      return this.issue(await this.promote(user));
+    }
+    return this.issue(user);
+  }
+
+  async promote(user) {
+    const admin = { ...user, role: 'admin' };
+    await this.saveUser(admin);
+    console.log(`Granted the admin role to existing account ${user.username}`);
+    return admin;
+  }
+
+  issue(user) {
+    const publicUser = this.toPublicUser(user);
+    const token = jwt.sign(publicUser, this.secret, {
+      subject: user.id,
+      audience: 'api',
+      expiresIn: this.tokenTtl,
+    });
+    return { token, user: publicUser };
+  }
+
+  // Returns the user a token was issued to, or null if it is invalid/expired
+  verifyToken(token) {
+    if (!token) return null;
+    try {
+      // The audience keeps other tokens signed with the same secret
+      // (e.g. invites) from passing as logins
+      const payload = jwt.verify(token, this.secret, { audience: 'api' });
+      return {
+        id: payload.sub,
+        username: payload.username,
+        displayName: payload.displayName,
+        role: payload.role,
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = AuthService;
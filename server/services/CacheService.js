@@ -1,135 +1,162 @@
-const redis = require('redis');
-const { promisify } = require('util');
+const { createCacheStore, createFallbackStore } = require('./cache');
 
 class CacheService {
-  constructor() {
-    this.client = null;
-    this.connected = false;
+  // options.store / options.fallback take a store name or instance;
+  // fallback: null disables the fallback
+  constructor(options = {}) {
+    this.store = typeof options.store === 'object' ? options.store : createCacheStore(options);
+    this.fallback = typeof options.fallback === 'object' ? options.fallback : createFallbackStore(this.store, options);
+    this.usingFallback = false;
     this.connect();
   }
 
   async connect() {
-    try {
-      this.client = redis.createClient({
-        url: process.env.REDIS_URL || `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`,
-        password: process.env.REDIS_PASSWORD || undefined,
-        retry_strategy: (options) => {
-          if (options.error && options.error.code === 'ECONNREFUSED') {
-            return new Error('The server refused the connection');
-          }
-          if (options.total_retry_time > 1000 * 60 * 60) {
-            return new Error('Retry time exhausted');
-          }
-          if (options.attempt > 10) {
-            return undefined;
-          }
-          return Math.min(options.attempt * 100, 3000);
-        }
-      });
-
-      this.client.on('connect', () => {
-        console.log('Connected to Redis');
-        this.connected = true;
-      });
-
-      this.client.on('error', (err) => {
-        console.error('Redis Client Error:', err);
-        this.connected = false;
-      });
+    if (this.fallback) await this.fallback.connect();
+    await this.store.connect();
+  }
 
-      this.client.on('end', () => {
-        console.log('Redis connection ended');
-        this.connected = false;
-      });
+  // The store serving requests right now: the configured one, or the
+  // fallback while it is unreachable. null means reads miss and writes fail.
+  activeStore() {
+    if (this.store.isConnected()) {
+      if (this.usingFallback) {
+        console.warn(`Cache store ${this.store.name} is back; data written during the outage stays in ${this.fallback.name}`);
+        this.usingFallback = false;
+      }
+      return this.store;
+    }
 
-      await this.client.connect();
-    } catch (error) {
-      console.error('Failed to connect to Redis:', error);
-      this.connected = false;
+    if (this.fallback) {
+      if (!this.usingFallback) {
+        console.warn(`Cache store ${this.store.name} unavailable, falling back to ${this.fallback.name}`);
+        this.usingFallback = true;
+      }
+      return this.fallback;
     }
+
+    return null;
   }
 
   async get(key) {
     try {
-      if (!this.connected) return null;
-      const value = await this.client.get(key);
+      const store = this.activeStore();
+      if (!store) return null;
+      const value = await store.get(key);
       return value ? JSON.parse(value) : null;
     } catch (error) {
-      console.error('Redis get error:', error);
+      console.error('Cache get error:', error);
       return null;
     }
   }
 
   async set(key, value, ttl = 3600) {
     try {
-      if (!this.connected) return false;
-      await this.client.setEx(key, ttl, JSON.stringify(value));
+      const store = this.activeStore();
+      if (!store) return false;
+      await store.set(key, JSON.stringify(value), ttl);
       return true;
     } catch (error) {
-      console.error('Redis set error:', error);
+      console.error('Cache set error:', error);
       return false;
     }
   }
 
   async del(key) {
     try {
-      if (!this.connected) return false;
-      await this.client.del(key);
+      const store = this.activeStore();
+      if (!store) return false;
+      await store.del(key);
       return true;
     } catch (error) {
-      console.error('Redis del error:', error);
+      console.error('Cache del error:', error);
       return false;
     }
   }
 
   async exists(key) {
     try {
-      if (!this.connected) return false;
-      const result = await this.client.exists(key);
-      return result === 1;
+      const store = this.activeStore();
+      if (!store) return false;
+      return await store.exists(key);
     } catch (error) {
-      console.error('Redis exists error:', error);
+      console.error('Cache exists error:', error);
       return false;
     }
   }
 
   async expire(key, ttl) {
     try {
-      if (!this.connected) return false;
-      await this.client.expire(key, ttl);
+      const store = this.activeStore();
+      if (!store) return false;
+      await store.expire(key, ttl);
       return true;
     } catch (error) {
-      console.error('Redis expire error:', error);
+      console.error('Cache expire error:', error);
       return false;
     }
   }
 
+  // Atomically adds one to a counter and returns the new count, or null if
+  // no store is available. The ttl is set when the counter is created.
+  async incr(key, ttl) {
+    try {
+      const store = this.activeStore();
+      if (!store) return null;
+      const count = await store.incr(key);
+      if (count === 1 && ttl) await store.expire(key, ttl);
+      return count;
+    } catch (error) {
+      console.error('Cache incr error:', error);
+      return null;
+    }
+  }
+
+  // Values of every key matching pattern, found with scan()
+  async getAll(pattern) {
+    try {
+      const store = this.activeStore();
+      if (!store) return [];
+      const values = [];
+      for await (const key of store.scan(pattern)) {
+        const value = await this.get(key);
+        if (value) values.push(value);
+      }
+      return values;
+    } catch (error) {
+      console.error('Cache getAll error:', error);
+      return [];
+    }
+  }
+
   async hget(hash, field) {
     try {
-      if (!this.isConnected) return null;
-      const value = await this.client.hGet(hash, field);
+      const store = this.activeStore();
+      if (!store) return null;
+      const value = await store.hGet(hash, field);
       return value ? JSON.parse(value) : null;
     } catch (error) {
-      console.error('Redis hget error:', error);
+      console.error('Cache hget error:', error);
       return null;
     }
   }
 
   async hset(hash, field, value) {
     try {
-      if (!this.isConnected) return false;
-      await this.client.hSet(hash, field, JSON.stringify(value));
+      const store = this.activeStore();
+      if (!store) return false;
+      await store.hSet(hash, field, JSON.stringify(value));
       return true;
     } catch (error) {
-      console.error('Redis hset error:', error);
+      console.error('Cache hset error:', error);
       return false;
     }
   }
 
   async hgetall(hash) {
     try {
-      if (!this.connected) return {};
-      const result = await this.client.hGetAll(hash);
+      const store = this.activeStore();
+      if (!store) return {};
+      const result = await store.hGetAll(hash);
       const parsed = {};
       for (const [key, value] of Object.entries(result)) {
         try {
@@ -140,40 +167,55 @@ class CacheService {
       }
       return parsed;
     } catch (error) {
-      console.error('Redis hgetall error:', error);
+      console.error('Cache hgetall error:', error);
       return {};
     }
   }
 
   async lpush(key, value) {
     try {
-      if (!this.connected) return false;
-      await this.client.lPush(key, JSON.stringify(value));
+      const store = this.activeStore();
+      if (!store) return false;
+      await store.lPush(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      console.error('Cache lpush error:', error);
+      return false;
+    }
+  }
+
+  async rpush(key, value) {
+    try {
+      const store = this.activeStore();
+      if (!store) return false;
+      await store.rPush(key, JSON.stringify(value));
       return true;
     } catch (error) {
-      console.error('Redis lpush error:', error);
+      console.error('Cache rpush error:', error);
       return false;
     }
   }
 
   async lrange(key, start, stop) {
     try {
-      if (!this.connected) return [];
-      const result = await this.client.lRange(key, start, stop);
+      const store = this.activeStore();
+      if (!store) return [];
+      const result = await store.lRange(key, start, stop);
       return result.map(item => JSON.parse(item));
     } catch (error) {
-      console.error('Redis lrange error:', error);
+      console.error('Cache lrange error:', error);
       return [];
     }
   }
 
   async ltrim(key, start, stop) {
     try {
-      if (!this.connected) return false;
-      await this.client.lTrim(key, start, stop);
+      const store = this.activeStore();
+      if (!store) return false;
+      await store.lTrim(key, start, stop);
       return true;
     } catch (error) {
-      console.error('Redis ltrim error:', error);
+      console.error('Cache ltrim error:', error);
       return false;
     }
   }
@@ -196,10 +238,11 @@ class CacheService {
   }
 
   async addToSessionHistory(sessionId, entry) {
-    const success = await this.lpush(`history:${sessionId}`, entry);
+    // Append so the list reads oldest to newest, like the client's history
+    const success = await this.rpush(`history:${sessionId}`, entry);
     if (success) {
       // Keep only last 100 entries
-      await this.ltrim(`history:${sessionId}`, 0, 99);
+      await this.ltrim(`history:${sessionId}`, -100, -1);
     }
     return success;
   }
@@ -222,46 +265,61 @@ class CacheService {
     return await this.set(`voice:${text}:${voice}`, audioData, ttl);
   }
 
-  // Cleanup old sessions
-  async cleanupOldSessions() {
-    try {
-      if (!this.connected) return;
-      
-      const keys = await this.client.keys('session:*');
-      const now = Date.now();
-      
-      for (const key of keys) {
-        const session = await this.get(key);
-        if (session && (now - session.lastActivity) > 24 * 60 * 60 * 1000) {
-          await this.del(key);
-          const sessionId = key.replace('session:', '');
-          await this.del(`history:${sessionId}`);
-        }
+  // Drop sessions (and their history) untouched for maxAge. Run by the
+  // job scheduler, so failures are thrown for it to record.
+  async cleanupOldSessions(maxAge = 24 * 60 * 60 * 1000) {
+    const store = this.activeStore();
+    if (!store) {
+      throw new Error('Cache store unavailable');
+    }
+
+    const now = Date.now();
+    let scanned = 0;
+    let removed = 0;
+
+    for await (const key of store.scan('session:*')) {
+      scanned += 1;
+      const session = await this.get(key);
+      if (session && (now - session.lastActivity) > maxAge) {
+        await this.del(key);
+        const sessionId = key.replace('session:', '');
+        await this.del(`history:${sessionId}`);
+        removed += 1;
       }
-    } catch (error) {
-      console.error('Cleanup error:', error);
     }
+
+    return { scanned, removed };
   }
 
-  // Health check
+  // Health check: true while requests are being served by some store
   isConnected() {
-    return this.connected;
+    return this.activeStore() !== null;
+  }
+
+  getStatus() {
+    const active = this.activeStore();
+    return {
+      store: this.store.name,
+      connected: this.store.isConnected(),
+      fallback: this.fallback ? this.fallback.name : null,
+      active: active ? active.name : null,
+      degraded: active !== this.store
+    };
   }
 
   async ping() {
     try {
-      if (!this.connected) return false;
-      await this.client.ping();
-      return true;
+      const store = this.activeStore();
+      if (!store) return false;
+      return await store.ping();
     } catch (error) {
       return false;
     }
   }
 
   async disconnect() {
-    if (this.client) {
-      await this.client.quit();
-    }
+    await this.store.disconnect();
+    if (this.fallback) await this.fallback.disconnect();
   }
 }
 
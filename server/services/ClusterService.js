@@ -0,0 +1,245 @@
+const os = require('os');
+const EventEmitter = require('events');
+const redis = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { httpError } = require('../utils/errors');
+
+// Lets several server instances run behind a load balancer. With
+// SOCKET_ADAPTER=redis, room broadcasts go through Redis pub/sub, and every
+// session has one owner node, held with an expiring Redis lock: the node that
+// runs its audio pipeline and its upstream live connection. Other nodes
+// forward session actions (audio, barge-in, recording) to the owner with
+// run()/send() and answer cross-node queries through gather(). With the
+// default in-memory adapter there is a single node, which owns everything.
+//
+// Emits 'lost' with the session id when a held lock could not be renewed.
+
+const RENEW_SCRIPT = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) else return 0 end";
+const RELEASE_SCRIPT = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end";
+
+// A node that lost a claim waits this long before trying again, so audio
+// arriving for a session owned elsewhere does not hit Redis per chunk
+const CLAIM_RETRY_MS = 1000;
+
+const lockKey = (sessionId) => `owner:session:${sessionId}`;
+
+class ClusterService extends EventEmitter {
+  constructor(io, options = {}) {
+    super();
+    this.io = io;
+    this.enabled = (options.adapter || process.env.SOCKET_ADAPTER || 'memory') === 'redis';
+    this.nodeId = options.nodeId || process.env.NODE_ID || `${os.hostname()}-${process.pid}`;
+    this.url = options.url || process.env.REDIS_URL || `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`;
+    this.password = options.password || process.env.REDIS_PASSWORD || undefined;
+    this.lockTtl = options.lockTtl || parseInt(process.env.SESSION_OWNER_TTL_MS) || 15000;
+    this.requestTimeout = options.requestTimeout || 2000;
+    this.pubClient = null;
+    this.subClient = null;
+    this.connected = false;
+    this.reportedError = false;
+    this.owned = new Map(); // sessionId -> lock renewal timer
+    this.failedClaims = new Map(); // sessionId -> time of the last failed claim
+    this.handlers = new Map();
+  }
+
+  async connect() {
+    if (!this.enabled) return true;
+
+    try {
+      this.pubClient = redis.createClient({
+        url: this.url,
+        password: this.password,
+        socket: {
+          // Give up on a Redis that is down at startup; once connected, keep
+          // reconnecting through outages
+          reconnectStrategy: (retries) => (
+            this.connected || retries < 5 ? Math.min(retries * 100, 3000) : new Error('Redis unreachable')
+          )
+        }
+      });
+      this.subClient = this.pubClient.duplicate();
+      for (const client of [this.pubClient, this.subClient]) {
+        client.on('error', (err) => {
+          if (!this.reportedError) console.error('Cluster Redis error:', err.message);
+          this.reportedError = true;
+        });
+        client.on('ready', () => {
+          this.reportedError = false;
+        });
+      }
+      await Promise.all([this.pubClient.connect(), this.subClient.connect()]);
+      this.connected = true;
+
+      this.io.adapter(createAdapter(this.pubClient, this.subClient, { requestsTimeout: this.requestTimeout }));
+      this.io.on('session-action', (message, ack) => this.receive(message, ack));
+      this.io.on('gather', (message, ack) => this.answer(message, ack));
+      this.io.on('notify', ({ name, payload }) => {
+        this.invoke(name, payload).catch(error => console.error(`Cluster ${name} error:`, error.message));
+      });
+
+      console.log(`Socket.IO Redis adapter ready (node ${this.nodeId})`);
+      return true;
+    } catch (error) {
+      // Rather than refuse to start, serve this node's own clients alone
+      console.error('Failed to set up the Socket.IO Redis adapter, running as a single node:', error.message);
+      this.enabled = false;
+      for (const client of [this.pubClient, this.subClient]) {
+        if (client && client.isOpen) client.disconnect().catch(() => {});
+      }
+      return false;
+    }
+  }
+
+  // Local implementation of a session action (run()/send()) or a gather() query
+  handle(name, fn) {
+    this.handlers.set(name, fn);
+    return this;
+  }
+
+  owns(sessionId) {
+    return !this.enabled || this.owned.has(sessionId);
+  }
+
+  // Takes ownership if nobody holds the session; true when this node owns it
+  async claim(sessionId) {
+    if (this.owns(sessionId)) return true;
+    if (Date.now() - (this.failedClaims.get(sessionId) || 0) < CLAIM_RETRY_MS) return false;
+
+    try {
+      const reply = await this.pubClient.set(lockKey(sessionId), this.nodeId, { NX: true, PX: this.lockTtl });
+      if (reply !== 'OK') {
+        this.failedClaims.set(sessionId, Date.now());
+        return false;
+      }
+    } catch (error) {
+      console.error('Error claiming session ownership:', error.message);
+      return false;
+    }
+
+    this.failedClaims.delete(sessionId);
+    this.owned.set(sessionId, setInterval(() => this.renew(sessionId), Math.floor(this.lockTtl / 3)));
+    return true;
+  }
+
+  async renew(sessionId) {
+    try {
+      const renewed = await this.pubClient.eval(RENEW_SCRIPT, {
+        keys: [lockKey(sessionId)],
+        arguments: [this.nodeId, String(this.lockTtl)]
+      });
+      if (!renewed) {
+        this.forget(sessionId);
+        this.emit('lost', sessionId);
+      }
+    } catch (error) {
+      // Keep trying; the lock only moves once it has expired
+      console.error('Error renewing session ownership:', error.message);
+    }
+  }
+
+  forget(sessionId) {
+    clearInterval(this.owned.get(sessionId));
+    this.owned.delete(sessionId);
+  }
+
+  async release(sessionId) {
+    if (!this.enabled || !this.owned.has(sessionId)) return;
+
+    this.forget(sessionId);
+    try {
+      await this.pubClient.eval(RELEASE_SCRIPT, { keys: [lockKey(sessionId)], arguments: [this.nodeId] });
+    } catch (error) {
+      console.error('Error releasing session ownership:', error.message);
+    }
+  }
+
+  // Runs a session action on its owner (here when this node owns or can
+  // claim the session) and resolves with the result
+  async run(sessionId, action, payload = {}) {
+    if (await this.claim(sessionId)) {
+      return this.invoke(action, { sessionId, ...payload });
+    }
+
+    const responses = await this.request('session-action', { sessionId, action, payload });
+    const answer = responses.find(response => response && response.handled);
+    if (!answer) {
+      throw httpError('Session owner unavailable', 503);
+    }
+    if (answer.error) {
+      throw httpError(answer.error.message, answer.error.status);
+    }
+    return answer.result;
+  }
+
+  // Fire-and-forget run() for high-rate actions such as audio chunks
+  async send(sessionId, action, payload = {}) {
+    if (await this.claim(sessionId)) {
+      return this.invoke(action, { sessionId, ...payload });
+    }
+    this.io.serverSideEmit('session-action', { sessionId, action, payload });
+  }
+
+  // Runs a handler on every node, without waiting for the others
+  async notify(name, payload = {}) {
+    if (this.enabled) this.io.serverSideEmit('notify', { name, payload });
+    return this.invoke(name, payload);
+  }
+
+  // Results of a query from every node, this one first
+  async gather(name, payload = {}) {
+    const local = await this.invoke(name, payload);
+    if (!this.enabled) return [{ nodeId: this.nodeId, result: local }];
+
+    const responses = await this.request('gather', { name, payload });
+    return [
+      { nodeId: this.nodeId, result: local },
+      ...responses.filter(response => response && !response.error)
+    ];
+  }
+
+  async invoke(name, payload) {
+    const handler = this.handlers.get(name);
+    if (!handler) {
+      throw new Error(`No cluster handler for ${name}`);
+    }
+    return handler(payload);
+  }
+
+  // Peers that do not answer in time are left out rather than failing the request
+  request(event, message) {
+    return new Promise((resolve) => {
+      this.io.serverSideEmit(event, message, (error, responses) => resolve(responses || []));
+    });
+  }
+
+  async receive({ sessionId, action, payload }, ack) {
+    if (!this.owned.has(sessionId)) {
+      if (ack) ack({ handled: false });
+      return;
+    }
+
+    try {
+      const result = await this.invoke(action, { sessionId, ...payload });
+      if (ack) ack({ handled: true, result });
+    } catch (error) {
+      if (ack) ack({ handled: true, error: { message: error.message, status: error.status } });
+    }
+  }
+
+  async answer({ name, payload }, ack) {
+    try {
+      ack({ nodeId: this.nodeId, result: await this.invoke(name, payload) });
+    } catch (error) {
+      ack({ nodeId: this.nodeId, error: error.message });
+    }
+  }
+
+  async disconnect() {
+    await Promise.all(Array.from(this.owned.keys()).map(sessionId => this.release(sessionId)));
+    for (const client of [this.pubClient, this.subClient]) {
+      if (client && client.isOpen) await client.quit();
+    }
+  }
+}
+
+module.exports = ClusterService;
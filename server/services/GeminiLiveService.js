@@ -1,68 +1,414 @@
 const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const { pcmToWav } = require('../utils/wav');
 
-// Placeholder Gemini Live proxy. This simulates a live session API so we can
-// swap in the real Gemini Live WebSocket without changing the rest of the app.
-// For now it calls the existing GeminiService.getResponse() with a mock
-// transcription to keep the pipeline working end-to-end.
+// Gemini Live proxy. Holds one bidirectional BidiGenerateContent WebSocket per
+// sessionId: the setup message carries the model and system instruction,
+// microphone audio is forwarded as realtime input, and streamed model output
+// (audio + transcription text) is buffered per turn and emitted as 'response'.
+// The ToolRegistry's functions are declared in the setup; a toolCall is run
+// through the registry (emitting 'tool-call' for each call) and answered with
+// a toolResponse, after which the model carries on with the same turn.
+// GEMINI_LIVE_URL can point at a local stand-in server speaking the same
+// message shapes (test/GeminiLiveService.test.js runs against one);
+// GEMINI_LIVE_ENABLED=false turns the transport off and leaves every turn to
+// the text path.
+//
+// A dropped upstream socket is reconnected once at a time per session, with
+// exponential backoff and a bounded number of attempts; audio frames that
+// arrive meanwhile are dropped, as realtime audio is stale by the time the
+// socket is back.
+
+const DEFAULT_LIVE_URL = 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent';
+const OUTPUT_SAMPLE_RATE = 24000;
+const RECONNECT_BASE_DELAY = 500;
+const RECONNECT_MAX_DELAY = 10000;
+const MAX_RECONNECT_ATTEMPTS = 5;
+
+const parseSampleRate = (mimeType, fallback) => {
+  const match = /rate=(\d+)/.exec(mimeType || '');
+  return match ? parseInt(match[1]) : fallback;
+};
 
 class GeminiLiveService extends EventEmitter {
-  constructor(geminiService) {
+  constructor(geminiService, options = {}) {
     super();
     this.geminiService = geminiService;
+    this.tools = options.tools || geminiService?.tools || null;
     this.sessions = new Map();
-    this.model = process.env.GEMINI_LIVE_MODEL || 'gemini-2.5-flash-preview-native-audio-dialog';
+    this.model = options.model || process.env.GEMINI_LIVE_MODEL || 'gemini-2.5-flash-preview-native-audio-dialog';
+    this.url = options.url || process.env.GEMINI_LIVE_URL || DEFAULT_LIVE_URL;
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY || geminiService?.apiKey;
+    this.inputSampleRate = parseInt(process.env.AUDIO_SAMPLE_RATE) || 16000;
+    this.enabled = options.enabled !== undefined
+      ? options.enabled
+      : process.env.GEMINI_LIVE_ENABLED !== 'false';
+    this.setupTimeout = options.setupTimeout || 10000;
+    this.reconnectDelay = options.reconnectDelay ?? RECONNECT_BASE_DELAY;
+    this.maxReconnectAttempts = options.maxReconnectAttempts ?? MAX_RECONNECT_ATTEMPTS;
+    // With server-side VAD the upstream model's own activity detection is
+    // disabled and turns are delimited by startActivity/endActivity
+    this.serverVad = options.serverVad !== undefined
+      ? options.serverVad
+      : process.env.GEMINI_LIVE_SERVER_VAD === 'true';
   }
 
   async openSession(sessionId, systemInstruction) {
-    this.sessions.set(sessionId, {
+    if (!this.enabled) return false;
+
+    const existing = this.sessions.get(sessionId);
+    if (existing && existing.ws && existing.ws.readyState <= WebSocket.OPEN) {
+      return existing.ready;
+    }
+
+    const state = {
       id: sessionId,
       systemInstruction: systemInstruction || '',
       responding: false,
+      // Set by a barge-in: upstream output is dropped until it closes the
+      // interrupted reply (turnComplete or interrupted)
+      discarding: false,
+      ws: null,
+      ready: null,
+      setupComplete: false,
+      session: null,
+      turn: this.createTurn(),
+      // The reconnect in progress after the socket dropped, and how many
+      // have failed in a row
+      reconnecting: null,
+      reconnectAttempts: 0,
+    };
+    this.sessions.set(sessionId, state);
+    state.ready = this.connect(state);
+    return state.ready;
+  }
+
+  createTurn() {
+    return { id: uuidv4(), text: '', inputText: '', audio: [], audioMimeType: null, toolCalls: [] };
+  }
+
+  connect(state) {
+    return new Promise((resolve) => {
+      const separator = this.url.includes('?') ? '&' : '?';
+      const url = this.apiKey ? `${this.url}${separator}key=${this.apiKey}` : this.url;
+      let settled = false;
+
+      const settle = (ok) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve(ok);
+      };
+
+      const timer = setTimeout(() => {
+        console.error(`Gemini Live setup timed out for session ${state.id}`);
+        settle(false);
+        if (state.ws) state.ws.terminate();
+      }, this.setupTimeout);
+
+      let ws;
+      try {
+        ws = new WebSocket(url);
+      } catch (error) {
+        console.error('Gemini Live connection error:', error.message);
+        settle(false);
+        return;
+      }
+      state.ws = ws;
+
+      ws.on('open', () => {
+        ws.send(JSON.stringify(this.buildSetupMessage(state)));
+      });
+
+      ws.on('message', (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw.toString());
+        } catch (error) {
+          console.error('Gemini Live message parse error:', error.message);
+          return;
+        }
+
+        if (message.setupComplete) {
+          state.setupComplete = true;
+          state.reconnectAttempts = 0;
+          this.emit('session-opened', { sessionId: state.id });
+          settle(true);
+          return;
+        }
+
+        this.handleServerMessage(state, message);
+      });
+
+      ws.on('error', (error) => {
+        console.error(`Gemini Live socket error (${state.id}):`, error.message);
+        this.emit('session-error', { sessionId: state.id, error: error.message });
+        settle(false);
+      });
+
+      ws.on('close', (code, reason) => {
+        settle(false);
+        if (this.sessions.get(state.id) === state) {
+          state.setupComplete = false;
+          state.responding = false;
+          state.discarding = false;
+          this.emit('session-closed', { sessionId: state.id, code, reason: reason?.toString() });
+        }
+      });
+    });
+  }
+
+  buildSetupMessage(state) {
+    const model = this.model.startsWith('models/') ? this.model : `models/${this.model}`;
+    const setup = {
+      model,
+      generationConfig: {
+        responseModalities: ['AUDIO'],
+      },
+      inputAudioTranscription: {},
+      outputAudioTranscription: {},
+    };
+
+    if (this.serverVad) {
+      setup.realtimeInputConfig = { automaticActivityDetection: { disabled: true } };
+    }
+
+    if (state.systemInstruction) {
+      setup.systemInstruction = { parts: [{ text: state.systemInstruction }] };
+    }
+
+    if (this.tools && this.tools.size > 0) {
+      setup.tools = [{ functionDeclarations: this.tools.declarations() }];
+    }
+
+    return { setup };
+  }
+
+  handleServerMessage(state, message) {
+    const content = message.serverContent;
+
+    if (message.goAway) {
+      console.warn(`Gemini Live goAway for session ${state.id}:`, message.goAway.timeLeft);
+    }
+
+    if (message.toolCall) {
+      this.handleToolCall(state, message.toolCall).catch((error) => {
+        console.error(`Gemini Live tool call failed (${state.id}):`, error);
+      });
+    }
+
+    if (!content) return;
+
+    // The old reply keeps streaming after a barge-in; only the user's words
+    // are kept from it, and the next turn starts once upstream closes it
+    if (state.discarding) {
+      if (content.inputTranscription?.text) {
+        state.turn.inputText += content.inputTranscription.text;
+      }
+      if (content.interrupted || content.turnComplete) {
+        state.discarding = false;
+        state.turn = { ...this.createTurn(), inputText: state.turn.inputText };
+      }
+      return;
+    }
+
+    if (content.interrupted) {
+      // Keep what we heard of the user; only the model's output is discarded
+      state.turn = { ...this.createTurn(), inputText: state.turn.inputText };
+      state.responding = false;
+      this.emit('interrupted', { sessionId: state.id, source: 'server' });
+    }
+
+    if (content.inputTranscription?.text) {
+      state.turn.inputText += content.inputTranscription.text;
+    }
+
+    if (content.outputTranscription?.text) {
+      state.responding = true;
+      state.turn.text += content.outputTranscription.text;
+      this.emit('response-chunk', {
+        sessionId: state.id,
+        responseId: state.turn.id,
+        text: content.outputTranscription.text,
+      });
+    }
+
+    const parts = content.modelTurn?.parts || [];
+    for (const part of parts) {
+      if (part.text) {
+        state.turn.text += part.text;
+        this.emit('response-chunk', { sessionId: state.id, responseId: state.turn.id, text: part.text });
+      }
+      if (part.inlineData?.data) {
+        state.turn.audio.push(Buffer.from(part.inlineData.data, 'base64'));
+        state.turn.audioMimeType = part.inlineData.mimeType;
+        this.emit('response-chunk', {
+          sessionId: state.id,
+          responseId: state.turn.id,
+          audio: part.inlineData.data,
+          mimeType: part.inlineData.mimeType,
+        });
+      }
+    }
+    if (parts.length > 0) state.responding = true;
+
+    if (content.turnComplete) {
+      this.completeTurn(state);
+    }
+  }
+
+  // Runs the model's function calls and answers them in one toolResponse;
+  // the model is waiting for it before it continues the turn
+  async handleToolCall(state, toolCall) {
+    const turn = state.turn;
+    const functionResponses = [];
+
+    for (const functionCall of toolCall.functionCalls || []) {
+      const call = this.tools
+        ? await this.tools.execute(functionCall.name, functionCall.args || {}, { session: state.session })
+        : { id: uuidv4(), name: functionCall.name, timestamp: Date.now(), status: 'error', error: `Unknown tool: ${functionCall.name}` };
+      turn.toolCalls.push(call);
+      this.emit('tool-call', { sessionId: state.id, responseId: turn.id, ...call });
+      functionResponses.push({
+        id: functionCall.id,
+        name: functionCall.name,
+        response: call.status === 'ok' ? call.result : { error: call.error },
+      });
+    }
+
+    if (state.ws?.readyState === WebSocket.OPEN) {
+      state.ws.send(JSON.stringify({ toolResponse: { functionResponses } }));
+    }
+  }
+
+  completeTurn(state) {
+    const turn = state.turn;
+    state.turn = this.createTurn();
+    state.responding = false;
+
+    if (!turn.text && turn.audio.length === 0 && turn.toolCalls.length === 0) return;
+
+    let audio = null;
+    if (turn.audio.length > 0) {
+      const sampleRate = parseSampleRate(turn.audioMimeType, OUTPUT_SAMPLE_RATE);
+      const wav = pcmToWav(Buffer.concat(turn.audio), sampleRate);
+      audio = {
+        audioUrl: `data:audio/wav;base64,${wav.toString('base64')}`,
+        method: 'GET',
+        mimeType: 'audio/wav',
+      };
+    }
+
+    const session = state.session || {};
+    this.emit('response', {
+      sessionId: state.id,
+      responseId: turn.id,
+      text: turn.text.trim(),
+      transcript: turn.inputText.trim(),
+      audio,
+      toolCalls: turn.toolCalls,
+      language: session.language,
+      voice: session.voice,
     });
-    this.emit('session-opened', { sessionId });
   }
 
   async closeSession(sessionId) {
+    const state = this.sessions.get(sessionId);
     this.sessions.delete(sessionId);
+    if (state?.ws && state.ws.readyState <= WebSocket.OPEN) {
+      state.ws.close();
+    }
     this.emit('session-closed', { sessionId });
   }
 
-  // Barge-in: mark current response as interrupted; UI should stop playback
-  interrupt(sessionId) {
+  // Barge-in: drop the buffered turn and tell the UI to stop playback. The
+  // upstream model stops on its own once it hears the new speech; whatever
+  // it still sends of the reply in progress is ignored until then.
+  interrupt(sessionId, source = 'client') {
     const s = this.sessions.get(sessionId);
     if (s) {
+      if (s.responding) s.discarding = true;
       s.responding = false;
-      this.emit('interrupted', { sessionId });
+      s.turn = { ...this.createTurn(), inputText: s.turn.inputText };
+      this.emit('interrupted', { sessionId, source });
     }
   }
 
-  // In real implementation, forward PCM/Opus to Gemini Live socket.
-  // Here we simulate by calling text-based Gemini and emitting a result.
-  async sendAudioChunk(session, base64Chunk) {
-    const s = this.sessions.get(session.id);
-    if (!s) return;
-
-    // Debounced/simplified: pretend we got a transcript and produce a reply
-    if (s.responding) return; // avoid spamming
-    s.responding = true;
-    try {
-      const mockTranscript = '...';
-      const response = await this.geminiService.getResponse(mockTranscript, session);
-      if (!this.sessions.has(session.id)) return; // session closed
-      this.emit('response', {
-        sessionId: session.id,
-        text: response.text,
-        audio: response.audio,
-        language: session.language,
-        voice: session.voice,
+  // Reconnect a dropped session after a backoff. Calls made while one is in
+  // progress share it; after maxReconnectAttempts failures in a row it stops
+  // trying until the session is opened again.
+  reconnect(state) {
+    if (state.reconnecting) return state.reconnecting;
+    if (state.reconnectAttempts >= this.maxReconnectAttempts) return Promise.resolve(false);
+
+    const delay = Math.min(this.reconnectDelay * 2 ** state.reconnectAttempts, RECONNECT_MAX_DELAY);
+    state.reconnectAttempts += 1;
+    state.reconnecting = new Promise(resolve => setTimeout(resolve, delay))
+      .then(() => {
+        if (this.sessions.get(state.id) !== state) return false;
+        state.ready = this.connect(state);
+        return state.ready;
+      })
+      .then((ok) => {
+        state.reconnecting = null;
+        if (!ok && state.reconnectAttempts >= this.maxReconnectAttempts) {
+          console.error(`Gemini Live gave up reconnecting session ${state.id} after ${state.reconnectAttempts} attempts`);
+        }
+        return ok;
       });
-    } finally {
-      const curr = this.sessions.get(session.id);
-      if (curr) curr.responding = false;
+    return state.reconnecting;
+  }
+
+  // Forward a base64 audio chunk as realtime input. A dropped upstream socket
+  // is reconnected in the background; frames sent until it is back are
+  // dropped (false).
+  async sendAudioChunk(session, base64Chunk, mimeType = `audio/pcm;rate=${this.inputSampleRate}`) {
+    const s = this.sessions.get(session.id);
+    if (!s || !base64Chunk) return false;
+
+    s.session = session;
+
+    if (s.reconnecting || !s.ws || s.ws.readyState > WebSocket.OPEN) {
+      this.reconnect(s);
+      return false;
     }
+
+    const ready = await s.ready;
+    if (!ready || s.ws.readyState !== WebSocket.OPEN) return false;
+
+    s.ws.send(JSON.stringify({
+      realtimeInput: {
+        audio: { data: base64Chunk, mimeType },
+      },
+    }));
+    return true;
   }
-}
 
-module.exports = GeminiLiveService;
+  startActivity(sessionId) {
+    return this.sendActivity(sessionId, { activityStart: {} });
+  }
+
+  endActivity(sessionId) {
+    return this.sendActivity(sessionId, { activityEnd: {} });
+  }
+
+  sendActivity(sessionId, realtimeInput) {
+    const s = this.sessions.get(sessionId);
+    if (!this.serverVad || !s || !this.isOpen(sessionId)) return false;
 
+    s.ws.send(JSON.stringify({ realtimeInput }));
+    return true;
+  }
+
+  isResponding(sessionId) {
+    return Boolean(this.sessions.get(sessionId)?.responding);
+  }
 
+  isOpen(sessionId) {
+    const s = this.sessions.get(sessionId);
+    return Boolean(s && s.setupComplete && s.ws?.readyState === WebSocket.OPEN);
+  }
+}
+
+module.exports = GeminiLiveService;
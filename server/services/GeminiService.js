@@ -1,11 +1,26 @@
 const axios = require("axios");
+const PersonaService = require("./PersonaService");
+
+// Rounds of function calls the model may make in one turn before it has to
+// answer with what it has
+const MAX_TOOL_ROUNDS = 4;
 
 class GeminiService {
-  constructor() {
+  constructor(options = {}) {
+    // Optional KnowledgeBase whose passages ground product answers
+    this.knowledgeBase = options.knowledgeBase || null;
+    // Optional ToolRegistry of functions the text path may call
+    this.tools = options.tools || null;
     this.apiKey = process.env.GEMINI_API_KEY;
     this.apiUrl =
       process.env.GEMINI_API_URL ||
       "https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent";
+    this.streamUrl =
+      process.env.GEMINI_STREAM_URL ||
+      this.apiUrl.replace(/:(stream)?generateContent$/i, ":streamGenerateContent");
+    // Gemini safety filter threshold for every harm category
+    this.safetyThreshold =
+      process.env.GEMINI_SAFETY_THRESHOLD || "BLOCK_MEDIUM_AND_ABOVE";
     this.connected = false; // renamed to avoid clash
     this.testConnection();
   }
@@ -50,41 +65,12 @@ class GeminiService {
         throw new Error("Gemini API not connected");
       }
 
-      const prompt = this.buildPrompt(userInput, session);
+      const passages = this.retrieve(userInput, session);
+      const prompt = this.buildPrompt(userInput, session, passages);
 
       const response = await axios.post(
         `${this.apiUrl}?key=${this.apiKey}`,
-        {
-          contents: [
-            {
-              parts: [{ text: prompt }],
-            },
-          ],
-          generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 1024,
-          },
-          safetySettings: [
-            {
-              category: "HARM_CATEGORY_HARASSMENT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE",
-            },
-            {
-              category: "HARM_CATEGORY_HATE_SPEECH",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE",
-            },
-            {
-              category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE",
-            },
-            {
-              category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE",
-            },
-          ],
-        },
+        this.buildRequestBody(prompt),
         {
           timeout: 30000,
           headers: { "Content-Type": "application/json" },
@@ -118,6 +104,7 @@ class GeminiService {
         audio: audioResponse,
         language: session.language,
         voice: session.voice,
+        citations: this.cite(passages),
         timestamp: Date.now(),
       };
     } catch (error) {
@@ -126,13 +113,226 @@ class GeminiService {
     }
   }
 
-  buildPrompt(userInput, session) {
+  // turns continues the conversation after the prompt (function calls and
+  // their results); with tools, the registry's functions are declared and
+  // toolMode "NONE" makes the model answer without calling any more
+  buildRequestBody(prompt, { turns = [], tools = null, toolMode } = {}) {
+    const body = {
+      contents: [
+        {
+          role: "user",
+          parts: [{ text: prompt }],
+        },
+        ...turns,
+      ],
+      generationConfig: {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 1024,
+      },
+      safetySettings: [
+        {
+          category: "HARM_CATEGORY_HARASSMENT",
+          threshold: this.safetyThreshold,
+        },
+        {
+          category: "HARM_CATEGORY_HATE_SPEECH",
+          threshold: this.safetyThreshold,
+        },
+        {
+          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+          threshold: this.safetyThreshold,
+        },
+        {
+          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+          threshold: this.safetyThreshold,
+        },
+      ],
+    };
+
+    if (tools && tools.size > 0) {
+      body.tools = [{ functionDeclarations: tools.declarations() }];
+      if (toolMode) {
+        body.toolConfig = { functionCallingConfig: { mode: toolMode } };
+      }
+    }
+    return body;
+  }
+
+  // Streaming variant of getResponse over streamGenerateContent (SSE). Calls
+  // onDelta(text) for every incremental piece as it arrives. The prompt already
+  // asks for the session language, so no separate translation pass is made -
+  // that would hold back the first token until the whole reply was done.
+  //
+  // With a tool registry the model may call functions instead of answering:
+  // each call is run, reported through onToolCall(call) and its result sent
+  // back, until the model replies with text (at most MAX_TOOL_ROUNDS rounds).
+  async streamResponse(userInput, session, onDelta = () => {}, onToolCall = () => {}) {
+    try {
+      if (!this.connected) {
+        throw new Error("Gemini API not connected");
+      }
+
+      const passages = this.retrieve(userInput, session);
+      const prompt = this.buildPrompt(userInput, session, passages);
+
+      const turns = [];
+      const toolCalls = [];
+      let text = "";
+      let blocked = false;
+
+      for (let round = 0; ; round += 1) {
+        const result = await this.streamContent(
+          this.buildRequestBody(prompt, {
+            turns,
+            tools: this.tools,
+            toolMode: round === MAX_TOOL_ROUNDS ? "NONE" : undefined,
+          }),
+          onDelta
+        );
+        text += result.text;
+        blocked = blocked || result.blocked;
+
+        const calls = result.parts.filter((part) => part.functionCall);
+        if (calls.length === 0 || blocked || round === MAX_TOOL_ROUNDS) break;
+
+        turns.push({ role: "model", parts: result.parts });
+        const responses = [];
+        for (const { functionCall } of calls) {
+          const call = await this.tools.execute(
+            functionCall.name,
+            functionCall.args || {},
+            { session }
+          );
+          toolCalls.push(call);
+          onToolCall(call);
+          responses.push({
+            functionResponse: {
+              name: functionCall.name,
+              response:
+                call.status === "ok" ? call.result : { error: call.error },
+            },
+          });
+        }
+        turns.push({ role: "user", parts: responses });
+      }
+
+      let audioResponse = null;
+      if (session.settings?.voiceEnabled) {
+        audioResponse = await this.generateVoiceResponse(text, session.voice);
+      }
+
+      return {
+        text,
+        originalText: text,
+        audio: audioResponse,
+        language: session.language,
+        voice: session.voice,
+        citations: this.cite(passages),
+        toolCalls,
+        blocked,
+        timestamp: Date.now(),
+      };
+    } catch (error) {
+      console.error("Error streaming Gemini response:", error.message);
+      throw new Error("Failed to get AI response");
+    }
+  }
+
+  // One streamGenerateContent request. Resolves with the reply text (also
+  // passed to onDelta as it arrives), every part received - function calls
+  // included - and whether Gemini's safety filters stopped it.
+  async streamContent(body, onDelta) {
+    const response = await axios.post(
+      `${this.streamUrl}?alt=sse&key=${this.apiKey}`,
+      body,
+      {
+        timeout: 30000,
+        responseType: "stream",
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+
+    let text = "";
+    let buffered = "";
+    const parts = [];
+    // Set when Gemini's safety filters stopped the prompt or the reply
+    let blocked = false;
+
+    const handleEvent = (line) => {
+      if (!line.startsWith("data:")) return;
+      const payload = line.slice(5).trim();
+      if (!payload || payload === "[DONE]") return;
+
+      try {
+        const data = JSON.parse(payload);
+        if (
+          data.promptFeedback?.blockReason ||
+          data.candidates?.[0]?.finishReason === "SAFETY"
+        ) {
+          blocked = true;
+        }
+        const received = data.candidates?.[0]?.content?.parts || [];
+        parts.push(...received);
+        const delta = received.map((part) => part.text || "").join("");
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      } catch (error) {
+        console.error("Gemini stream parse error:", error.message);
+      }
+    };
+
+    await new Promise((resolve, reject) => {
+      response.data.on("data", (chunk) => {
+        buffered += chunk.toString();
+        const lines = buffered.split(/\r?\n/);
+        buffered = lines.pop();
+        lines.forEach(handleEvent);
+      });
+      response.data.on("end", () => {
+        if (buffered) handleEvent(buffered);
+        resolve();
+      });
+      response.data.on("error", reject);
+    });
+
+    return { text, parts, blocked };
+  }
+
+  // Knowledge passages for a turn. The previous question is searched too, at
+  // a lower weight, so follow-ups keep the model being discussed.
+  retrieve(userInput, session) {
+    if (!this.knowledgeBase) return [];
+    const previous = session.history?.[session.history.length - 1];
+    return this.knowledgeBase.search(userInput, { context: previous?.userInput });
+  }
+
+  cite(passages) {
+    return this.knowledgeBase ? this.knowledgeBase.citations(passages) : [];
+  }
+
+  buildPrompt(userInput, session, passages = []) {
     const language = session.language;
     const context = session.history?.slice(-5) || [];
 
-    let prompt = `You are a helpful AI assistant. The user is speaking in ${this.getLanguageName(
-      language
-    )}. `;
+    // The session's persona; sessions from before personas get a generic one
+    const instructions = PersonaService.instructions(session.persona);
+    let prompt = `${
+      instructions || "You are a helpful AI assistant."
+    } The user is speaking in ${this.getLanguageName(language)}. `;
+
+    if (passages.length > 0) {
+      prompt += `\n\nReference information about Revolt Motors:\n${this.knowledgeBase.format(
+        passages
+      )}\n\nBase product facts (specifications, prices, dealers, service) on the reference information above. If it does not cover the question, say you are not sure rather than guessing.`;
+    }
+
+    if (this.tools && this.tools.size > 0) {
+      prompt += `\n\n${this.tools.instructions()}`;
+    }
 
     if (context.length > 0) {
       prompt += `\n\nRecent conversation context:\n`;
@@ -157,9 +357,11 @@ class GeminiService {
     return languages[code] || "English";
   }
 
-  async translateText(text, targetLanguage) {
+  // sourceLanguage defaults to non-English replies being translated from
+  // English; pass it when the source may be another language
+  async translateText(text, targetLanguage, sourceLanguage = "en") {
     try {
-      if (targetLanguage === "en") return text;
+      if (targetLanguage === sourceLanguage) return text;
 
       const prompt = `Translate the following text to ${this.getLanguageName(
         targetLanguage
@@ -183,6 +385,8 @@ class GeminiService {
     }
   }
 
+  // Tells the client how to fetch the speech (POST to /api/tts); nothing is
+  // synthesised here
   async generateVoiceResponse(text, voice) {
     try {
       return {
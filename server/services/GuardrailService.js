@@ -0,0 +1,131 @@
+const KnowledgeBase = require('./KnowledgeBase');
+
+// Checks user turns and AI replies against a blocklist and the session
+// persona's allowed topics, without a model call. A blocklisted term anywhere
+// is a violation. A turn is off-topic when it has enough content words but
+// too few of them belong to the persona's topics or the knowledge base (a
+// word only seen in knowledge base prose counts half); small talk passes.
+// The topic check only runs for GUARDRAIL_TOPIC_LANGUAGES (English by
+// default): the word lists cannot judge Hindi or Hinglish.
+//
+// A violation is { stage: 'input' | 'output', reason: 'blocked' |
+// 'off-topic' | 'safety', term? }; refusal() gives the reply that replaces
+// the turn.
+
+const DEFAULT_BLOCKLIST = [
+  // Weapons and violence
+  'bomb', 'explosive', 'firearm', 'gun', 'weapon', 'murder',
+  // Drugs and crime
+  'cocaine', 'heroin', 'narcotic', 'drug dealer', 'steal', 'hacking', 'fake licence', 'fake license',
+  // Adult content
+  'porn', 'nude', 'sexual',
+  // Unsafe or illegal changes to the bike
+  'remove speed limiter', 'bypass speed limiter', 'tamper odometer', 'tamper battery', 'disable brakes'
+];
+
+// Words that always count as on-topic for a Revolt assistant, beyond the
+// knowledge base and the persona's own topics
+const DOMAIN_WORDS = [
+  'revolt', 'bike', 'motorcycle', 'motorbike', 'scooter', 'vehicle', 'ev', 'electric', 'ride', 'rider',
+  'riding', 'battery', 'charge', 'charger', 'charging', 'range', 'speed', 'mileage', 'price', 'cost',
+  'emi', 'finance', 'loan', 'insurance', 'offer', 'discount', 'subsidy', 'booking', 'book', 'dealer',
+  'dealership', 'showroom', 'hub', 'service', 'warranty', 'test', 'delivery', 'colour', 'color', 'model'
+];
+
+// Greetings, thanks and other turns that are fine with any persona
+const SMALL_TALK = new Set(KnowledgeBase.tokenize([
+  'hello hi hey thanks thank bye goodbye ok okay yes yeah no sure good great fine cool nice',
+  'morning afternoon evening night name help doing today welcome sorry again repeat understand',
+  'namaste shukriya dhanyavaad haan nahi theek accha ji sir madam'
+].join(' ')));
+
+// Content words needed before a turn can be judged off-topic. Replies get a
+// higher bar: a short answer need not repeat any product words.
+const MIN_WORDS = { input: 2, output: 12 };
+
+const REFUSALS = {
+  en: {
+    blocked: "Sorry, I can't help with that request.",
+    'off-topic': 'Sorry, I can only help with {topics}.',
+    safety: "Sorry, I can't help with that request."
+  },
+  hi: {
+    blocked: 'माफ़ कीजिए, मैं इस अनुरोध में मदद नहीं कर सकता।',
+    'off-topic': 'माफ़ कीजिए, मैं सिर्फ़ {topics} के बारे में मदद कर सकता हूँ।',
+    safety: 'माफ़ कीजिए, मैं इस अनुरोध में मदद नहीं कर सकता।'
+  },
+  hinglish: {
+    blocked: 'Sorry, main is request mein madad nahi kar sakta.',
+    'off-topic': 'Sorry, main sirf {topics} ke baare mein madad kar sakta hoon.',
+    safety: 'Sorry, main is request mein madad nahi kar sakta.'
+  }
+};
+
+const list = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+class GuardrailService {
+  constructor(options = {}) {
+    this.enabled = (options.enabled ?? process.env.GUARDRAILS_ENABLED ?? 'true') !== 'false';
+    this.knowledgeBase = options.knowledgeBase || null;
+    this.topicLanguages = options.topicLanguages || list(process.env.GUARDRAIL_TOPIC_LANGUAGES || 'en');
+    // Extra terms from GUARDRAIL_BLOCKLIST are added to the defaults
+    this.blocklist = [...DEFAULT_BLOCKLIST, ...(options.blocklist || list(process.env.GUARDRAIL_BLOCKLIST))]
+      .map(term => ({ term, tokens: KnowledgeBase.tokenize(term) }))
+      .filter(entry => entry.tokens.length > 0);
+    this.domainWords = new Set(KnowledgeBase.tokenize(DOMAIN_WORDS.join(' ')));
+  }
+
+  // The first blocklisted term in text, matched on whole words
+  findBlocked(text) {
+    const words = ` ${KnowledgeBase.tokenize(text).join(' ')} `;
+    const hit = this.blocklist.find(entry => words.includes(` ${entry.tokens.join(' ')} `));
+    return hit ? hit.term : null;
+  }
+
+  isOnTopic(text, persona, stage) {
+    const topics = persona?.allowedTopics || [];
+    if (topics.length === 0) return true;
+
+    const topicWords = new Set(KnowledgeBase.tokenize(`${persona.name || ''} ${topics.join(' ')}`));
+    const words = KnowledgeBase.tokenize(text).filter(word => !SMALL_TALK.has(word));
+    if (words.length < MIN_WORDS[stage]) return true;
+
+    const score = words.reduce((sum, word) => sum + (
+      topicWords.has(word) || this.domainWords.has(word)
+        ? 1
+        : (this.knowledgeBase ? this.knowledgeBase.termWeight(word) : 0)
+    ), 0);
+    return score >= 1;
+  }
+
+  // null when text passes; partial text (a reply still streaming) is only
+  // checked against the blocklist
+  check(text, { persona, language, stage = 'input', partial = false } = {}) {
+    if (!this.enabled || !text) return null;
+
+    const term = this.findBlocked(text);
+    if (term) return { stage, reason: 'blocked', term };
+
+    if (!partial && this.topicLanguages.includes(language) && !this.isOnTopic(text, persona, stage)) {
+      return { stage, reason: 'off-topic' };
+    }
+    return null;
+  }
+
+  // Polite refusal in language (English when there is no template for it)
+  refusal(language, violation, persona) {
+    const templates = REFUSALS[language] || REFUSALS.en;
+    const topics = (persona?.allowedTopics || []).slice(0, 3).join(', ') || 'this conversation';
+    return (templates[violation.reason] || templates.blocked).replace('{topics}', topics);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      blocklistTerms: this.blocklist.length,
+      topicLanguages: this.topicLanguages
+    };
+  }
+}
+
+module.exports = GuardrailService;
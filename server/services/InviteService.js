@@ -0,0 +1,118 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const SessionManager = require('./SessionManager');
+const { httpError } = require('../utils/errors');
+
+const exhausted = () => httpError('Invite has already been used the maximum number of times', 410);
+
+// Shareable invite links. The token itself is a signed JWT (session, role,
+// expiry) so it cannot be forged or altered. The invite record is kept in the
+// cache under invite:<id> and its use count in a counter under
+// invite-uses:<id>, incremented atomically so concurrent redemptions cannot
+// exceed the limit; both expire with the token.
+
+class InviteService {
+  constructor(cacheService, sessionManager, options = {}) {
+    this.cacheService = cacheService;
+    this.sessionManager = sessionManager;
+    this.secret = options.secret || process.env.AUTH_SECRET || process.env.SESSION_SECRET;
+    this.defaultTtl = parseInt(options.ttl || process.env.INVITE_TTL || '86400', 10);
+    this.defaultMaxUses = parseInt(options.maxUses || process.env.INVITE_MAX_USES || '10', 10);
+  }
+
+  async create(session, createdBy, options = {}) {
+    const role = options.role || 'participant';
+    if (!SessionManager.ROLES.includes(role)) {
+      throw httpError(`Unknown role: ${role}`, 400);
+    }
+
+    const ttl = parseInt(options.expiresIn, 10) || this.defaultTtl;
+    const maxUses = parseInt(options.maxUses, 10) || this.defaultMaxUses;
+    const invite = {
+      id: uuidv4(),
+      sessionId: session.id,
+      role,
+      maxUses,
+      createdBy: createdBy.id,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + ttl * 1000
+    };
+
+    const stored = await this.cacheService.set(`invite:${invite.id}`, invite, ttl);
+    if (!stored) {
+      throw httpError('Invite storage unavailable', 503);
+    }
+
+    const token = jwt.sign({ sid: session.id, role }, this.secret, {
+      jwtid: invite.id,
+      audience: 'invite',
+      expiresIn: ttl
+    });
+
+    return { token, ...this.describe({ ...invite, uses: 0 }) };
+  }
+
+  describe(invite) {
+    return {
+      sessionId: invite.sessionId,
+      role: invite.role,
+      expiresAt: invite.expiresAt,
+      maxUses: invite.maxUses,
+      remainingUses: Math.max(invite.maxUses - invite.uses, 0)
+    };
+  }
+
+  // Resolves a token to its invite record, rejecting expired, exhausted or
+  // tampered tokens
+  async resolve(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.secret, { audience: 'invite' });
+    } catch (error) {
+      throw httpError(error.name === 'TokenExpiredError' ? 'Invite has expired' : 'Invalid invite', 400);
+    }
+
+    const invite = await this.cacheService.get(`invite:${payload.jti}`);
+    if (!invite) {
+      throw httpError('Invite has expired', 400);
+    }
+    invite.uses = await this.cacheService.get(`invite-uses:${invite.id}`) || 0;
+    if (invite.uses >= invite.maxUses) {
+      throw exhausted();
+    }
+    return invite;
+  }
+
+  async preview(token) {
+    return this.describe(await this.resolve(token));
+  }
+
+  // Adds the user to the invite's session. Users who already have access
+  // join without using up the invite.
+  async redeem(token, user) {
+    const invite = await this.resolve(token);
+
+    const session = await this.sessionManager.getSession(invite.sessionId);
+    if (!session) {
+      throw httpError('Session has ended', 410);
+    }
+    if (this.sessionManager.canAccess(session, user)) {
+      return session;
+    }
+
+    // The check in resolve() may race with other redemptions; the counter
+    // decides who gets the remaining uses
+    const ttl = Math.ceil((invite.expiresAt - Date.now()) / 1000);
+    const uses = await this.cacheService.incr(`invite-uses:${invite.id}`, Math.max(ttl, 1));
+    if (uses === null) {
+      throw httpError('Invite storage unavailable', 503);
+    }
+    if (uses > invite.maxUses) {
+      throw exhausted();
+    }
+
+    return await this.sessionManager.addMember(invite.sessionId, user, invite.role);
+  }
+}
+
+module.exports = InviteService;
@@ -0,0 +1,92 @@
+const cron = require('node-cron');
+const { httpError } = require('../utils/errors');
+
+// Maintenance jobs on cron expressions (node-cron). Each job keeps the
+// outcome of its last run for the admin status route. A job whose previous
+// run is still going when the next tick fires skips that tick instead of
+// running twice side by side.
+
+class JobScheduler {
+  constructor(options = {}) {
+    this.timezone = options.timezone || process.env.JOBS_TIMEZONE || undefined;
+    this.jobs = new Map();
+  }
+
+  // schedule is a cron expression; 'off' (or empty) registers the job
+  // without scheduling it, so it can still be run by hand
+  register(name, schedule, run) {
+    const expression = schedule && schedule !== 'off' ? schedule : null;
+    if (expression && !cron.validate(expression)) {
+      throw new Error(`Invalid cron expression for job ${name}: ${expression}`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      schedule: expression,
+      run,
+      task: null,
+      running: false,
+      runs: 0,
+      failures: 0,
+      lastRun: null
+    });
+    return this;
+  }
+
+  start() {
+    for (const job of this.jobs.values()) {
+      if (!job.schedule || job.task) continue;
+      job.task = cron.schedule(job.schedule, () => this.run(job.name), { timezone: this.timezone });
+    }
+    console.log(`Scheduled ${Array.from(this.jobs.values()).filter(job => job.task).length} maintenance job(s)`);
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      if (job.task) job.task.stop();
+      job.task = null;
+    }
+  }
+
+  // Resolves with the run's record; failures are recorded, not thrown
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw httpError(`Unknown job: ${name}`, 404);
+    }
+    if (job.running) {
+      return { ...job.lastRun, skipped: true };
+    }
+
+    job.running = true;
+    const startedAt = Date.now();
+    try {
+      const result = await job.run();
+      job.lastRun = { startedAt, finishedAt: Date.now(), success: true, result: result ?? null };
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error.message);
+      job.failures += 1;
+      job.lastRun = { startedAt, finishedAt: Date.now(), success: false, error: error.message };
+    } finally {
+      job.running = false;
+      job.runs += 1;
+    }
+
+    job.lastRun.durationMs = job.lastRun.finishedAt - startedAt;
+    return job.lastRun;
+  }
+
+  getStatus() {
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      schedule: job.schedule,
+      scheduled: Boolean(job.task),
+      running: job.running,
+      runs: job.runs,
+      failures: job.failures,
+      lastRun: job.lastRun
+    }));
+  }
+}
+
+module.exports = JobScheduler;
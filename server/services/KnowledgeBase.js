@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local knowledge base that grounds answers about Revolt products. Markdown
+// files give one passage per "## " section; JSON files hold
+// { title, items: [...] } and give one passage per item. Passages are ranked
+// with BM25 over their words, so retrieval needs no embedding model and no
+// network call. Files are read at startup; reload() picks up edits.
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Passages scoring below this share of the best match are left out, so weak
+// matches on a common word do not turn into citations
+const RELATIVE_CUTOFF = 0.3;
+
+// Words from earlier turns count for less than the user's own question
+const CONTEXT_WEIGHT = 0.5;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for',
+  'from', 'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my',
+  'of', 'on', 'or', 'so', 'that', 'the', 'there', 'this', 'to', 'up', 'was',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+  'tell', 'about', 'please', 'much', 'many', 'any', 'get', 'kya', 'hai', 'ka',
+  'ki', 'ke', 'ko', 'mein', 'se', 'aur'
+]);
+
+// Lowercased words without stopwords. Model names are often transcribed as
+// "RV 400", so the pieces are joined back up; a trailing plural s is dropped
+const tokenize = (text) => (
+  String(text || '')
+    .toLowerCase()
+    .replace(/\+/g, ' plus')
+    .replace(/\br\s*v\s*(\d)/g, 'rv$1')
+    .match(/[\p{L}\p{M}\p{N}]+/gu) || []
+)
+  .filter(word => !STOPWORDS.has(word))
+  .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+// "topSpeed" -> "Top speed"
+const label = (key) => {
+  const words = key.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const parseMarkdown = (source, content) => {
+  const title = (/^#\s+(.+)$/m.exec(content) || [])[1] || source;
+  return content.split(/^##\s+/m).slice(1).map((section) => {
+    const [heading, ...body] = section.split('\n');
+    return {
+      id: `${source}#${slugify(heading)}`,
+      source,
+      title: heading.trim(),
+      text: body.join('\n').trim(),
+      group: title
+    };
+  });
+};
+
+const parseJson = (source, content) => {
+  const data = JSON.parse(content);
+  const items = Array.isArray(data) ? data : data.items || [];
+  return items.map((item, index) => ({
+    id: `${source}#${item.id || index}`,
+    source,
+    title: item.name || item.title || String(item.id || index),
+    text: Object.entries(item)
+      .filter(([key]) => key !== 'id')
+      .map(([key, value]) => `${label(key)}: ${Array.isArray(value) ? value.join(', ') : value}`)
+      .join('\n'),
+    group: data.title || source
+  }));
+};
+
+class KnowledgeBase {
+  static tokenize(text) {
+    return tokenize(text);
+  }
+
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.KNOWLEDGE_DIR || path.join(__dirname, '../knowledge');
+    this.topK = options.topK || parseInt(process.env.KNOWLEDGE_TOP_K) || 3;
+    this.passages = [];
+    this.documentFrequency = new Map();
+    this.titleTerms = new Set();
+    this.averageLength = 0;
+    this.reload();
+  }
+
+  reload() {
+    const passages = [];
+    let files = [];
+    try {
+      files = fs.readdirSync(this.dir).filter(file => /\.(md|json)$/i.test(file)).sort();
+    } catch (error) {
+      console.warn(`Knowledge base directory not readable (${this.dir}):`, error.message);
+    }
+
+    for (const file of files) {
+      try {
+        const content = fs.readFileSync(path.join(this.dir, file), 'utf8');
+        passages.push(...(/\.json$/i.test(file) ? parseJson(file, content) : parseMarkdown(file, content)));
+      } catch (error) {
+        console.error(`Error loading knowledge file ${file}:`, error.message);
+      }
+    }
+
+    this.index(passages);
+    console.log(`Knowledge base loaded: ${this.passages.length} passage(s) from ${files.length} file(s)`);
+    return this.passages.length;
+  }
+
+  index(passages) {
+    this.documentFrequency = new Map();
+    this.titleTerms = new Set();
+    this.passages = passages.map((passage) => {
+      tokenize(passage.title).forEach(token => this.titleTerms.add(token));
+      const terms = new Map();
+      // The title counts twice: it names what the passage is about
+      const tokens = tokenize(`${passage.title}\n${passage.title}\n${passage.text}`);
+      tokens.forEach(token => terms.set(token, (terms.get(token) || 0) + 1));
+      terms.forEach((count, token) => {
+        this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+      });
+      return { ...passage, terms, length: tokens.length };
+    });
+
+    const total = this.passages.reduce((sum, passage) => sum + passage.length, 0);
+    this.averageLength = this.passages.length > 0 ? total / this.passages.length : 0;
+  }
+
+  // How strongly a (tokenized) word belongs to the knowledge base: 1 when it
+  // names a passage, 0.5 when it only appears in passage text, else 0
+  termWeight(token) {
+    if (this.titleTerms.has(token)) return 1;
+    return this.documentFrequency.has(token) ? 0.5 : 0;
+  }
+
+  idf(token) {
+    const n = this.documentFrequency.get(token) || 0;
+    return Math.log(1 + (this.passages.length - n + 0.5) / (n + 0.5));
+  }
+
+  // The passages that best match query, best first. context (earlier turns)
+  // helps follow-ups such as "and its price?" find the model being discussed.
+  search(query, { limit = this.topK, context } = {}) {
+    const weights = new Map();
+    tokenize(context).forEach(token => weights.set(token, CONTEXT_WEIGHT));
+    tokenize(query).forEach(token => weights.set(token, 1));
+    if (weights.size === 0 || this.passages.length === 0) return [];
+
+    const scored = this.passages.map((passage) => {
+      let score = 0;
+      weights.forEach((weight, token) => {
+        const tf = passage.terms.get(token);
+        if (!tf) return;
+        const norm = K1 * (1 - B + B * passage.length / this.averageLength);
+        score += weight * this.idf(token) * (tf * (K1 + 1)) / (tf + norm);
+      });
+      return { passage, score };
+    }).filter(result => result.score > 0);
+
+    scored.sort((a, b) => b.score - a.score);
+    const best = scored[0]?.score || 0;
+
+    return scored
+      .filter(result => result.score >= best * RELATIVE_CUTOFF)
+      .slice(0, limit)
+      .map(({ passage, score }) => ({
+        id: passage.id,
+        source: passage.source,
+        title: passage.title,
+        text: passage.text,
+        score: Math.round(score * 1000) / 1000
+      }));
+  }
+
+  // Numbered reference block for a prompt; numbers match citations() order
+  format(passages) {
+    return passages
+      .map((passage, index) => `[${index + 1}] ${passage.title} (${passage.source})\n${passage.text}`)
+      .join('\n\n');
+  }
+
+  citations(passages) {
+    return passages.map(({ id, source, title }) => ({ id, source, title }));
+  }
+
+  // Every passage, in file order, up to maxChars: the live model gets this in
+  // its system instruction because it answers before a transcript exists
+  overview(maxChars) {
+    const parts = [];
+    let length = 0;
+    for (const passage of this.passages) {
+      const part = `${passage.group} - ${passage.title}\n${passage.text}`;
+      if (length + part.length > maxChars) break;
+      parts.push(part);
+      length += part.length + 2;
+    }
+    return parts.join('\n\n');
+  }
+
+  getStatus() {
+    return {
+      passages: this.passages.length,
+      sources: Array.from(new Set(this.passages.map(passage => passage.source)))
+    };
+  }
+}
+
+module.exports = KnowledgeBase;
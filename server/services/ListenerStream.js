@@ -0,0 +1,88 @@
+const EventEmitter = require('events');
+const SpeechStream = require('./SpeechStream');
+const { SentenceSplitter } = require('../utils/sentences');
+
+// One listener group's copy of a streamed response, for participants whose
+// language or voice differs from the session's. Text in another language is
+// translated sentence by sentence - requests overlap, output stays in order -
+// and spoken in the group's voice as it arrives. Emits 'delta'
+// ({ responseId, text }), 'audio' and 'audio-end' (SpeechStream's 'audio' and
+// 'end'); end() resolves with the full text the group received.
+
+class ListenerStream extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.responseId = options.responseId;
+    this.language = options.language;
+    this.voice = options.voice;
+    this.sourceLanguage = options.sourceLanguage;
+    this.translate = options.translate;
+    this.translating = this.language !== this.sourceLanguage;
+    this.splitter = new SentenceSplitter(options);
+    this.parts = [];
+    this.received = false;
+    this.chain = Promise.resolve();
+    this.cancelled = false;
+
+    this.speech = options.ttsService
+      ? new SpeechStream(options.ttsService, { responseId: this.responseId, language: this.language, voice: this.voice })
+      : null;
+    if (this.speech) {
+      this.speech.on('audio', (chunk) => this.emit('audio', chunk));
+      this.speech.on('end', (data) => this.emit('audio-end', data));
+    }
+  }
+
+  push(text) {
+    if (this.cancelled || !text) return;
+    this.received = true;
+
+    if (!this.translating) {
+      this.deliver(text);
+      return;
+    }
+    for (const sentence of this.splitter.push(text)) {
+      this.enqueue(sentence);
+    }
+  }
+
+  enqueue(sentence) {
+    const pending = Promise.resolve(this.translate(sentence, this.language, this.sourceLanguage))
+      .catch((error) => {
+        console.error('Listener translation error:', error.message);
+        return sentence;
+      });
+
+    this.chain = this.chain.then(async () => {
+      const translated = await pending;
+      if (!this.cancelled) this.deliver(`${translated} `);
+    });
+  }
+
+  deliver(text) {
+    this.parts.push(text);
+    this.emit('delta', { responseId: this.responseId, text });
+    if (this.speech) this.speech.push(text);
+  }
+
+  // sourceText stands in for the deltas when the source streamed none
+  async end(sourceText) {
+    if (!this.received && sourceText) this.push(sourceText);
+    if (!this.cancelled) {
+      for (const sentence of this.splitter.flush()) {
+        this.enqueue(sentence);
+      }
+    }
+
+    await this.chain;
+    if (this.speech && !this.cancelled) this.speech.end();
+    return this.parts.join('').trim();
+  }
+
+  cancel() {
+    this.cancelled = true;
+    if (this.speech) this.speech.cancel();
+  }
+}
+
+module.exports = ListenerStream;
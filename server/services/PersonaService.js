@@ -0,0 +1,208 @@
+const { httpError } = require('../utils/errors');
+
+// Named assistant personas: the system instruction, allowed topics, tone,
+// default language/voice and greeting a session runs with. Built-in personas
+// are defined here and cannot be changed; custom ones live in the cache store
+// under persona:<id> without a TTL. A session keeps a copy of its persona
+// from creation, so edits only apply to sessions created afterwards.
+
+const REVOLT_TOPICS = [
+  'Revolt motorcycles and their specifications',
+  'prices, offers and subsidies',
+  'dealers, bookings and test rides',
+  'service, warranty and roadside assistance',
+  'charging and ownership'
+];
+
+const BUILT_IN_PERSONAS = [
+  {
+    id: 'rev',
+    name: 'Rev',
+    description: 'Revolt Motors assistant for bikes, prices, dealers and service',
+    systemInstruction: 'You are Rev, the voice assistant for Revolt Motors. Only discuss Revolt Motors products, services, and related topics.',
+    allowedTopics: REVOLT_TOPICS,
+    tone: 'friendly and concise',
+    language: 'en',
+    voice: 'male',
+    greeting: "Hi, I'm Rev from Revolt Motors. Ask me anything about our electric motorcycles."
+  },
+  {
+    id: 'rev-service',
+    name: 'Rev Service Advisor',
+    description: 'After-sales help for Revolt owners: servicing, warranty, charging',
+    systemInstruction: 'You are Rev, the service advisor for Revolt Motors owners. Help riders with servicing, warranty, charging, battery care and roadside assistance for their Revolt motorcycle. Point purchase questions to a Revolt hub.',
+    allowedTopics: [
+      'service schedules and bookings',
+      'warranty',
+      'charging and battery care',
+      'roadside assistance',
+      'Revolt hubs and service centres'
+    ],
+    tone: 'patient, practical and reassuring',
+    language: 'en',
+    voice: 'female',
+    greeting: 'Hello, this is Rev from Revolt service. How can I help with your bike today?'
+  },
+  {
+    id: 'rev-hinglish',
+    name: 'Rev (Hinglish)',
+    description: 'Revolt Motors assistant that talks to riders in Hinglish',
+    systemInstruction: 'You are Rev, the voice assistant for Revolt Motors, talking to riders in Hinglish. Only discuss Revolt Motors products, services, and related topics.',
+    allowedTopics: REVOLT_TOPICS,
+    tone: 'warm, casual and upbeat',
+    language: 'hinglish',
+    voice: 'male',
+    greeting: 'Namaste! Main Rev hoon, Revolt Motors se. Bikes, price ya test ride ke baare mein kuch bhi poochiye.'
+  }
+].map(persona => ({ ...persona, builtIn: true }));
+
+const LIMITS = {
+  name: 60,
+  description: 200,
+  systemInstruction: 4000,
+  tone: 100,
+  greeting: 500,
+  topic: 100,
+  topics: 20
+};
+
+const key = (id) => `persona:${id}`;
+
+const slugify = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+
+const text = (value, field, max, required = false) => {
+  const trimmed = typeof value === 'string' ? value.trim() : '';
+  if (value !== undefined && value !== null && typeof value !== 'string') {
+    throw httpError(`${field} must be a string`, 400);
+  }
+  if (required && !trimmed) {
+    throw httpError(`${field} is required`, 400);
+  }
+  if (trimmed.length > max) {
+    throw httpError(`${field} must be at most ${max} characters`, 400);
+  }
+  return trimmed || undefined;
+};
+
+class PersonaService {
+  constructor(cacheService, options = {}) {
+    this.cacheService = cacheService;
+    this.defaultId = options.defaultId || process.env.DEFAULT_PERSONA || 'rev';
+  }
+
+  // Instruction text for a persona (or a session's copy of one)
+  static instructions(persona) {
+    if (!persona) return '';
+    return [
+      persona.systemInstruction,
+      persona.tone ? `Keep your tone ${persona.tone}.` : null,
+      persona.allowedTopics?.length > 0
+        ? `Stay within these topics: ${persona.allowedTopics.join('; ')}. Politely decline anything else.`
+        : null
+    ].filter(Boolean).join(' ');
+  }
+
+  // What a session keeps of its persona
+  static snapshot(persona) {
+    const { id, name, systemInstruction, allowedTopics, tone, greeting } = persona;
+    return { id, name, systemInstruction, allowedTopics, tone, greeting };
+  }
+
+  async list() {
+    const custom = await this.cacheService.getAll(key('*'));
+    custom.sort((a, b) => a.createdAt - b.createdAt);
+    return [...BUILT_IN_PERSONAS, ...custom].map(persona => ({
+      ...persona,
+      isDefault: persona.id === this.defaultId
+    }));
+  }
+
+  async get(id) {
+    return BUILT_IN_PERSONAS.find(persona => persona.id === id)
+      || (id ? await this.cacheService.get(key(id)) : null);
+  }
+
+  // The persona a new session runs with: the requested one, or the default
+  async resolve(id) {
+    if (id) {
+      const persona = await this.get(id);
+      if (!persona) {
+        throw httpError(`Unknown persona: ${id}`, 400);
+      }
+      return persona;
+    }
+    return (await this.get(this.defaultId)) || BUILT_IN_PERSONAS[0];
+  }
+
+  normalize(data) {
+    const topics = data.allowedTopics ?? [];
+    if (!Array.isArray(topics) || topics.length > LIMITS.topics) {
+      throw httpError(`allowedTopics must be a list of at most ${LIMITS.topics} topics`, 400);
+    }
+
+    return {
+      name: text(data.name, 'name', LIMITS.name, true),
+      description: text(data.description, 'description', LIMITS.description),
+      systemInstruction: text(data.systemInstruction, 'systemInstruction', LIMITS.systemInstruction, true),
+      allowedTopics: topics.map(topic => text(topic, 'allowedTopics', LIMITS.topic)).filter(Boolean),
+      tone: text(data.tone, 'tone', LIMITS.tone),
+      language: text(data.language, 'language', 20),
+      voice: text(data.voice, 'voice', 20),
+      greeting: text(data.greeting, 'greeting', LIMITS.greeting)
+    };
+  }
+
+  async save(persona) {
+    const stored = await this.cacheService.set(key(persona.id), persona, 0);
+    if (!stored) {
+      throw httpError('Persona storage unavailable', 503);
+    }
+    return persona;
+  }
+
+  async create(data, user) {
+    const fields = this.normalize(data);
+    const id = slugify(data.id || fields.name);
+    if (!id) {
+      throw httpError('id must contain letters or digits', 400);
+    }
+    if (await this.get(id)) {
+      throw httpError(`Persona ${id} already exists`, 409);
+    }
+
+    return this.save({
+      id,
+      ...fields,
+      createdBy: user?.id || null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    });
+  }
+
+  async update(id, data) {
+    const persona = await this.editable(id);
+    return this.save({
+      ...persona,
+      ...this.normalize({ ...persona, ...data }),
+      updatedAt: Date.now()
+    });
+  }
+
+  async delete(id) {
+    await this.editable(id);
+    await this.cacheService.del(key(id));
+  }
+
+  async editable(id) {
+    const persona = await this.get(id);
+    if (!persona) {
+      throw httpError('Persona not found', 404);
+    }
+    if (persona.builtIn) {
+      throw httpError('Built-in personas cannot be changed', 403);
+    }
+    return persona;
+  }
+}
+
+module.exports = PersonaService;
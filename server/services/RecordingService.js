@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const { wavHeader } = require('../utils/wav');
+const { estimateSpeechMs } = require('../utils/captions');
+
+// Turns the timeline captured while a session records into a mixed mono WAV
+// file plus caption cues. Items are what SessionManager.addRecordingData
+// collected: { timestamp, data } where data is either
+//   { type: 'audio', source: 'user'|'ai', pcm, text?, language?, responseId? }
+//   { type: 'caption', speaker, text, language, responseId?, startTime?, endTime? }
+// Each source is laid down contiguously from its arrival time, so bursty
+// network delivery does not stack frames on top of each other.
+//
+// While recording, audio goes straight to a raw capture file next to the
+// recordings; memory only holds the timeline (offsets into that file and the
+// captions). The mix then reads the capture back a window at a time.
+
+const MIX_WINDOW_SECONDS = 10;
+
+class Capture {
+  constructor(filePath, startTime, maxMs) {
+    this.filePath = filePath;
+    this.startTime = startTime;
+    this.maxMs = maxMs;
+    this.items = [];
+    this.bytes = 0;
+    this.full = false;
+    this.stream = fs.createWriteStream(filePath);
+    this.stream.on('error', (error) => {
+      console.error(`Recording capture ${filePath} failed:`, error.message);
+    });
+  }
+
+  // False once the recording has reached its maximum duration
+  add(timestamp, data) {
+    if (this.full || timestamp - this.startTime >= this.maxMs) {
+      this.full = true;
+      return false;
+    }
+
+    if (data.type === 'audio') {
+      if (!data.pcm?.length) return true;
+      const { pcm, ...rest } = data;
+      this.items.push({ timestamp, data: { ...rest, offset: this.bytes, length: pcm.length } });
+      this.stream.write(pcm);
+      this.bytes += pcm.length;
+    } else {
+      this.items.push({ timestamp, data });
+    }
+    return true;
+  }
+
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
+
+class RecordingService {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.RECORDINGS_DIR || path.join(__dirname, '../recordings');
+    this.sampleRate = options.sampleRate || parseInt(process.env.AUDIO_SAMPLE_RATE) || 16000;
+    this.maxDurationMs = options.maxDurationMs || parseInt(process.env.RECORDING_MAX_MS) || 2 * 60 * 60 * 1000;
+    this.ensureDir();
+  }
+
+  ensureDir() {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  open(recordingId, startTime) {
+    return new Capture(path.join(this.dir, `${recordingId}.capture`), startTime, this.maxDurationMs);
+  }
+
+  // Drops a capture without mixing it (the session was deleted)
+  async discard(capture) {
+    await capture.close();
+    await fs.promises.unlink(capture.filePath).catch(() => {});
+  }
+
+  async save(recordingId, capture) {
+    await capture.close();
+    const { placed, cues, totalSamples } = this.place(capture.items, capture.startTime);
+    const audioFile = `${recordingId}.wav`;
+
+    try {
+      await this.writeMix(path.join(this.dir, audioFile), capture.filePath, placed, totalSamples);
+    } finally {
+      await fs.promises.unlink(capture.filePath).catch(() => {});
+    }
+
+    return {
+      audioFile,
+      mimeType: 'audio/wav',
+      audioDuration: Math.round((totalSamples / this.sampleRate) * 1000),
+      cues,
+    };
+  }
+
+  // Where each clip goes on the output timeline, and the caption cues
+  place(items, startTime) {
+    const toSamples = (ms) => Math.max(0, Math.round((ms / 1000) * this.sampleRate));
+    const toMs = (samples) => Math.round((samples / this.sampleRate) * 1000);
+    const maxSamples = toSamples(this.maxDurationMs);
+
+    const ordered = [...items].sort((a, b) => a.timestamp - b.timestamp);
+    const cursors = {};
+    const placed = [];
+    const spans = new Map();
+    const sentenceCued = new Set();
+    const captions = [];
+    const cues = [];
+    let totalSamples = 0;
+
+    for (const { timestamp, data } of ordered) {
+      if (data.type === 'audio' && data.length) {
+        const samples = Math.floor(data.length / 2);
+        const at = Math.max(toSamples(timestamp - startTime), cursors[data.source] || 0);
+        cursors[data.source] = at + samples;
+        totalSamples = Math.max(totalSamples, at + samples);
+        placed.push({ at, samples, offset: data.offset });
+
+        if (data.text) {
+          cues.push({
+            start: toMs(at),
+            end: toMs(at + samples),
+            speaker: data.source,
+            text: data.text,
+            language: data.language,
+          });
+          if (data.responseId) sentenceCued.add(data.responseId);
+        } else if (data.responseId) {
+          const span = spans.get(data.responseId) || { start: at, end: at };
+          span.end = at + samples;
+          spans.set(data.responseId, span);
+        }
+      } else if (data.type === 'caption' && data.text) {
+        captions.push({ timestamp, data });
+      }
+    }
+
+    // Captions can be logged before the last of their audio, so they are
+    // resolved once every clip has been placed
+    for (const { timestamp, data } of captions) {
+      // Responses already captioned sentence by sentence need no summary cue
+      if (data.responseId && sentenceCued.has(data.responseId)) continue;
+
+      const span = data.responseId && spans.get(data.responseId);
+      const start = span ? toMs(span.start) : (data.startTime || timestamp) - startTime;
+      const end = span
+        ? toMs(span.end)
+        : data.endTime
+          ? data.endTime - startTime
+          : start + estimateSpeechMs(data.text);
+
+      cues.push({ start: Math.max(0, start), end, speaker: data.speaker, text: data.text, language: data.language });
+    }
+
+    // Clips pushed past the limit by their source's cursor are cut there
+    totalSamples = Math.min(totalSamples, maxSamples);
+    const audible = placed.filter(clip => clip.at < totalSamples).sort((a, b) => a.at - b.at);
+    const timed = cues.filter(cue => cue.start < toMs(totalSamples)).sort((a, b) => a.start - b.start);
+
+    return { placed: audible, cues: timed, totalSamples };
+  }
+
+  // Sums the sources with clipping one window at a time, reading each
+  // window's clips back from the capture file, so neither the capture nor
+  // the mix is ever held in memory whole and the event loop keeps running
+  // between windows
+  async writeMix(filePath, capturePath, placed, totalSamples) {
+    const windowSamples = this.sampleRate * MIX_WINDOW_SECONDS;
+    const capture = await fs.promises.open(capturePath, 'r');
+    const output = await fs.promises.open(filePath, 'w');
+
+    try {
+      await output.write(wavHeader(totalSamples * 2, this.sampleRate));
+
+      let next = 0;
+      let active = [];
+
+      for (let start = 0; start < totalSamples; start += windowSamples) {
+        const end = Math.min(totalSamples, start + windowSamples);
+        while (next < placed.length && placed[next].at < end) active.push(placed[next++]);
+        active = active.filter(clip => clip.at + clip.samples > start);
+
+        const sums = new Int32Array(end - start);
+        for (const clip of active) {
+          const from = Math.max(start, clip.at);
+          const to = Math.min(end, clip.at + clip.samples);
+          if (to <= from) continue;
+
+          const pcm = Buffer.alloc((to - from) * 2);
+          await capture.read(pcm, 0, pcm.length, clip.offset + (from - clip.at) * 2);
+          for (let i = 0; i < to - from; i++) {
+            sums[from - start + i] += pcm.readInt16LE(i * 2);
+          }
+        }
+
+        const chunk = Buffer.alloc(sums.length * 2);
+        for (let i = 0; i < sums.length; i++) {
+          chunk.writeInt16LE(Math.max(-32768, Math.min(32767, sums[i])), i * 2);
+        }
+        await output.write(chunk);
+      }
+    } finally {
+      await capture.close();
+      await output.close();
+    }
+  }
+
+  getAudioPath(recording) {
+    if (!recording?.audioFile) return null;
+    const filePath = path.join(this.dir, path.basename(recording.audioFile));
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  async remove(recording) {
+    const filePath = this.getAudioPath(recording);
+    if (filePath) {
+      await fs.promises.unlink(filePath).catch(() => {});
+    }
+  }
+}
+
+module.exports = RecordingService;
@@ -1,21 +1,70 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
+const { httpError } = require('../utils/errors');
+const PersonaService = require('./PersonaService');
 
-class SessionManager {
-  constructor(cacheService) {
+// What each role may do in a shared session. The owner (and admins) always
+// act as host; everyone else keeps the role recorded in session.members.
+const ROLE_PERMISSIONS = {
+  host: ['speak', 'change-language', 'change-voice', 'record', 'update-session', 'delete-session', 'manage-participants'],
+  participant: ['speak'],
+  observer: []
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Session lifecycle, kept in session.state:
+//   created    created, nobody has joined yet
+//   active     at least one connection is live
+//   idle       every connection dropped and is within its reconnect grace
+//   recording  a recording is running (whoever is connected); it has to be
+//              stopped and saved before the session can end
+//   ended      the last participant left, it timed out or was deleted
+//   archived   ended, and its final state is in the durable archive
+// Every change goes through transition(), which emits 'state-change'.
+const SESSION_TRANSITIONS = {
+  created: ['active', 'ended'],
+  active: ['idle', 'recording', 'ended'],
+  idle: ['active', 'recording', 'ended'],
+  recording: ['active', 'idle'],
+  ended: ['archived'],
+  archived: []
+};
+const SESSION_STATES = Object.keys(SESSION_TRANSITIONS);
+
+class SessionManager extends EventEmitter {
+  constructor(cacheService, options = {}) {
+    super();
     this.cacheService = cacheService;
+    this.recordingService = options.recordingService || null;
+    this.archiveService = options.archiveService || null;
+    this.personaService = options.personaService || null;
+    // Several nodes share the cache: read sessions through it every time
+    // instead of trusting this node's copy
+    this.shared = Boolean(options.shared);
+    // Resolves true when this node may act for the session on its own
+    // (the owner lock in a cluster); cleanup only runs there
+    this.claimOwnership = options.claimOwnership || (async () => true);
     this.activeSessions = new Map();
     this.recordingSessions = new Map();
   }
 
   async createSession(options = {}) {
     const sessionId = uuidv4();
+    // Unknown persona ids are rejected (400) before anything is stored
+    const persona = this.personaService ? await this.personaService.resolve(options.personaId) : null;
     const session = {
       id: sessionId,
+      ownerId: options.ownerId || null,
+      state: 'created',
+      stateChangedAt: Date.now(),
       createdAt: Date.now(),
       lastActivity: Date.now(),
       participants: [],
-      language: options.language || process.env.DEFAULT_LANGUAGE || 'en',
-      voice: options.voice || process.env.DEFAULT_VOICE || 'male',
+      members: {},
+      language: options.language || persona?.language || process.env.DEFAULT_LANGUAGE || 'en',
+      voice: options.voice || persona?.voice || process.env.DEFAULT_VOICE || 'male',
+      persona: persona ? PersonaService.snapshot(persona) : null,
       history: [],
       isRecording: false,
       recordingData: [],
@@ -26,28 +75,75 @@ class SessionManager {
       }
     };
 
-    await this.cacheService.setSession(sessionId, session);
+    // Without a store (Redis down, no fallback) the session would only exist
+    // on this node and vanish on restart; refuse instead of pretending
+    const stored = await this.cacheService.setSession(sessionId, session);
+    if (!stored) {
+      throw new Error('Session storage unavailable');
+    }
     this.activeSessions.set(sessionId, session);
+    if (this.archiveService) await this.archiveService.saveSession(session);
     
     return session;
   }
 
   async joinSession(sessionId, participantId, options = {}) {
-    let session = await this.cacheService.getSession(sessionId);
+    let session = await this.getSession(sessionId);
     
+    // An id that has ended (or a resume into one) is not silently replaced
+    // by a brand new session
+    if (!session && (options.resumeToken || await this.findSession(sessionId))) {
+      throw httpError('Session has ended', 410);
+    }
     if (!session) {
-      session = await this.createSession(options);
+      session = await this.createSession({ ...options, ownerId: options.user?.id });
+    } else if (options.user && !this.canAccess(session, options.user)) {
+      throw httpError('Access denied', 403);
     }
 
-    // Update session with new participant
-    if (!session.participants.includes(participantId)) {
-      session.participants.push(participantId);
+    // Participants are connections (socket ids); roles belong to the user
+    // behind them and survive leaving and rejoining
+    const { user } = options;
+    session.members = session.members || {};
+    if (user) {
+      const member = session.members[user.id];
+      session.members[user.id] = {
+        displayName: user.displayName,
+        role: this.getRole(session, user) || options.role || 'participant',
+        muted: member ? member.muted : false
+      };
     }
 
-    // Update options if provided
-    if (options.language) session.language = options.language;
-    if (options.voice) session.voice = options.voice;
+    // Language and voice are session-wide, so only joiners allowed to change them apply theirs
+    if (!user || this.hasPermission(session, user, 'change-language')) {
+      if (options.language) session.language = options.language;
+    }
+    if (!user || this.hasPermission(session, user, 'change-voice')) {
+      if (options.voice) session.voice = options.voice;
+    }
 
+    // Each connection also keeps its own preferences for the roster. A
+    // reconnecting client presents its resume token to take over the entry
+    // its dropped socket left behind instead of adding a new one.
+    const resumed = options.resumeToken && session.participants.find(p => (
+      p.resumeToken === options.resumeToken && p.userId === (user?.id || null)
+    ));
+    if (resumed) {
+      resumed.id = participantId;
+      delete resumed.disconnectedAt;
+    } else if (!session.participants.some(p => p.id === participantId)) {
+      session.participants.push({
+        id: participantId,
+        userId: user?.id || null,
+        language: options.language || session.language,
+        voice: options.voice || session.voice,
+        speaking: false,
+        joinedAt: Date.now(),
+        resumeToken: crypto.randomBytes(16).toString('hex')
+      });
+    }
+
+    this.settleState(session);
     session.lastActivity = Date.now();
     session.history = await this.cacheService.getSessionHistory(sessionId);
 
@@ -58,25 +154,63 @@ class SessionManager {
   }
 
   async leaveSession(sessionId, participantId) {
-    const session = await this.cacheService.getSession(sessionId);
+    const session = await this.getSession(sessionId);
     
     if (session) {
-      session.participants = session.participants.filter(id => id !== participantId);
+      session.participants = session.participants.filter(p => p.id !== participantId);
       session.lastActivity = Date.now();
 
       if (session.participants.length === 0) {
         // No more participants, cleanup session
-        await this.cacheService.deleteSession(sessionId);
-        this.activeSessions.delete(sessionId);
-        this.recordingSessions.delete(sessionId);
+        await this.endSession(sessionId, session);
       } else {
+        this.settleState(session);
         await this.cacheService.setSession(sessionId, session);
         this.activeSessions.set(sessionId, session);
       }
     }
   }
 
+  // Save any open recording, archive the final state, then drop the session
+  // from the cache
+  async endSession(sessionId, session = null) {
+    session = session || await this.getSession(sessionId);
+    if (session && this.recordingSessions.has(sessionId)) {
+      try {
+        await this.stopRecording(sessionId);
+        session = await this.getSession(sessionId) || session;
+      } catch (error) {
+        console.error('Error saving recording at session end:', error);
+      }
+    }
+    if (session) {
+      if (session.isRecording) {
+        session.isRecording = false;
+        this.settleState(session);
+      }
+      this.transition(session, 'ended');
+    }
+    if (session && this.archiveService) {
+      const archived = await this.archiveService.saveSession({ ...session, state: 'archived' }, Date.now());
+      if (archived) this.transition(session, 'archived');
+    }
+
+    await this.cacheService.deleteSession(sessionId);
+    this.activeSessions.delete(sessionId);
+    this.recordingSessions.delete(sessionId);
+  }
+
   async getSession(sessionId) {
+    if (this.shared) {
+      const session = await this.cacheService.getSession(sessionId);
+      if (session) {
+        this.activeSessions.set(sessionId, session);
+      } else {
+        this.activeSessions.delete(sessionId);
+      }
+      return session;
+    }
+
     let session = this.activeSessions.get(sessionId);
     
     if (!session) {
@@ -89,6 +223,203 @@ class SessionManager {
     return session;
   }
 
+  // Moves the session to `state` and emits 'state-change'; a move the
+  // lifecycle does not allow throws 409. The caller persists the session.
+  transition(session, state) {
+    const previous = session.state || 'active';
+    if (previous === state) return false;
+    if (!SESSION_TRANSITIONS[previous]?.includes(state)) {
+      throw httpError(`Cannot move session from ${previous} to ${state}`, 409);
+    }
+
+    session.state = state;
+    session.stateChangedAt = Date.now();
+    this.emit('state-change', { sessionId: session.id, state, previous, at: session.stateChangedAt });
+    return true;
+  }
+
+  // Active or idle depending on who is connected; a running recording keeps
+  // the session in 'recording' until stopRecording
+  settleState(session) {
+    const state = session.state || 'active';
+    if (session.isRecording || state === 'ended' || state === 'archived') return;
+
+    if (session.participants.some(p => !p.disconnectedAt)) {
+      this.transition(session, 'active');
+    } else if (state !== 'created') {
+      this.transition(session, 'idle');
+    }
+  }
+
+  // Synchronous lookup for streamed output, where awaiting the cache could
+  // reorder chunks; only sessions already loaded on this node
+  getLoadedSession(sessionId) {
+    return this.activeSessions.get(sessionId) || null;
+  }
+
+  // Live session, or the archived copy once it has ended or expired
+  async findSession(sessionId) {
+    const session = await this.getSession(sessionId);
+    if (session || !this.archiveService) return session;
+    return await this.archiveService.getSession(sessionId);
+  }
+
+  // Owners and members see a session; admins see everything, including
+  // sessions created before accounts existed (no ownerId)
+  canAccess(session, user) {
+    if (!session || !user) return false;
+    if (user.role === 'admin') return true;
+    return (Boolean(session.ownerId) && session.ownerId === user.id) || Boolean(session.members?.[user.id]);
+  }
+
+  getRole(session, user) {
+    if (!session || !user) return null;
+    if (session.ownerId && session.ownerId === user.id) return 'host';
+    const member = session.members?.[user.id];
+    if (member) return member.role;
+    return user.role === 'admin' ? 'host' : null;
+  }
+
+  // Muted members keep their role but may not speak
+  hasPermission(session, user, permission) {
+    const role = this.getRole(session, user);
+    if (!role || !ROLE_PERMISSIONS[role].includes(permission)) return false;
+    return !(permission === 'speak' && session.members?.[user.id]?.muted);
+  }
+
+  // Connected participants with the role and mute state of their user
+  listParticipants(session) {
+    return (session?.participants || []).map(participant => this.describeParticipant(session, participant));
+  }
+
+  getParticipant(session, participantId) {
+    const participant = session?.participants.find(p => p.id === participantId);
+    return participant ? this.describeParticipant(session, participant) : null;
+  }
+
+  describeParticipant(session, participant) {
+    const member = session.members?.[participant.userId] || {};
+    return {
+      id: participant.id,
+      userId: participant.userId,
+      displayName: member.displayName,
+      role: member.role || null,
+      muted: Boolean(member.muted),
+      isOwner: Boolean(session.ownerId) && session.ownerId === participant.userId,
+      language: participant.language || session.language,
+      voice: participant.voice || session.voice,
+      speaking: Boolean(participant.speaking),
+      connected: !participant.disconnectedAt,
+      joinedAt: participant.joinedAt
+    };
+  }
+
+  // Only ever sent to the connection itself, never in the roster
+  getResumeToken(session, participantId) {
+    return session?.participants.find(p => p.id === participantId)?.resumeToken || null;
+  }
+
+  // Marks a dropped connection as away but keeps it in the session so it can
+  // resume; returns the updated participant or null if it already left
+  async suspendParticipant(sessionId, participantId) {
+    const session = await this.getSession(sessionId);
+    const participant = session?.participants.find(p => p.id === participantId);
+    if (!participant) return null;
+
+    participant.disconnectedAt = Date.now();
+    participant.speaking = false;
+    this.settleState(session);
+
+    await this.cacheService.setSession(sessionId, session);
+    return this.describeParticipant(session, participant);
+  }
+
+  // Per-connection state (language, voice, speaking); returns the updated
+  // participant or null if it already left
+  async updateParticipant(sessionId, participantId, changes = {}) {
+    const session = await this.getSession(sessionId);
+    const participant = session?.participants.find(p => p.id === participantId);
+    if (!participant) return null;
+
+    for (const field of ['language', 'voice', 'speaking']) {
+      if (changes[field] !== undefined) participant[field] = changes[field];
+    }
+
+    await this.cacheService.setSession(sessionId, session);
+    return this.describeParticipant(session, participant);
+  }
+
+  // Grant a user access with a role (invite redemption). Existing members
+  // keep their current role.
+  async addMember(sessionId, user, role = 'participant') {
+    const session = await this.getSession(sessionId);
+    if (!session) {
+      throw httpError('Session not found', 404);
+    }
+    if (!ROLES.includes(role)) {
+      throw httpError(`Unknown role: ${role}`, 400);
+    }
+
+    session.members = session.members || {};
+    if (!session.members[user.id]) {
+      session.members[user.id] = {
+        displayName: user.displayName,
+        role: this.getRole(session, user) || role,
+        muted: false
+      };
+      session.lastActivity = Date.now();
+      await this.cacheService.setSession(sessionId, session);
+      this.activeSessions.set(sessionId, session);
+    }
+    return session;
+  }
+
+  // Host control: change a member's role and/or mute state
+  async updateMember(sessionId, userId, changes = {}) {
+    const session = await this.getSession(sessionId);
+    const member = session?.members?.[userId];
+    if (!member) {
+      throw httpError('Participant not found', 404);
+    }
+    if (changes.role !== undefined) {
+      if (!ROLES.includes(changes.role)) {
+        throw httpError(`Unknown role: ${changes.role}`, 400);
+      }
+      if (session.ownerId === userId && changes.role !== 'host') {
+        throw httpError('The session owner is always a host', 400);
+      }
+      member.role = changes.role;
+    }
+    if (changes.muted !== undefined) {
+      member.muted = Boolean(changes.muted);
+    }
+
+    session.lastActivity = Date.now();
+    await this.cacheService.setSession(sessionId, session);
+    this.activeSessions.set(sessionId, session);
+    return member;
+  }
+
+  // Host control: revoke a member's access; returns the socket ids to disconnect
+  async removeMember(sessionId, userId) {
+    const session = await this.getSession(sessionId);
+    if (!session?.members?.[userId]) {
+      throw httpError('Participant not found', 404);
+    }
+    if (session.ownerId === userId) {
+      throw httpError('The session owner cannot be removed', 400);
+    }
+
+    const removed = session.participants.filter(p => p.userId === userId).map(p => p.id);
+    session.participants = session.participants.filter(p => p.userId !== userId);
+    delete session.members[userId];
+
+    session.lastActivity = Date.now();
+    await this.cacheService.setSession(sessionId, session);
+    this.activeSessions.set(sessionId, session);
+    return removed;
+  }
+
   async updateSession(sessionId, updates) {
     const session = await this.getSession(sessionId);
     
@@ -111,16 +442,28 @@ class SessionManager {
     if (session) {
       const historyEntry = {
         id: uuidv4(),
+        responseId: entry.responseId,
         timestamp: entry.timestamp || Date.now(),
         userInput: entry.userInput,
         aiResponse: entry.aiResponse,
         language: entry.language || session.language,
         voice: entry.voice || session.voice,
         audioUrl: entry.audioUrl,
-        duration: entry.duration
+        audioMimeType: entry.audioMimeType,
+        duration: entry.duration,
+        latency: entry.latency,
+        // aiResponse in the other languages participants listened in
+        translations: entry.translations,
+        // Knowledge base passages the answer was grounded in
+        citations: entry.citations && entry.citations.length > 0 ? entry.citations : undefined,
+        // Functions the model called for this answer, with their results
+        toolCalls: entry.toolCalls && entry.toolCalls.length > 0 ? entry.toolCalls : undefined,
+        // Set when aiResponse is a refusal: { stage, reason, term? }
+        guardrail: entry.guardrail
       };
 
       await this.cacheService.addToSessionHistory(sessionId, historyEntry);
+      if (this.archiveService) await this.archiveService.saveHistoryEntry(sessionId, historyEntry);
       
       // Update session history in memory
       session.history = await this.cacheService.getSessionHistory(sessionId);
@@ -135,24 +478,42 @@ class SessionManager {
     throw new Error('Session not found');
   }
 
+  // The cache holds the last 100 entries of live sessions; the archive holds
+  // everything, so the two are merged by entry id
   async getSessionHistory(sessionId, limit = 50) {
     const history = await this.cacheService.getSessionHistory(sessionId);
-    return history.slice(-limit);
+    if (!this.archiveService) return history.slice(-limit);
+
+    const archived = await this.archiveService.getHistory(sessionId, limit);
+    const merged = new Map(archived.map(entry => [entry.id, entry]));
+    history.forEach(entry => merged.set(entry.id, entry));
+
+    return Array.from(merged.values())
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-limit);
   }
 
   async startRecording(sessionId) {
     const session = await this.getSession(sessionId);
     
     if (session) {
+      if (session.isRecording) {
+        throw httpError('Recording already in progress', 409);
+      }
+      this.transition(session, 'recording');
       session.isRecording = true;
       session.recordingStartTime = Date.now();
       session.recordingData = [];
       
       await this.cacheService.setSession(sessionId, session);
       this.activeSessions.set(sessionId, session);
+      // Audio is streamed to disk as it arrives; without a recording
+      // service only the metadata is kept
+      const id = uuidv4();
       this.recordingSessions.set(sessionId, {
+        id,
         startTime: session.recordingStartTime,
-        data: []
+        capture: this.recordingService ? this.recordingService.open(id, session.recordingStartTime) : null
       });
       
       return session;
@@ -166,29 +527,40 @@ class SessionManager {
     const recording = this.recordingSessions.get(sessionId);
     
     if (session && recording) {
+      this.recordingSessions.delete(sessionId);
       session.isRecording = false;
+      this.settleState(session);
       session.recordingEndTime = Date.now();
       session.recordingDuration = session.recordingEndTime - session.recordingStartTime;
       
       const recordingData = {
-        id: uuidv4(),
+        id: recording.id,
         sessionId,
         startTime: recording.startTime,
         endTime: session.recordingEndTime,
         duration: session.recordingDuration,
-        data: recording.data,
+        cues: [],
         history: session.history.slice(-20) // Last 20 interactions
       };
+
+      // Mix the captured audio to a file; only its metadata goes to the cache
+      if (recording.capture) {
+        try {
+          Object.assign(recordingData, await this.recordingService.save(recordingData.id, recording.capture));
+        } catch (error) {
+          console.error('Error saving recording audio:', error);
+        }
+      }
       
       // Store recording in cache
       await this.cacheService.set(`recording:${recordingData.id}`, recordingData, 86400); // 24 hours
+      if (this.archiveService) await this.archiveService.saveRecording(recordingData);
       
       session.recordings = session.recordings || [];
       session.recordings.push(recordingData.id);
       
       await this.cacheService.setSession(sessionId, session);
       this.activeSessions.set(sessionId, session);
-      this.recordingSessions.delete(sessionId);
       
       return recordingData;
     }
@@ -196,28 +568,54 @@ class SessionManager {
     throw new Error('Session or recording not found');
   }
 
-  async addRecordingData(sessionId, data) {
+  // Past the maximum duration the recording stops itself and emits
+  // 'recording-limit' with the saved recording
+  async addRecordingData(sessionId, data, timestamp = Date.now()) {
     const recording = this.recordingSessions.get(sessionId);
     
-    if (recording) {
-      recording.data.push({
-        timestamp: Date.now(),
-        data: data
-      });
+    if (recording?.capture && !recording.capture.add(timestamp, data) && !recording.stopping) {
+      recording.stopping = true;
+      const saved = await this.stopRecording(sessionId);
+      this.emit('recording-limit', { sessionId, recording: saved });
     }
   }
 
+  isRecording(sessionId) {
+    return this.recordingSessions.has(sessionId);
+  }
+
   async getRecording(recordingId) {
-    return await this.cacheService.get(`recording:${recordingId}`);
+    const recording = await this.cacheService.get(`recording:${recordingId}`);
+    if (recording || !this.archiveService) return recording;
+    return await this.archiveService.getRecording(recordingId);
+  }
+
+  getRecordingAudioPath(recording) {
+    return this.recordingService ? this.recordingService.getAudioPath(recording) : null;
   }
 
   async deleteSession(sessionId) {
-    const session = await this.getSession(sessionId);
+    const session = await this.findSession(sessionId);
     
     if (session) {
+      if (!session.archived) {
+        // Deleting discards a recording that is still running
+        const recording = this.recordingSessions.get(sessionId);
+        this.recordingSessions.delete(sessionId);
+        if (recording?.capture) await this.recordingService.discard(recording.capture);
+        if (session.isRecording) {
+          session.isRecording = false;
+          this.settleState(session);
+        }
+        this.transition(session, 'ended');
+      }
+
       // Clean up recordings
       if (session.recordings) {
         for (const recordingId of session.recordings) {
+          if (this.recordingService) {
+            await this.recordingService.remove(await this.getRecording(recordingId));
+          }
           await this.cacheService.del(`recording:${recordingId}`);
         }
       }
@@ -225,6 +623,7 @@ class SessionManager {
       // Clean up session data
       await this.cacheService.deleteSession(sessionId);
       await this.cacheService.del(`history:${sessionId}`);
+      if (this.archiveService) await this.archiveService.deleteSession(sessionId);
       
       this.activeSessions.delete(sessionId);
       this.recordingSessions.delete(sessionId);
@@ -235,17 +634,26 @@ class SessionManager {
     return false;
   }
 
-  async getAllSessions() {
+  // Live sessions visible to user (all of them without a user). A shared
+  // store is read again for each, since another node may have changed or
+  // ended it since this node loaded it.
+  async getAllSessions(user = null) {
     const sessions = [];
     
-    for (const [sessionId, session] of this.activeSessions) {
+    for (const sessionId of Array.from(this.activeSessions.keys())) {
+      const session = this.shared ? await this.getSession(sessionId) : this.activeSessions.get(sessionId);
+      if (!session || ['ended', 'archived'].includes(session.state)) continue;
+      if (user && !this.canAccess(session, user)) continue;
       sessions.push({
         id: sessionId,
+        ownerId: session.ownerId,
+        state: session.state,
         createdAt: session.createdAt,
         lastActivity: session.lastActivity,
         participantCount: session.participants.length,
         language: session.language,
         voice: session.voice,
+        persona: session.persona ? { id: session.persona.id, name: session.persona.name } : null,
         isRecording: session.isRecording
       });
     }
@@ -256,16 +664,27 @@ class SessionManager {
   async cleanupInactiveSessions() {
     const now = Date.now();
     const inactiveThreshold = 30 * 60 * 1000; // 30 minutes
+    const checked = this.activeSessions.size;
+    let ended = 0;
     
-    for (const [sessionId, session] of this.activeSessions) {
-      if (now - session.lastActivity > inactiveThreshold) {
-        await this.leaveSession(sessionId, 'system');
-      }
+    for (const sessionId of Array.from(this.activeSessions.keys())) {
+      const session = this.shared ? await this.getSession(sessionId) : this.activeSessions.get(sessionId);
+      if (!session || now - session.lastActivity <= inactiveThreshold) continue;
+      // Audio frames do not touch lastActivity, so a quiet session is only
+      // inactive once nobody is connected and nothing is being recorded
+      if (session.isRecording || session.participants.some(p => !p.disconnectedAt)) continue;
+      // Only the session's owner ends it, so two nodes never race on it
+      if (!await this.claimOwnership(sessionId)) continue;
+
+      await this.endSession(sessionId, session);
+      ended += 1;
     }
+
+    return { checked, ended };
   }
 
   async getSessionStats(sessionId) {
-    const session = await this.getSession(sessionId);
+    const session = await this.findSession(sessionId);
     
     if (session) {
       const history = await this.getSessionHistory(sessionId);
@@ -285,6 +704,12 @@ class SessionManager {
   }
 
   calculateAverageResponseTime(history) {
+    // Live turns record end-of-speech to end-of-response latency directly
+    const measured = history.filter(entry => entry.latency && entry.latency.totalMs > 0);
+    if (measured.length > 0) {
+      return measured.reduce((sum, entry) => sum + entry.latency.totalMs, 0) / measured.length;
+    }
+
     if (history.length < 2) return 0;
     
     let totalTime = 0;
@@ -334,4 +759,7 @@ class SessionManager {
   }
 }
 
+SessionManager.ROLES = ROLES;
+SessionManager.SESSION_STATES = SESSION_STATES;
+
 module.exports = SessionManager; 
\ No newline at end of file
@@ -0,0 +1,73 @@
+const EventEmitter = require('events');
+const { SentenceSplitter } = require('../utils/sentences');
+
+// Speaks one streamed text response sentence by sentence. Each completed
+// sentence is sent to TTS as soon as it is available; requests overlap but
+// 'audio' events are emitted strictly in sentence order. cancel() stops any
+// further output for the response, e.g. on barge-in. Emits 'audio'
+// ({ responseId, index, text, audio, mimeType }) and 'end' ({ responseId, chunks }).
+// Indexes count the clips actually emitted, so a sentence whose synthesis
+// failed leaves no gap for clients waiting on the next index.
+
+class SpeechStream extends EventEmitter {
+  constructor(ttsService, options = {}) {
+    super();
+    this.ttsService = ttsService;
+    this.responseId = options.responseId;
+    this.voice = options.voice || 'male';
+    this.languageCode = ttsService.getLanguageCode(options.language);
+    this.splitter = new SentenceSplitter(options);
+    this.emitted = 0;
+    this.chain = Promise.resolve();
+    this.cancelled = false;
+  }
+
+  push(text) {
+    if (this.cancelled) return;
+    for (const sentence of this.splitter.push(text)) {
+      this.enqueue(sentence);
+    }
+  }
+
+  end() {
+    if (!this.cancelled) {
+      for (const sentence of this.splitter.flush()) {
+        this.enqueue(sentence);
+      }
+    }
+
+    this.chain = this.chain.then(() => {
+      if (!this.cancelled) {
+        this.emit('end', { responseId: this.responseId, chunks: this.emitted });
+      }
+    });
+    return this.chain;
+  }
+
+  enqueue(sentence) {
+    const pending = this.ttsService.synthesize(sentence, this.voice, this.languageCode)
+      .catch((error) => {
+        console.error('Sentence TTS error:', error.message);
+        return null;
+      });
+
+    this.chain = this.chain.then(async () => {
+      const audio = await pending;
+      if (this.cancelled || !audio) return;
+
+      this.emit('audio', {
+        responseId: this.responseId,
+        index: this.emitted++,
+        text: sentence,
+        audio: audio.toString('base64'),
+        mimeType: 'audio/mpeg',
+      });
+    });
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+}
+
+module.exports = SpeechStream;
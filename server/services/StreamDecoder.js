@@ -0,0 +1,87 @@
+const EventEmitter = require('events');
+const { PassThrough } = require('stream');
+const ffmpeg = require('fluent-ffmpeg');
+
+// Decodes one continuous compressed audio stream (MediaRecorder WebM/Opus or
+// Ogg/Opus) into fixed-size 16-bit mono PCM frames. MediaRecorder timeslices
+// are fragments of a single container - only the first carries the EBML
+// header - so they are piped into one long-lived ffmpeg process per stream
+// rather than decoded one by one. Emits 'frame' (Buffer), 'error' and 'close'.
+
+class StreamDecoder extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.format = options.format || 'webm';
+    this.sampleRate = options.sampleRate || 16000;
+    this.frameMs = options.frameMs || 20;
+    this.frameBytes = Math.round(this.sampleRate * this.frameMs / 1000) * 2;
+    this.pending = Buffer.alloc(0);
+    this.closed = false;
+    this.start();
+  }
+
+  start() {
+    this.input = new PassThrough();
+    this.command = ffmpeg(this.input)
+      .inputFormat(this.format)
+      .inputOptions(['-fflags', 'nobuffer', '-flags', 'low_delay'])
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(this.sampleRate)
+      .audioCodec('pcm_s16le')
+      .format('s16le')
+      .on('error', (error) => {
+        // fluent-ffmpeg reports the kill() in close() as an error too
+        if (!this.closed) this.emit('error', error);
+        this.finish();
+      })
+      .on('end', () => this.finish());
+
+    this.output = this.command.pipe();
+    this.output.on('data', (chunk) => this.handlePcm(chunk));
+  }
+
+  handlePcm(chunk) {
+    let buffer = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+    while (buffer.length >= this.frameBytes) {
+      this.emit('frame', buffer.subarray(0, this.frameBytes));
+      buffer = buffer.subarray(this.frameBytes);
+    }
+    this.pending = Buffer.from(buffer);
+  }
+
+  write(chunk) {
+    if (this.closed) return false;
+    return this.input.write(chunk);
+  }
+
+  // Flush whatever ffmpeg still holds and stop the process
+  end() {
+    if (this.closed) return;
+    this.input.end();
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.input.destroy();
+    this.command.kill('SIGKILL');
+    this.emit('close');
+  }
+
+  finish() {
+    if (this.closed) return;
+    this.closed = true;
+
+    if (this.pending.length > 0) {
+      // Pad the tail so consumers only ever see whole frames
+      const frame = Buffer.alloc(this.frameBytes);
+      this.pending.copy(frame);
+      this.pending = Buffer.alloc(0);
+      this.emit('frame', frame);
+    }
+    this.emit('close');
+  }
+}
+
+module.exports = StreamDecoder;
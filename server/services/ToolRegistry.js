@@ -0,0 +1,67 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Functions the models may call. Each tool is a Gemini function
+// declaration ({ name, description, parameters } as an OpenAPI-style schema)
+// plus an async handler(args, context) whose return value is sent back to
+// the model. A handler error with a status (httpError) is the caller's
+// mistake and its message goes back to the model so it can ask the user to
+// correct it; anything else is logged and reported as a failed call.
+
+class ToolRegistry {
+  // options.instructions: function returning text for the prompt on how and
+  // when to use the tools
+  constructor(options = {}) {
+    this.tools = new Map();
+    this.instructionsFor = options.instructions || null;
+  }
+
+  instructions() {
+    return this.instructionsFor ? this.instructionsFor() : '';
+  }
+
+  register(declaration, handler) {
+    if (this.tools.has(declaration.name)) {
+      throw new Error(`Tool already registered: ${declaration.name}`);
+    }
+    this.tools.set(declaration.name, { declaration, handler });
+    return this;
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  declarations() {
+    return Array.from(this.tools.values()).map(tool => tool.declaration);
+  }
+
+  // Runs one call from the model. Never throws: the outcome is a record of
+  // { id, name, status: 'ok' | 'error', result | error } that is both
+  // answered to the model and shown to clients. The arguments are left out
+  // as they may hold contact details; handlers mask what they return.
+  async execute(name, args = {}, context = {}) {
+    const call = { id: uuidv4(), name, timestamp: Date.now() };
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { ...call, status: 'error', error: `Unknown tool: ${name}` };
+    }
+
+    try {
+      const result = await tool.handler(args, context);
+      return { ...call, status: 'ok', result };
+    } catch (error) {
+      if (!error.status) console.error(`Tool ${name} failed:`, error);
+      return { ...call, status: 'error', error: error.status ? error.message : 'The tool failed, please try again later' };
+    }
+  }
+
+  getStatus() {
+    return { tools: Array.from(this.tools.keys()) };
+  }
+}
+
+module.exports = ToolRegistry;
@@ -0,0 +1,55 @@
+const axios = require('axios');
+
+// Google Cloud Text-to-Speech. Shared by the /api/tts route and the
+// sentence-by-sentence speech pipeline for streamed responses.
+
+const LANGUAGE_CODES = {
+  en: 'en-US',
+  hi: 'hi-IN',
+  hinglish: 'hi-IN',
+};
+
+class TtsService {
+  constructor() {
+    this.apiKey = process.env.GOOGLE_TTS_API_KEY;
+    this.apiUrl = process.env.GOOGLE_TTS_API_URL || 'https://texttospeech.googleapis.com/v1/text:synthesize';
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  getLanguageCode(language) {
+    return LANGUAGE_CODES[language] || language || 'en-US';
+  }
+
+  // Returns an MP3 buffer
+  async synthesize(text, voice = 'male', languageCode = 'en-US') {
+    if (!this.apiKey) {
+      throw new Error('TTS not configured');
+    }
+
+    // pick a safe default voice name per language
+    const genderMap = voice === 'female' ? 'F' : 'B';
+    const voiceName = `${languageCode}-Standard-${genderMap}`;
+
+    const payload = {
+      input: { text },
+      voice: { languageCode, name: voiceName },
+      audioConfig: { audioEncoding: 'MP3', speakingRate: 1.0 },
+    };
+
+    const { data } = await axios.post(`${this.apiUrl}?key=${this.apiKey}`, payload, {
+      timeout: 15000,
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+    if (!data.audioContent) {
+      throw new Error('No audio returned from TTS');
+    }
+
+    return Buffer.from(data.audioContent, 'base64');
+  }
+}
+
+module.exports = TtsService;
@@ -0,0 +1,53 @@
+// The audio of one user turn, for transcription at speech-end. Between turns
+// only a short pre-roll is kept, so the words the detector needed before it
+// could confirm speech are not cut off; during a turn frames are kept up to
+// maxMs, the longest clip the speech-to-text provider accepts, and later
+// ones are dropped (truncated is set).
+
+class UtteranceBuffer {
+  constructor(options = {}) {
+    const bytesPerMs = (options.sampleRate || 16000) * 2 / 1000;
+    this.preRollBytes = Math.round((options.preRollMs ?? 300) * bytesPerMs);
+    this.maxBytes = Math.round((options.maxMs || 60000) * bytesPerMs);
+    this.reset();
+  }
+
+  reset() {
+    this.frames = [];
+    this.bytes = 0;
+    this.active = false;
+    this.truncated = false;
+  }
+
+  push(frame) {
+    if (this.active && this.bytes + frame.length > this.maxBytes) {
+      this.truncated = true;
+      return;
+    }
+
+    this.frames.push(frame);
+    this.bytes += frame.length;
+    if (this.active) return;
+
+    // Outside a turn only the pre-roll is kept
+    while (this.bytes > this.preRollBytes && this.frames.length > 0) {
+      this.bytes -= this.frames.shift().length;
+    }
+  }
+
+  // Speech started: the pre-roll opens the utterance
+  start() {
+    this.active = true;
+    this.truncated = false;
+  }
+
+  // The utterance so far (null when there is none); the buffer goes back to
+  // keeping only the pre-roll
+  take() {
+    const audio = this.active && this.bytes > 0 ? Buffer.concat(this.frames) : null;
+    this.reset();
+    return audio;
+  }
+}
+
+module.exports = UtteranceBuffer;
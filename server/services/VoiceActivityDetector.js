@@ -0,0 +1,169 @@
+const EventEmitter = require('events');
+
+// Streaming energy-based voice activity detector for one audio stream.
+// Feed it 16-bit mono PCM in any chunk size; it works on fixed frames and
+// emits 'speech-start' once speech has lasted minSpeechMs and 'speech-end'
+// after hangoverMs of silence. The noise floor adapts to the room: it follows
+// quiet frames quickly downwards and drifts slowly upwards - more slowly still
+// during speech, so noise that rises mid-utterance is absorbed in time - and
+// speech is anything sufficiently louder than it. An utterance is also cut at
+// maxSpeechMs (reason 'max-length'). Stream time is derived from the sample
+// count, so results do not depend on how chunks arrive; an idle timer closes
+// an open utterance if the stream simply stops.
+
+const toDb = (rms) => 20 * Math.log10(Math.max(rms, 1) / 32768);
+
+class VoiceActivityDetector extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.sampleRate = options.sampleRate || 16000;
+    this.frameMs = options.frameMs || 20;
+    this.thresholdDb = options.thresholdDb || 9;
+    this.minSpeechMs = options.minSpeechMs || 120;
+    this.hangoverMs = options.hangoverMs || 700;
+    this.maxSpeechMs = options.maxSpeechMs || 30000;
+    this.idleTimeoutMs = options.idleTimeoutMs || this.hangoverMs;
+    this.minFloorDb = options.minFloorDb !== undefined ? options.minFloorDb : -70;
+
+    this.frameSamples = Math.round(this.sampleRate * this.frameMs / 1000);
+    this.reset();
+  }
+
+  reset() {
+    this.clearIdleTimer();
+    this.remainder = Buffer.alloc(0);
+    this.samplesSeen = 0;
+    this.noiseFloorDb = -60;
+    this.speaking = false;
+    this.voicedMs = 0;
+    this.silentMs = 0;
+    this.speechStartMs = 0;
+    this.lastVoicedMs = 0;
+    this.peakDb = -Infinity;
+  }
+
+  get streamTimeMs() {
+    return (this.samplesSeen / this.sampleRate) * 1000;
+  }
+
+  // Returns the events raised while consuming this chunk
+  process(pcmBuffer) {
+    const events = [];
+    const onEvent = (event) => events.push(event);
+    this.on('speech-start', onEvent);
+    this.on('speech-end', onEvent);
+
+    try {
+      let buffer = this.remainder.length > 0 ? Buffer.concat([this.remainder, pcmBuffer]) : pcmBuffer;
+      const frameBytes = this.frameSamples * 2;
+
+      while (buffer.length >= frameBytes) {
+        this.processFrame(buffer.subarray(0, frameBytes));
+        buffer = buffer.subarray(frameBytes);
+      }
+      this.remainder = Buffer.from(buffer);
+    } finally {
+      this.off('speech-start', onEvent);
+      this.off('speech-end', onEvent);
+    }
+
+    this.armIdleTimer();
+    return events;
+  }
+
+  processFrame(frame) {
+    let sumSquares = 0;
+    for (let i = 0; i < frame.length; i += 2) {
+      const sample = frame.readInt16LE(i);
+      sumSquares += sample * sample;
+    }
+    const levelDb = toDb(Math.sqrt(sumSquares / (frame.length / 2)));
+    this.samplesSeen += this.frameSamples;
+
+    const isVoiced = levelDb > this.noiseFloorDb + this.thresholdDb;
+    this.updateNoiseFloor(levelDb, isVoiced);
+
+    if (isVoiced) {
+      this.voicedMs += this.frameMs;
+      this.silentMs = 0;
+      this.lastVoicedMs = this.streamTimeMs;
+      this.peakDb = Math.max(this.peakDb, levelDb);
+
+      if (!this.speaking && this.voicedMs >= this.minSpeechMs) {
+        this.speaking = true;
+        this.speechStartMs = this.streamTimeMs - this.voicedMs;
+        this.emit('speech-start', {
+          type: 'speech-start',
+          streamTimeMs: this.speechStartMs,
+          levelDb,
+          noiseFloorDb: this.noiseFloorDb,
+        });
+      } else if (this.speaking && this.streamTimeMs - this.speechStartMs >= this.maxSpeechMs) {
+        this.endSpeech('max-length');
+      }
+      return;
+    }
+
+    this.silentMs += this.frameMs;
+    if (!this.speaking) {
+      // Unvoiced gaps reset the onset counter so isolated clicks never add up
+      this.voicedMs = 0;
+      return;
+    }
+
+    if (this.silentMs >= this.hangoverMs) {
+      this.endSpeech('silence');
+    }
+  }
+
+  updateNoiseFloor(levelDb, isVoiced) {
+    if (levelDb < this.noiseFloorDb) {
+      this.noiseFloorDb += (levelDb - this.noiseFloorDb) * 0.3;
+    } else {
+      this.noiseFloorDb += (levelDb - this.noiseFloorDb) * (isVoiced && this.speaking ? 0.005 : 0.02);
+    }
+    this.noiseFloorDb = Math.max(this.noiseFloorDb, this.minFloorDb);
+  }
+
+  endSpeech(reason) {
+    if (!this.speaking) return;
+
+    this.speaking = false;
+    this.voicedMs = 0;
+    this.silentMs = 0;
+    const event = {
+      type: 'speech-end',
+      reason,
+      streamTimeMs: this.lastVoicedMs,
+      startStreamTimeMs: this.speechStartMs,
+      durationMs: this.lastVoicedMs - this.speechStartMs,
+      peakDb: this.peakDb,
+    };
+    this.peakDb = -Infinity;
+    this.emit('speech-end', event);
+  }
+
+  armIdleTimer() {
+    this.clearIdleTimer();
+    if (!this.speaking) return;
+
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      this.endSpeech('idle');
+    }, this.idleTimeoutMs);
+  }
+
+  clearIdleTimer() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  destroy() {
+    this.clearIdleTimer();
+    this.removeAllListeners();
+  }
+}
+
+module.exports = VoiceActivityDetector;
@@ -0,0 +1,52 @@
+const { Pool } = require('pg');
+
+// PostgreSQL driver for the conversation archive. Queries are written with
+// `?` placeholders and renumbered to $1..$n here.
+
+const toPositional = (sql) => {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+};
+
+class PostgresArchive {
+  constructor(options = {}) {
+    this.name = 'postgres';
+    this.connectionString = options.url || process.env.ARCHIVE_URL;
+    this.pool = null;
+  }
+
+  async connect() {
+    if (this.pool) return;
+    if (!this.connectionString) {
+      throw new Error('ARCHIVE_URL is required for the postgres archive');
+    }
+    this.pool = new Pool({ connectionString: this.connectionString });
+  }
+
+  async exec(sql) {
+    await this.pool.query(sql);
+  }
+
+  async run(sql, params = []) {
+    return this.pool.query(toPositional(sql), params);
+  }
+
+  async all(sql, params = []) {
+    const result = await this.pool.query(toPositional(sql), params);
+    return result.rows;
+  }
+
+  async get(sql, params = []) {
+    const rows = await this.all(sql, params);
+    return rows[0] || null;
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+}
+
+module.exports = PostgresArchive;
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// SQLite driver for the conversation archive (better-sqlite3, synchronous
+// under the hood; wrapped in promises to match the other drivers).
+
+class SqliteArchive {
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.filePath = options.filePath || process.env.ARCHIVE_SQLITE_PATH || path.join(__dirname, '../../data/archive.db');
+    this.db = null;
+  }
+
+  async connect() {
+    if (this.db) return;
+    if (this.filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+  }
+
+  async exec(sql) {
+    this.db.exec(sql);
+  }
+
+  async run(sql, params = []) {
+    return this.db.prepare(sql).run(params);
+  }
+
+  async all(sql, params = []) {
+    return this.db.prepare(sql).all(params);
+  }
+
+  async get(sql, params = []) {
+    return this.db.prepare(sql).get(params) || null;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteArchive;
@@ -0,0 +1,26 @@
+const SqliteArchive = require('./SqliteArchive');
+const PostgresArchive = require('./PostgresArchive');
+
+// Archive drivers share one contract: connect(), exec(sql) for DDL,
+// run/all/get(sql, params) with `?` placeholders, and close(). The schema in
+// ArchiveService sticks to SQL both SQLite and PostgreSQL accept.
+
+const drivers = {
+  sqlite: SqliteArchive,
+  postgres: PostgresArchive,
+};
+
+// Returns null when archiving is switched off (ARCHIVE_DRIVER=none)
+const createArchiveDriver = (config = {}) => {
+  const name = config.driver || process.env.ARCHIVE_DRIVER || 'sqlite';
+  if (name === 'none') return null;
+
+  const Driver = drivers[name];
+  if (!Driver) {
+    throw new Error(`Unknown archive driver: ${name}`);
+  }
+
+  return new Driver(config);
+};
+
+module.exports = { createArchiveDriver, drivers };
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./MemoryStore');
+
+// MemoryStore persisted to a JSON snapshot so sessions and history survive a
+// restart without Redis. Writes are debounced and go through a temp file and
+// rename, so a crash mid-write leaves the previous snapshot intact.
+
+class FileStore extends MemoryStore {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'file';
+    this.filePath = options.filePath || process.env.CACHE_FILE || path.join(__dirname, '../../data/cache.json');
+    this.flushDelay = options.flushDelay || 200;
+    this.loaded = false;
+  }
+
+  async connect() {
+    if (!this.loaded) {
+      this.load();
+      this.loaded = true;
+    }
+    return super.connect();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.entries = new Map(Object.entries(snapshot.entries || {}));
+      this.sweep();
+    } catch (error) {
+      console.error(`Failed to load cache file ${this.filePath}:`, error.message);
+    }
+  }
+
+  changed() {
+    if (!this.loaded || this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelay);
+  }
+
+  flush() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempFile = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify({ entries: Object.fromEntries(this.entries) }));
+      fs.renameSync(tempFile, this.filePath);
+    } catch (error) {
+      console.error(`Failed to write cache file ${this.filePath}:`, error.message);
+    }
+  }
+
+  async disconnect() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.flush();
+    return super.disconnect();
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,196 @@
+// In-process store with the subset of Redis semantics CacheService relies on:
+// string values with TTL, hashes and lists (negative indexes included), and
+// glob key matching. Values are the serialized strings CacheService hands it.
+// Expired keys are dropped lazily on access and by a periodic sweep.
+
+const wrongType = () => new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+
+const globToRegExp = (pattern) => new RegExp(
+  `^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`
+);
+
+// Redis LRANGE/LTRIM index rules
+const normalizeRange = (length, start, stop) => {
+  const from = start < 0 ? Math.max(length + start, 0) : start;
+  const to = Math.min(stop < 0 ? length + stop : stop, length - 1);
+  return [from, to];
+};
+
+class MemoryStore {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.entries = new Map();
+    this.sweepInterval = options.sweepInterval || 60 * 1000;
+  }
+
+  async connect() {
+    if (!this.sweepTimer) {
+      this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+      this.sweepTimer.unref();
+    }
+    return true;
+  }
+
+  isConnected() {
+    return true;
+  }
+
+  // Called after every mutation; persistent subclasses hook in here
+  changed() {}
+
+  entry(key, type) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.changed();
+      return null;
+    }
+    if (type && entry.type !== type) throw wrongType();
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.entry(key, 'string');
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttl) {
+    this.entries.set(key, {
+      type: 'string',
+      value,
+      expiresAt: ttl ? Date.now() + ttl * 1000 : null,
+    });
+    this.changed();
+  }
+
+  async del(key) {
+    const existed = this.entry(key) !== null;
+    this.entries.delete(key);
+    if (existed) this.changed();
+    return existed ? 1 : 0;
+  }
+
+  // Counters are string values like in Redis; a missing key counts from 0
+  async incr(key) {
+    const entry = this.entry(key, 'string');
+    const current = entry ? Number(entry.value) : 0;
+    if (!Number.isInteger(current)) {
+      throw new Error('ERR value is not an integer or out of range');
+    }
+
+    const value = String(current + 1);
+    if (entry) {
+      entry.value = value;
+    } else {
+      this.entries.set(key, { type: 'string', value, expiresAt: null });
+    }
+    this.changed();
+    return current + 1;
+  }
+
+  async exists(key) {
+    return this.entry(key) !== null;
+  }
+
+  async expire(key, ttl) {
+    const entry = this.entry(key);
+    if (!entry) return false;
+    entry.expiresAt = Date.now() + ttl * 1000;
+    this.changed();
+    return true;
+  }
+
+  async hGet(hash, field) {
+    const entry = this.entry(hash, 'hash');
+    return entry && field in entry.value ? entry.value[field] : null;
+  }
+
+  async hSet(hash, field, value) {
+    let entry = this.entry(hash, 'hash');
+    if (!entry) {
+      entry = { type: 'hash', value: {}, expiresAt: null };
+      this.entries.set(hash, entry);
+    }
+    entry.value[field] = value;
+    this.changed();
+  }
+
+  async hGetAll(hash) {
+    const entry = this.entry(hash, 'hash');
+    return entry ? { ...entry.value } : {};
+  }
+
+  list(key, create = false) {
+    let entry = this.entry(key, 'list');
+    if (!entry && create) {
+      entry = { type: 'list', value: [], expiresAt: null };
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  async lPush(key, value) {
+    const entry = this.list(key, true);
+    entry.value.unshift(value);
+    this.changed();
+    return entry.value.length;
+  }
+
+  async rPush(key, value) {
+    const entry = this.list(key, true);
+    entry.value.push(value);
+    this.changed();
+    return entry.value.length;
+  }
+
+  async lRange(key, start, stop) {
+    const entry = this.list(key);
+    if (!entry) return [];
+    const [from, to] = normalizeRange(entry.value.length, start, stop);
+    return from > to ? [] : entry.value.slice(from, to + 1);
+  }
+
+  async lTrim(key, start, stop) {
+    const entry = this.list(key);
+    if (!entry) return;
+    const [from, to] = normalizeRange(entry.value.length, start, stop);
+    entry.value = from > to ? [] : entry.value.slice(from, to + 1);
+    if (entry.value.length === 0) this.entries.delete(key);
+    this.changed();
+  }
+
+  // Iterates a snapshot of the keys, so callers may delete as they go
+  async *scan(pattern = '*') {
+    const matcher = globToRegExp(pattern);
+    for (const key of Array.from(this.entries.keys())) {
+      if (matcher.test(key) && this.entry(key) !== null) yield key;
+    }
+  }
+
+  async ping() {
+    return true;
+  }
+
+  sweep() {
+    const now = Date.now();
+    let removed = false;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed = true;
+      }
+    }
+    if (removed) this.changed();
+  }
+
+  async disconnect() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,136 @@
+const redis = require('redis');
+
+// Redis-backed store (node-redis v4). isConnected() follows the client's
+// ready state, so CacheService can route around an outage while the client
+// keeps reconnecting in the background.
+
+class RedisStore {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.url = options.url || process.env.REDIS_URL || `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`;
+    this.password = options.password || process.env.REDIS_PASSWORD || undefined;
+    this.client = null;
+    this.connected = false;
+    this.reportedError = false;
+  }
+
+  async connect() {
+    try {
+      this.client = redis.createClient({
+        url: this.url,
+        password: this.password,
+        socket: {
+          reconnectStrategy: (retries) => Math.min(retries * 100, 3000)
+        }
+      });
+
+      this.client.on('ready', () => {
+        console.log('Connected to Redis');
+        this.connected = true;
+        this.reportedError = false;
+      });
+
+      this.client.on('error', (err) => {
+        // Reconnect attempts fail repeatedly during an outage; log once
+        if (!this.reportedError) {
+          console.error('Redis Client Error:', err.message);
+          this.reportedError = true;
+        }
+        this.connected = false;
+      });
+
+      this.client.on('end', () => {
+        console.log('Redis connection ended');
+        this.connected = false;
+      });
+
+      await this.client.connect();
+      return true;
+    } catch (error) {
+      console.error('Failed to connect to Redis:', error.message);
+      this.connected = false;
+      return false;
+    }
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async set(key, value, ttl) {
+    if (ttl) {
+      await this.client.setEx(key, ttl, value);
+    } else {
+      await this.client.set(key, value);
+    }
+  }
+
+  async del(key) {
+    return this.client.del(key);
+  }
+
+  async incr(key) {
+    return this.client.incr(key);
+  }
+
+  async exists(key) {
+    return (await this.client.exists(key)) === 1;
+  }
+
+  async expire(key, ttl) {
+    return this.client.expire(key, ttl);
+  }
+
+  async hGet(hash, field) {
+    return this.client.hGet(hash, field);
+  }
+
+  async hSet(hash, field, value) {
+    return this.client.hSet(hash, field, value);
+  }
+
+  async hGetAll(hash) {
+    return this.client.hGetAll(hash);
+  }
+
+  async lPush(key, value) {
+    return this.client.lPush(key, value);
+  }
+
+  async rPush(key, value) {
+    return this.client.rPush(key, value);
+  }
+
+  async lRange(key, start, stop) {
+    return this.client.lRange(key, start, stop);
+  }
+
+  async lTrim(key, start, stop) {
+    return this.client.lTrim(key, start, stop);
+  }
+
+  // Cursor-based SCAN; KEYS would block Redis for the whole keyspace
+  async *scan(pattern, count = 100) {
+    for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: count })) {
+      yield key;
+    }
+  }
+
+  async ping() {
+    await this.client.ping();
+    return true;
+  }
+
+  async disconnect() {
+    if (this.client && this.client.isOpen) {
+      await this.client.quit();
+    }
+    this.connected = false;
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,52 @@
+const RedisStore = require('./RedisStore');
+const MemoryStore = require('./MemoryStore');
+const FileStore = require('./FileStore');
+
+// Cache stores share one contract, modelled on the Redis commands CacheService
+// uses: get/set(ttl seconds)/del/exists/expire, incr (atomic, returns the
+// new count), hGet/hSet/hGetAll,
+// lPush/rPush/lRange/lTrim, scan(pattern) (an async iterator of keys, never
+// the blocking KEYS), ping, plus connect, isConnected
+// and disconnect. Values are strings; CacheService owns serialization.
+
+const stores = {
+  redis: RedisStore,
+  memory: MemoryStore,
+  file: FileStore,
+};
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+const createCacheStore = (config = {}) => {
+  let name = config.store || process.env.CACHE_STORE;
+
+  if (!name) {
+    name = isProduction() || process.env.REDIS_URL || process.env.REDIS_HOST ? 'redis' : 'memory';
+  }
+
+  const Store = stores[name];
+  if (!Store) {
+    throw new Error(`Unknown cache store: ${name}`);
+  }
+
+  return new Store(config);
+};
+
+// Store used while Redis is unreachable. Defaults to memory outside
+// production; in production the default is none, so writes fail visibly
+// instead of being kept on a single node.
+const createFallbackStore = (primary, config = {}) => {
+  if (primary.name !== 'redis') return null;
+
+  const name = config.fallback || process.env.CACHE_FALLBACK || (isProduction() ? 'none' : 'memory');
+  if (name === 'none') return null;
+
+  const Store = stores[name];
+  if (!Store || name === 'redis') {
+    throw new Error(`Unknown cache fallback store: ${name}`);
+  }
+
+  return new Store(config);
+};
+
+module.exports = { createCacheStore, createFallbackStore, stores };
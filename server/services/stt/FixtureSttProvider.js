@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Deterministic speech-to-text for tests and offline demos. Results are looked
+// up by the SHA-256 of the audio bytes; unknown audio gets the default text.
+// Word timings are spread evenly over the clip so downstream caption and
+// analytics code sees realistic shapes.
+
+class FixtureSttProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.fixtures = options.fixtures || this.loadFixtures(options.fixturesFile);
+    this.defaultText = options.defaultText !== undefined ? options.defaultText : '';
+  }
+
+  loadFixtures(file) {
+    if (!file) return {};
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error('Failed to load STT fixtures:', error.message);
+      return {};
+    }
+  }
+
+  static hash(audioBuffer) {
+    return crypto.createHash('sha256').update(audioBuffer).digest('hex');
+  }
+
+  async transcribe(audioBuffer, options = {}) {
+    const fixture = this.fixtures[FixtureSttProvider.hash(audioBuffer)];
+    if (fixture && typeof fixture === 'object') {
+      return {
+        text: fixture.text || '',
+        words: fixture.words || this.spreadWords(fixture.text || '', options.duration),
+        confidence: fixture.confidence !== undefined ? fixture.confidence : 1,
+        language: fixture.language || options.language || 'en',
+      };
+    }
+
+    const text = typeof fixture === 'string' ? fixture : this.defaultText;
+    return {
+      text,
+      words: this.spreadWords(text, options.duration),
+      confidence: text ? 1 : 0,
+      language: options.language || 'en',
+    };
+  }
+
+  spreadWords(text, duration = 0) {
+    const tokens = text.split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return [];
+
+    const step = (duration || tokens.length * 0.4) / tokens.length;
+    return tokens.map((word, index) => ({
+      word,
+      start: +(index * step).toFixed(3),
+      end: +((index + 1) * step).toFixed(3),
+      confidence: 1,
+    }));
+  }
+}
+
+module.exports = FixtureSttProvider;
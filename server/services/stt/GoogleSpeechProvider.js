@@ -0,0 +1,90 @@
+const axios = require('axios');
+
+// Google Cloud Speech-to-Text (v1 speech:recognize) with word time offsets and
+// word confidence. Suited to utterance-sized clips (< 1 minute).
+
+const LANGUAGE_CODES = {
+  en: { languageCode: 'en-IN', alternativeLanguageCodes: ['en-US'] },
+  hi: { languageCode: 'hi-IN' },
+  hinglish: { languageCode: 'hi-IN', alternativeLanguageCodes: ['en-IN'] },
+};
+
+const ENCODINGS = {
+  webm: { encoding: 'WEBM_OPUS', sampleRateHertz: 48000 },
+  ogg: { encoding: 'OGG_OPUS', sampleRateHertz: 48000 },
+  mp3: { encoding: 'MP3' },
+  wav: {}, // LINEAR16 parameters are read from the WAV header
+  pcm: { encoding: 'LINEAR16' },
+};
+
+const parseOffset = (value) => {
+  if (!value) return 0;
+  if (typeof value === 'string') return parseFloat(value.replace('s', '')) || 0;
+  return (parseInt(value.seconds || 0) || 0) + (value.nanos || 0) / 1e9;
+};
+
+class GoogleSpeechProvider {
+  constructor(options = {}) {
+    this.name = 'google';
+    // Seconds of audio speech:recognize accepts in one request
+    this.maxDuration = 60;
+    this.apiKey = options.apiKey || process.env.GOOGLE_SPEECH_API_KEY || process.env.GOOGLE_TTS_API_KEY;
+    this.apiUrl = options.apiUrl || process.env.GOOGLE_SPEECH_API_URL || 'https://speech.googleapis.com/v1/speech:recognize';
+    this.model = options.model || process.env.GOOGLE_SPEECH_MODEL;
+  }
+
+  buildConfig(options) {
+    const encoding = { ...(ENCODINGS[options.format] || ENCODINGS.pcm) };
+    if (options.format === 'pcm') {
+      encoding.sampleRateHertz = options.sampleRate || 16000;
+    }
+
+    return {
+      ...encoding,
+      ...(LANGUAGE_CODES[options.language] || LANGUAGE_CODES.en),
+      ...(this.model ? { model: this.model } : {}),
+      enableWordTimeOffsets: true,
+      enableWordConfidence: true,
+      enableAutomaticPunctuation: true,
+    };
+  }
+
+  async transcribe(audioBuffer, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('Google Speech API key not configured');
+    }
+
+    const { data } = await axios.post(
+      `${this.apiUrl}?key=${this.apiKey}`,
+      {
+        config: this.buildConfig(options),
+        audio: { content: audioBuffer.toString('base64') },
+      },
+      { timeout: 15000, headers: { 'Content-Type': 'application/json' } }
+    );
+
+    const alternatives = (data.results || [])
+      .map((result) => ({ ...result.alternatives?.[0], languageCode: result.languageCode }))
+      .filter((alt) => alt.transcript);
+
+    const words = alternatives.flatMap((alt) => (alt.words || []).map((w) => ({
+      word: w.word,
+      start: parseOffset(w.startTime || w.startOffset),
+      end: parseOffset(w.endTime || w.endOffset),
+      confidence: w.confidence !== undefined ? w.confidence : alt.confidence || 0,
+    })));
+
+    const confidence = alternatives.length > 0
+      ? alternatives.reduce((sum, alt) => sum + (alt.confidence || 0), 0) / alternatives.length
+      : 0;
+
+    return {
+      text: alternatives.map((alt) => alt.transcript.trim()).join(' '),
+      words,
+      confidence,
+      language: options.language || 'en',
+    };
+  }
+}
+
+module.exports = GoogleSpeechProvider;
@@ -0,0 +1,108 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Offline transcription through a whisper.cpp binary. Each word is emitted as
+// its own segment (-ml 1) and the full JSON output (-ojf) carries per-token
+// probabilities, which are averaged into word confidence. whisper.cpp expects
+// 16 kHz mono WAV input.
+
+const LANGUAGES = { en: 'en', hi: 'hi', hinglish: 'hi' };
+
+class LocalWhisperProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.binary = options.binary || process.env.WHISPER_BINARY || 'whisper-cli';
+    this.modelPath = options.modelPath || process.env.WHISPER_MODEL_PATH;
+    this.threads = options.threads || parseInt(process.env.WHISPER_THREADS) || 2;
+    this.timeout = options.timeout || 60000;
+  }
+
+  run(args) {
+    return new Promise((resolve, reject) => {
+      execFile(this.binary, args, { timeout: this.timeout }, (error, stdout, stderr) => {
+        if (error) {
+          error.message = `${error.message}\n${stderr}`;
+          reject(error);
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  async transcribe(audioBuffer, options = {}) {
+    if (!this.modelPath) {
+      throw new Error('WHISPER_MODEL_PATH not configured');
+    }
+
+    let inputFile = options.filePath;
+    let ownsInput = false;
+    if (!inputFile) {
+      inputFile = path.join(os.tmpdir(), `${uuidv4()}.wav`);
+      fs.writeFileSync(inputFile, audioBuffer);
+      ownsInput = true;
+    }
+    const outputBase = path.join(os.tmpdir(), uuidv4());
+
+    try {
+      await this.run([
+        '-m', this.modelPath,
+        '-f', inputFile,
+        '-l', LANGUAGES[options.language] || 'auto',
+        '-t', String(this.threads),
+        '-ml', '1',
+        '-ojf',
+        '-of', outputBase,
+        '-np',
+      ]);
+
+      const output = JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf8'));
+      return this.parseOutput(output, options);
+    } finally {
+      if (ownsInput) fs.rmSync(inputFile, { force: true });
+      fs.rmSync(`${outputBase}.json`, { force: true });
+    }
+  }
+
+  parseOutput(output, options) {
+    const words = [];
+    for (const segment of output.transcription || []) {
+      const word = segment.text.trim();
+      if (!word) continue;
+
+      const tokens = (segment.tokens || []).filter((t) => !/^\[_/.test(t.text));
+      const confidence = tokens.length > 0
+        ? tokens.reduce((sum, t) => sum + (t.p || 0), 0) / tokens.length
+        : 0;
+
+      // Punctuation comes out as its own segment; attach it to the word before
+      const previous = words[words.length - 1];
+      if (previous && /^[.,!?;:]+$/.test(word)) {
+        previous.word += word;
+        previous.end = (segment.offsets?.to || 0) / 1000;
+        continue;
+      }
+
+      words.push({
+        word,
+        start: (segment.offsets?.from || 0) / 1000,
+        end: (segment.offsets?.to || 0) / 1000,
+        confidence,
+      });
+    }
+
+    return {
+      text: words.map((w) => w.word).join(' '),
+      words,
+      confidence: words.length > 0
+        ? words.reduce((sum, w) => sum + w.confidence, 0) / words.length
+        : 0,
+      language: output.result?.language || options.language || 'en',
+    };
+  }
+}
+
+module.exports = LocalWhisperProvider;
@@ -0,0 +1,41 @@
+const GoogleSpeechProvider = require('./GoogleSpeechProvider');
+const LocalWhisperProvider = require('./LocalWhisperProvider');
+const FixtureSttProvider = require('./FixtureSttProvider');
+
+// Speech-to-text providers share one contract:
+//   transcribe(audioBuffer, { format, sampleRate, language, duration, filePath })
+//     -> { text, words: [{ word, start, end, confidence }], confidence, language }
+// Times are in seconds from the start of the clip. A provider that only takes
+// clips up to a length sets maxDuration (seconds).
+
+const providers = {
+  google: GoogleSpeechProvider,
+  local: LocalWhisperProvider,
+  fixture: FixtureSttProvider,
+};
+
+const createSttProvider = (config = {}) => {
+  let name = config.provider || process.env.STT_PROVIDER;
+
+  if (!name) {
+    if (process.env.GOOGLE_SPEECH_API_KEY) name = 'google';
+    else if (process.env.WHISPER_MODEL_PATH) name = 'local';
+    else name = 'fixture';
+  }
+
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown STT provider: ${name}`);
+  }
+
+  if (name === 'fixture' && !config.provider && !process.env.STT_PROVIDER) {
+    console.warn('No speech-to-text provider configured, using fixture provider');
+  }
+
+  return new Provider({
+    fixturesFile: process.env.STT_FIXTURES_FILE,
+    ...config,
+  });
+};
+
+module.exports = { createSttProvider, providers };
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+// Test ride and service bookings made through the tools, kept in a JSON file
+// so they survive a restart. Writes go through a temp file and rename, like
+// the file cache store. Meant for a single instance: two servers sharing the
+// file would overwrite each other's bookings.
+
+class BookingStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.BOOKINGS_FILE || path.join(__dirname, '../../data/bookings.json');
+    this.bookings = this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return [];
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).bookings || [];
+    } catch (error) {
+      console.error(`Failed to load bookings file ${this.filePath}:`, error.message);
+      return [];
+    }
+  }
+
+  flush() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempFile = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ bookings: this.bookings }, null, 2));
+    fs.renameSync(tempFile, this.filePath);
+  }
+
+  // Bookings matching every given field, e.g. { dealerId, type, date }
+  find(filter = {}) {
+    return this.bookings.filter(booking => (
+      Object.entries(filter).every(([field, value]) => booking[field] === value)
+    ));
+  }
+
+  add(booking) {
+    this.bookings.push(booking);
+    try {
+      this.flush();
+    } catch (error) {
+      this.bookings.pop();
+      throw error;
+    }
+    return booking;
+  }
+}
+
+module.exports = BookingStore;
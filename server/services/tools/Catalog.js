@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bikes and hubs from the knowledge base JSON files (bikes.json,
+// dealers.json), looked up by the tools rather than ranked as text
+
+const CITY_ALIASES = {
+  delhi: 'new delhi',
+  gurgaon: 'gurugram',
+  bombay: 'mumbai',
+  bangalore: 'bengaluru',
+  madras: 'chennai',
+  poona: 'pune'
+};
+
+// "Revolt RV1+" -> "rv1plus", "rv 400 brz" -> "rv400brz"
+const modelKey = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/\+/g, 'plus')
+  .replace(/[^a-z0-9]/g, '')
+  .replace(/^revolt/, '');
+
+const cityKey = (text) => {
+  const key = String(text || '').toLowerCase().replace(/[^a-z ]/g, '').replace(/\s+/g, ' ').trim();
+  return CITY_ALIASES[key] || key;
+};
+
+// Digits two pincodes share from the start: the first is the postal zone,
+// three give the sorting district
+const sharedPrefix = (a, b) => {
+  let length = 0;
+  while (length < a.length && a[length] === b[length]) length += 1;
+  return length;
+};
+
+const loadItems = (dir, file) => {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    return Array.isArray(data) ? data : data.items || [];
+  } catch (error) {
+    console.error(`Error loading ${file} for tools:`, error.message);
+    return [];
+  }
+};
+
+class Catalog {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.KNOWLEDGE_DIR || path.join(__dirname, '../../knowledge');
+    this.reload();
+  }
+
+  reload() {
+    this.bikes = loadItems(this.dir, 'bikes.json');
+    this.dealers = loadItems(this.dir, 'dealers.json');
+  }
+
+  getDealer(id) {
+    return this.dealers.find(dealer => dealer.id === id) || null;
+  }
+
+  // Hubs in a city (or state), or the ones closest to a pincode, best first.
+  // service narrows them to hubs offering it ('sales', 'test-ride', 'service').
+  findDealers({ city, pincode, service, limit = 3 } = {}) {
+    const dealers = service
+      ? this.dealers.filter(dealer => (dealer.services || []).includes(service))
+      : this.dealers;
+
+    const digits = String(pincode || '').replace(/\D/g, '');
+    if (digits.length === 6) {
+      return dealers
+        .map(dealer => ({ dealer, shared: sharedPrefix(digits, dealer.pincode) }))
+        .filter(match => match.shared > 0)
+        .sort((a, b) => (b.shared - a.shared)
+          || (Math.abs(a.dealer.pincode - digits) - Math.abs(b.dealer.pincode - digits)))
+        .slice(0, limit)
+        .map(match => match.dealer);
+    }
+
+    const key = cityKey(city);
+    if (!key) return [];
+    const inCity = dealers.filter(dealer => cityKey(dealer.city) === key);
+    return (inCity.length > 0 ? inCity : dealers.filter(dealer => cityKey(dealer.state) === key)).slice(0, limit);
+  }
+
+  cities() {
+    return Array.from(new Set(this.dealers.map(dealer => dealer.city)));
+  }
+
+  // A bike by id or name; a partial name ("400") picks the closest model
+  findBike(model) {
+    const key = modelKey(model);
+    if (!key) return null;
+    const exact = this.bikes.find(bike => modelKey(bike.id) === key || modelKey(bike.name) === key);
+    if (exact) return exact;
+    return this.bikes
+      .filter(bike => modelKey(bike.name).includes(key))
+      .sort((a, b) => a.name.length - b.name.length)[0] || null;
+  }
+}
+
+module.exports = Catalog;
@@ -0,0 +1,258 @@
+const { v4: uuidv4 } = require('uuid');
+const ToolRegistry = require('../ToolRegistry');
+const Catalog = require('./Catalog');
+const BookingStore = require('./BookingStore');
+const { httpError } = require('../../utils/errors');
+
+// The Revolt assistant's tools: find a hub, get a bike's specifications,
+// book a test ride and check service slots. Hubs and bikes come from the
+// knowledge base JSON files; bookings from the BookingStore. Slots are on the
+// hour within a hub's opening hours, in Indian time.
+
+const TIMEZONE = 'Asia/Kolkata';
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const BOOKING_WINDOW_DAYS = 30;
+// Bookings a hub takes per hourly slot
+const SLOT_CAPACITY = { 'test-ride': 2, service: 3 };
+
+// Today's date (YYYY-MM-DD) and the current hour at the hubs
+const hubClock = (now = new Date()) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: parseInt(parts.hour) };
+};
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+
+const weekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// "10:00-19:00, Monday to Saturday" -> { open: 10, close: 19, days: [1, ..., 6] }
+const parseHours = (hours) => {
+  const match = /(\d{1,2}):\d{2}\s*-\s*(\d{1,2}):\d{2}(?:,\s*(\w+) to (\w+))?/i.exec(hours || '');
+  if (!match) return null;
+  const from = WEEKDAYS.indexOf((match[3] || 'monday').toLowerCase());
+  const to = WEEKDAYS.indexOf((match[4] || 'sunday').toLowerCase());
+  const days = [];
+  for (let day = from; days.length < 7; day = (day + 1) % 7) {
+    days.push(day);
+    if (day === to) break;
+  }
+  return { open: parseInt(match[1]), close: parseInt(match[2]), days };
+};
+
+const checkDate = (date) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || Number.isNaN(Date.parse(date)) || addDays(date, 0) !== date) {
+    throw httpError('date must be a calendar date as YYYY-MM-DD', 400);
+  }
+  const today = hubClock().date;
+  if (date < today) {
+    throw httpError(`${date} is in the past; today is ${today}`, 400);
+  }
+  if (date > addDays(today, BOOKING_WINDOW_DAYS)) {
+    throw httpError(`Bookings open up to ${BOOKING_WINDOW_DAYS} days ahead`, 400);
+  }
+  return date;
+};
+
+// "11" or "11:00" -> "11:00"
+const checkTime = (time) => {
+  const match = /^(\d{1,2})(?::(\d{2}))?$/.exec(String(time || '').trim());
+  if (!match || parseInt(match[1]) > 23) {
+    throw httpError('time must be HH:MM in 24-hour time', 400);
+  }
+  if (match[2] && match[2] !== '00') {
+    throw httpError('Slots start on the hour', 400);
+  }
+  return `${match[1].padStart(2, '0')}:00`;
+};
+
+const checkPhone = (phone) => {
+  const digits = String(phone || '').replace(/[\s-]/g, '').replace(/^(\+?91|0)(?=\d{10}$)/, '');
+  if (!/^[6-9]\d{9}$/.test(digits)) {
+    throw httpError('phone must be a 10-digit Indian mobile number', 400);
+  }
+  return digits;
+};
+
+// Added to the prompt; the date lets the model turn "tomorrow" into one
+const toolInstructions = () => {
+  const { date } = hubClock();
+  const day = WEEKDAYS[weekday(date)];
+  return `Use the functions to look up hubs and bike specifications, book test rides and check service slots instead of guessing. Ask for any details a booking still needs. Today is ${day.charAt(0).toUpperCase()}${day.slice(1)}, ${date} (India time).`;
+};
+
+const describeDealer = ({ id, name, address, city, pincode, hours, services }) => (
+  { id, name, address, city, pincode, hours, services }
+);
+
+const SERVICE_NAMES = { sales: 'sales', 'test-ride': 'test rides', service: 'servicing' };
+
+const createRevoltTools = (options = {}) => {
+  const catalog = options.catalog || new Catalog(options);
+  const bookings = options.bookings || new BookingStore(options);
+
+  const dealerFor = (id, service) => {
+    const dealer = catalog.getDealer(id);
+    if (!dealer) {
+      throw httpError(`Unknown dealerId: ${id}. Look the hub up with find_dealer first`, 400);
+    }
+    if (!(dealer.services || []).includes(service)) {
+      throw httpError(`${dealer.name} does not offer ${SERVICE_NAMES[service]}`, 400);
+    }
+    return dealer;
+  };
+
+  // Hourly slots a hub still has room in on date; none on days it is closed
+  const freeSlots = (dealer, date, type) => {
+    const hours = parseHours(dealer.hours);
+    if (!hours || !hours.days.includes(weekday(date))) return [];
+
+    const clock = hubClock();
+    const slots = [];
+    for (let hour = hours.open; hour < hours.close; hour += 1) {
+      if (date === clock.date && hour <= clock.hour) continue;
+      const time = `${String(hour).padStart(2, '0')}:00`;
+      if (bookings.find({ dealerId: dealer.id, type, date, time }).length < SLOT_CAPACITY[type]) {
+        slots.push(time);
+      }
+    }
+    return slots;
+  };
+
+  return new ToolRegistry({ instructions: toolInstructions })
+    .register({
+      name: 'find_dealer',
+      description: 'Find Revolt hubs (dealers and service centres) in a city, or the nearest ones to an Indian pincode. Use before booking to get the dealerId.',
+      parameters: {
+        type: 'OBJECT',
+        properties: {
+          city: { type: 'STRING', description: 'City or state name, e.g. "Pune"' },
+          pincode: { type: 'STRING', description: '6-digit Indian pincode' },
+          service: {
+            type: 'STRING',
+            enum: ['sales', 'test-ride', 'service'],
+            description: 'Only hubs offering this'
+          }
+        }
+      }
+    }, async ({ city, pincode, service }) => {
+      if (!city && !pincode) {
+        throw httpError('Give a city or a pincode', 400);
+      }
+      const dealers = catalog.findDealers({ city, pincode, service });
+      return dealers.length > 0
+        ? { dealers: dealers.map(describeDealer) }
+        : { dealers: [], citiesServed: catalog.cities() };
+    })
+    .register({
+      name: 'get_bike_spec',
+      description: 'Specifications, colours and indicative price of a Revolt motorcycle.',
+      parameters: {
+        type: 'OBJECT',
+        properties: {
+          model: { type: 'STRING', description: 'Model name, e.g. "RV400", "RV400 BRZ", "RV1+"' }
+        },
+        required: ['model']
+      }
+    }, async ({ model }) => {
+      const bike = catalog.findBike(model);
+      if (!bike) {
+        throw httpError(`Unknown model: ${model}. Revolt models: ${catalog.bikes.map(item => item.name).join(', ')}`, 400);
+      }
+      return { bike };
+    })
+    .register({
+      name: 'book_test_ride',
+      description: 'Book a test ride at a Revolt hub. Confirm the hub, model, date, time, name and phone number with the user before calling.',
+      parameters: {
+        type: 'OBJECT',
+        properties: {
+          dealerId: { type: 'STRING', description: 'Hub id from find_dealer' },
+          model: { type: 'STRING', description: 'Model to ride, e.g. "RV400"' },
+          date: { type: 'STRING', description: 'YYYY-MM-DD' },
+          time: { type: 'STRING', description: 'Start of the hourly slot, HH:MM in 24-hour time' },
+          name: { type: 'STRING', description: "Rider's name" },
+          phone: { type: 'STRING', description: "Rider's 10-digit mobile number" }
+        },
+        required: ['dealerId', 'model', 'date', 'time', 'name', 'phone']
+      }
+    }, async (args, context = {}) => {
+      const dealer = dealerFor(args.dealerId, 'test-ride');
+      const bike = catalog.findBike(args.model);
+      if (!bike) {
+        throw httpError(`Unknown model: ${args.model}`, 400);
+      }
+      const date = checkDate(args.date);
+      const time = checkTime(args.time);
+      const name = String(args.name || '').trim().slice(0, 60);
+      if (!name) {
+        throw httpError('name is required', 400);
+      }
+      const phone = checkPhone(args.phone);
+
+      const slots = freeSlots(dealer, date, 'test-ride');
+      if (!slots.includes(time)) {
+        throw httpError(slots.length > 0
+          ? `${time} on ${date} is not available at ${dealer.name}. Free slots: ${slots.join(', ')}`
+          : `${dealer.name} has no test ride slots on ${date} (open ${dealer.hours})`, 409);
+      }
+
+      const booking = bookings.add({
+        id: `TR-${uuidv4().slice(0, 8).toUpperCase()}`,
+        type: 'test-ride',
+        dealerId: dealer.id,
+        model: bike.id,
+        date,
+        time,
+        name,
+        phone,
+        sessionId: context.session?.id || null,
+        createdAt: Date.now()
+      });
+
+      // The phone number is masked: results are shown to everyone in the session
+      return {
+        booking: {
+          id: booking.id,
+          status: 'confirmed',
+          dealer: { id: dealer.id, name: dealer.name, address: dealer.address },
+          model: bike.name,
+          date,
+          time,
+          name,
+          phone: `******${phone.slice(-4)}`
+        }
+      };
+    })
+    .register({
+      name: 'check_service_slot',
+      description: 'Check free service slots at a Revolt service centre on a date, or whether one time is free.',
+      parameters: {
+        type: 'OBJECT',
+        properties: {
+          dealerId: { type: 'STRING', description: 'Hub id from find_dealer' },
+          date: { type: 'STRING', description: 'YYYY-MM-DD' },
+          time: { type: 'STRING', description: 'Optional HH:MM to check' }
+        },
+        required: ['dealerId', 'date']
+      }
+    }, async (args) => {
+      const dealer = dealerFor(args.dealerId, 'service');
+      const date = checkDate(args.date);
+      const slots = freeSlots(dealer, date, 'service');
+      const result = {
+        dealer: { id: dealer.id, name: dealer.name, hours: dealer.hours },
+        date,
+        slots
+      };
+      if (args.time) {
+        const time = checkTime(args.time);
+        result.time = time;
+        result.available = slots.includes(time);
+      }
+      return result;
+    });
+};
+
+module.exports = { createRevoltTools, Catalog, BookingStore };
@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const AudioProcessor = require('../services/AudioProcessor');
+const FixtureSttProvider = require('../services/stt/FixtureSttProvider');
+const { pcmToWav } = require('../utils/wav');
+
+const EBML = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+const CLUSTER = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+const opus = (length) => Buffer.alloc(length, 0x7b);
+
+// 16-bit mono PCM at 16 kHz of a 440 Hz tone
+const tone = (ms, amplitude) => {
+  const samples = ms * 16;
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 440 * i / 16000)), i * 2);
+  }
+  return pcm;
+};
+
+// Stands in for the ffmpeg StreamDecoder, recording what it is given
+const createProcessor = (sttProvider = new FixtureSttProvider()) => {
+  const processor = new AudioProcessor({ sttProvider });
+  processor.started = [];
+  processor.createDecoder = function (sessionId, format) {
+    const decoder = Object.assign(new EventEmitter(), { format, written: [] });
+    decoder.write = (chunk) => decoder.written.push(chunk);
+    decoder.close = () => this.decoders.delete(sessionId);
+    this.decoders.set(sessionId, decoder);
+    this.started.push(decoder);
+    return decoder;
+  };
+  return processor;
+};
+
+test('never treats Opus fragments as PCM once the decoder has exited', async () => {
+  const processor = createProcessor();
+  const frames = [];
+  processor.on('audio-frame', (frame) => frames.push(frame));
+
+  const header = Buffer.concat([EBML, opus(60), CLUSTER, opus(40)]);
+  assert.strictEqual((await processor.processAudioChunk(header, 's1')).format, 'webm');
+  await processor.processAudioChunk(opus(640), 's1');
+  assert.strictEqual(processor.started[0].written.length, 2);
+
+  // ffmpeg exited mid-stream
+  processor.decoders.get('s1').close();
+  const result = await processor.processAudioChunk(opus(640), 's1');
+  assert.strictEqual(result.format, 'webm');
+  assert.strictEqual(result.dropped, true);
+  assert.strictEqual(frames.length, 0);
+
+  // Resumed at the next cluster behind the saved header
+  const fragment = Buffer.concat([opus(20), CLUSTER, opus(30)]);
+  assert.strictEqual((await processor.processAudioChunk(fragment, 's1')).dropped, false);
+  assert.strictEqual(processor.started.length, 2);
+  assert.deepStrictEqual(processor.started[1].written, [Buffer.concat([EBML, opus(60), CLUSTER, opus(30)])]);
+  assert.strictEqual(frames.length, 0);
+  processor.closeStream('s1');
+});
+
+test('drops headerless Ogg fragments until a new header arrives', async () => {
+  const processor = createProcessor();
+  await processor.processAudioChunk(Buffer.concat([Buffer.from('OggS'), opus(100)]), 's2');
+  processor.decoders.get('s2').close();
+
+  assert.strictEqual((await processor.processAudioChunk(opus(640), 's2')).dropped, true);
+  assert.strictEqual(processor.started.length, 1);
+  processor.closeStream('s2');
+});
+
+test('frames raw PCM for the voice activity detector', async () => {
+  const processor = createProcessor();
+  const frames = [];
+  processor.on('audio-frame', (frame) => frames.push(frame));
+
+  const result = await processor.processAudioChunk(Buffer.alloc(640 * 3), 's3', { format: 'pcm' });
+  assert.strictEqual(result.format, 'pcm');
+  assert.strictEqual(frames.length, 3);
+  processor.closeStream('s3');
+});
+
+test('detects speech in streamed PCM and transcribes the utterance', async () => {
+  const utterance = tone(1200, 6000);
+  const wav = pcmToWav(utterance, 16000);
+  const processor = createProcessor(new FixtureSttProvider({
+    fixtures: { [FixtureSttProvider.hash(wav)]: 'What is the range of the RV400' }
+  }));
+  const events = [];
+  processor.on('speech-start', (event) => events.push(event));
+  processor.on('speech-end', (event) => events.push(event));
+
+  for (const chunk of [tone(500, 30), utterance, tone(1000, 30)]) {
+    await processor.processAudioChunk(chunk.toString('base64'), 's4', { format: 'pcm' });
+  }
+  assert.deepStrictEqual(events.map(event => [event.type, event.sessionId]), [['speech-start', 's4'], ['speech-end', 's4']]);
+  assert.strictEqual(events[1].durationMs, 1200);
+
+  const transcription = await processor.processAudio(wav, { language: 'en' });
+  assert.strictEqual(transcription.text, 'What is the range of the RV400');
+  assert.strictEqual(transcription.provider, 'fixture');
+  assert.strictEqual(transcription.words.length, 7);
+  assert.ok(Math.abs(transcription.words[6].end - 1.2) < 0.01);
+  processor.closeStream('s4');
+});
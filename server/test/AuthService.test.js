@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ArchiveService = require('../services/ArchiveService');
+const CacheService = require('../services/CacheService');
+const AuthService = require('../services/AuthService');
+const createAuthMiddleware = require('../middleware/auth');
+
+const createAuth = () => new AuthService(new CacheService({ store: 'memory' }), {
+  secret: 'test-secret',
+  adminUsers: 'root, Ops'
+});
+
+test('registers accounts as users and verifies their tokens', async () => {
+  const auth = createAuth();
+  const { token, user } = await auth.register({ username: 'Alice', password: 'password1' });
+  assert.strictEqual(user.username, 'alice');
+  assert.strictEqual(user.role, 'user');
+  assert.deepStrictEqual(auth.verifyToken(token), user);
+  assert.strictEqual(auth.verifyToken(`${token}x`), null);
+});
+
+test('rejects bad usernames, short passwords and taken names', async () => {
+  const auth = createAuth();
+  await auth.register({ username: 'alice', password: 'password1' });
+  await assert.rejects(auth.register({ username: 'a', password: 'password1' }), { status: 400 });
+  await assert.rejects(auth.register({ username: 'bob', password: 'short' }), { status: 400 });
+  await assert.rejects(auth.register({ username: 'ALICE', password: 'password1' }), { status: 409 });
+});
+
+test('never grants admin at sign-up, even for listed names', async () => {
+  const auth = createAuth();
+  await assert.rejects(auth.register({ username: 'root', password: 'password1' }), { status: 409 });
+  await assert.rejects(auth.register({ username: 'ops', password: 'password1' }), { status: 409 });
+});
+
+test('promotes a listed existing account when it signs in', async () => {
+  const cache = new CacheService({ store: 'memory' });
+  // Registered before the name was listed
+  await new AuthService(cache, { secret: 'test-secret' }).register({ username: 'ops', password: 'password1' });
+
+  const auth = new AuthService(cache, { secret: 'test-secret', adminUsers: 'ops' });
+  const { user } = await auth.login('ops', 'password1');
+  assert.strictEqual(user.role, 'admin');
+  assert.strictEqual((await auth.getUser('ops')).role, 'admin');
+  await assert.rejects(auth.login('ops', 'wrong-password'), { status: 401 });
+});
+
+test('accepts an access_token query parameter only on media downloads', async () => {
+  const auth = createAuth();
+  const { token } = await auth.register({ username: 'alice', password: 'password1' });
+  const { requireAuth } = createAuthMiddleware(auth, null);
+
+  const guard = (method, baseUrl, path) => {
+    const req = { method, baseUrl, path, headers: {}, query: { access_token: token } };
+    const res = { status: (code) => ({ json: () => { req.status = code; } }) };
+    requireAuth(req, res, () => { req.status = 200; });
+    return req.status;
+  };
+
+  assert.strictEqual(guard('GET', '/api/sessions', '/recording/rec-1/audio'), 200);
+  assert.strictEqual(guard('GET', '/api/sessions', '/recording/rec-1/captions'), 200);
+  assert.strictEqual(guard('GET', '/api/conversations', '/session-1/export'), 200);
+  assert.strictEqual(guard('GET', '/api/sessions', '/session-1'), 401);
+  assert.strictEqual(guard('DELETE', '/api/sessions', '/recording/rec-1/audio'), 401);
+});
+
+test('redacts access tokens from logged URLs', () => {
+  assert.strictEqual(
+    createAuthMiddleware.redactedUrl({ originalUrl: '/api/sessions/recording/r/audio?access_token=abc.def&t=1' }),
+    '/api/sessions/recording/r/audio?access_token=[redacted]&t=1'
+  );
+});
+
+test('keeps accounts in the archive across restarts', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+  const filePath = path.join(dir, 'archive.db');
+  const start = () => {
+    const archiveService = new ArchiveService({ driver: 'sqlite', filePath });
+    t.after(() => archiveService.close());
+    return new AuthService(new CacheService({ store: 'memory' }), { secret: 'test-secret', archiveService });
+  };
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await start().register({ username: 'alice', password: 'password1' });
+  const { user } = await start().login('alice', 'password1');
+  assert.strictEqual(user.username, 'alice');
+});
+
+test('lets only one of concurrent sign-ups for a name through', async () => {
+  const archiveService = new ArchiveService({ driver: 'sqlite', filePath: ':memory:' });
+  const stores = [
+    createAuth(),
+    new AuthService(new CacheService({ store: 'memory' }), { secret: 'test-secret', archiveService })
+  ];
+
+  for (const auth of stores) {
+    const results = await Promise.allSettled([1, 2, 3].map(() => auth.register({ username: 'alice', password: 'password1' })));
+    assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 1);
+    results.filter(result => result.status === 'rejected')
+      .forEach(result => assert.strictEqual(result.reason.status, 409));
+  }
+  await archiveService.close();
+});
+
+test('rejects credentials that are not strings with a 400', async () => {
+  const auth = createAuth();
+  await assert.rejects(auth.register({ username: 'alice', password: { length: 12 } }), { status: 400 });
+  await assert.rejects(auth.register({ username: ['alice'], password: 'password1' }), { status: 400 });
+  await assert.rejects(auth.register({ username: 'alice', password: 'password1', displayName: 7 }), { status: 400 });
+  await assert.rejects(auth.login('alice', { $ne: '' }), { status: 400 });
+});
@@ -0,0 +1,180 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { WebSocketServer } = require('ws');
+const GeminiLiveService = require('../services/GeminiLiveService');
+const ToolRegistry = require('../services/ToolRegistry');
+
+// Local stand-in for the BidiGenerateContent endpoint: answers setup and
+// records what it receives. refuse makes it drop new connections at once.
+let server;
+let connections;
+let received;
+let refuse;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createService = (options = {}) => new GeminiLiveService(null, {
+  url: `ws://127.0.0.1:${server.address().port}`,
+  apiKey: 'test',
+  setupTimeout: 500,
+  reconnectDelay: 5,
+  maxReconnectAttempts: 3,
+  ...options
+});
+
+beforeEach(async () => {
+  connections = 0;
+  received = [];
+  refuse = false;
+  server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  server.on('connection', (ws) => {
+    connections += 1;
+    if (refuse) {
+      ws.close();
+      return;
+    }
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      received.push(message);
+      if (message.setup) ws.send(JSON.stringify({ setupComplete: {} }));
+    });
+  });
+  await once(server, 'listening');
+});
+
+afterEach(async () => {
+  server.clients.forEach(ws => ws.terminate());
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('opens a session with the model and system instruction', async () => {
+  const live = createService({ model: 'test-model' });
+  assert.strictEqual(await live.openSession('s1', 'Be brief.'), true);
+  assert.ok(live.isOpen('s1'));
+
+  const { setup } = received[0];
+  assert.strictEqual(setup.model, 'models/test-model');
+  assert.strictEqual(setup.systemInstruction.parts[0].text, 'Be brief.');
+  await live.closeSession('s1');
+});
+
+test('forwards audio and emits the completed turn', async () => {
+  const live = createService();
+  await live.openSession('s1');
+  assert.strictEqual(await live.sendAudioChunk({ id: 's1', language: 'en', voice: 'male' }, 'AAAA'), true);
+  await wait(20);
+  assert.deepStrictEqual(received[1].realtimeInput.audio, { data: 'AAAA', mimeType: 'audio/pcm;rate=16000' });
+
+  const response = once(live, 'response');
+  const [ws] = server.clients;
+  ws.send(JSON.stringify({ serverContent: { inputTranscription: { text: 'range of the RV400?' } } }));
+  ws.send(JSON.stringify({ serverContent: { outputTranscription: { text: 'Up to 150 km.' }, turnComplete: true } }));
+  const [payload] = await response;
+  assert.strictEqual(payload.text, 'Up to 150 km.');
+  assert.strictEqual(payload.transcript, 'range of the RV400?');
+  assert.strictEqual(payload.language, 'en');
+  await live.closeSession('s1');
+});
+
+test('reconnects a dropped socket once at a time with a bounded number of attempts', async () => {
+  const live = createService();
+  await live.openSession('s1');
+  refuse = true;
+  server.clients.forEach(ws => ws.close());
+  await wait(20);
+
+  for (let frame = 0; frame < 50; frame += 1) {
+    assert.strictEqual(await live.sendAudioChunk({ id: 's1' }, 'AAAA'), false);
+    await wait(2);
+  }
+  await wait(100);
+
+  // The first connection plus maxReconnectAttempts, not one per frame
+  assert.strictEqual(connections, 4);
+  await live.closeSession('s1');
+});
+
+test('resumes forwarding audio once a reconnect succeeds', async () => {
+  const live = createService();
+  await live.openSession('s1');
+  server.clients.forEach(ws => ws.close());
+  await wait(20);
+
+  assert.strictEqual(await live.sendAudioChunk({ id: 's1' }, 'AAAA'), false);
+  await live.sessions.get('s1').reconnecting;
+  assert.strictEqual(await live.sendAudioChunk({ id: 's1' }, 'BBBB'), true);
+  assert.strictEqual(connections, 2);
+  assert.strictEqual(live.sessions.get('s1').reconnectAttempts, 0);
+  await live.closeSession('s1');
+});
+
+test('does not connect when disabled', async () => {
+  const live = createService({ enabled: false });
+  assert.strictEqual(await live.openSession('s1'), false);
+  assert.strictEqual(await live.sendAudioChunk({ id: 's1' }, 'AAAA'), false);
+  assert.strictEqual(connections, 0);
+});
+
+test('declares the tools and answers a tool call with a tool response', async () => {
+  const tools = new ToolRegistry().register({
+    name: 'find_hub',
+    description: 'Nearest hub for a city',
+    parameters: { type: 'OBJECT', properties: { city: { type: 'STRING' } }, required: ['city'] }
+  }, async ({ city }, { session }) => ({ hub: `${city} Central`, sessionId: session.id }));
+  const live = createService({ tools });
+  await live.openSession('s1');
+  assert.deepStrictEqual(received[0].setup.tools, [{ functionDeclarations: tools.declarations() }]);
+  await live.sendAudioChunk({ id: 's1' }, 'AAAA');
+
+  const calls = [];
+  live.on('tool-call', call => calls.push(call));
+  const [ws] = server.clients;
+  const answered = new Promise(resolve => ws.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    if (message.toolResponse) resolve(message.toolResponse);
+  }));
+  ws.send(JSON.stringify({ toolCall: { functionCalls: [{ id: 'call-1', name: 'find_hub', args: { city: 'Pune' } }] } }));
+
+  assert.deepStrictEqual(await answered, {
+    functionResponses: [{ id: 'call-1', name: 'find_hub', response: { hub: 'Pune Central', sessionId: 's1' } }]
+  });
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].sessionId, 's1');
+  assert.strictEqual(calls[0].status, 'ok');
+
+  const response = once(live, 'response');
+  ws.send(JSON.stringify({ serverContent: { outputTranscription: { text: 'The Pune Central hub.' }, turnComplete: true } }));
+  const [payload] = await response;
+  assert.deepStrictEqual(payload.toolCalls.map(call => call.name), ['find_hub']);
+  await live.closeSession('s1');
+});
+
+test('ignores the rest of an interrupted reply until upstream closes it', async () => {
+  const live = createService();
+  await live.openSession('s1');
+  await live.sendAudioChunk({ id: 's1' }, 'AAAA');
+  const chunks = [];
+  const responses = [];
+  live.on('response-chunk', chunk => chunks.push(chunk.text));
+  live.on('response', response => responses.push(response));
+  const [ws] = server.clients;
+
+  ws.send(JSON.stringify({ serverContent: { outputTranscription: { text: 'The RV400 has' } } }));
+  await wait(20);
+  live.interrupt('s1');
+  ws.send(JSON.stringify({ serverContent: { outputTranscription: { text: ' a range of' } } }));
+  ws.send(JSON.stringify({ serverContent: { inputTranscription: { text: 'what about the price?' } } }));
+  ws.send(JSON.stringify({ serverContent: { outputTranscription: { text: ' 150 km.' }, turnComplete: true } }));
+  await wait(20);
+  assert.deepStrictEqual(chunks, ['The RV400 has']);
+  assert.strictEqual(responses.length, 0);
+  assert.strictEqual(live.isResponding('s1'), false);
+
+  ws.send(JSON.stringify({ serverContent: { outputTranscription: { text: 'It starts at 1.2 lakh.' }, turnComplete: true } }));
+  await wait(20);
+  assert.strictEqual(responses.length, 1);
+  assert.strictEqual(responses[0].text, 'It starts at 1.2 lakh.');
+  assert.strictEqual(responses[0].transcript, 'what about the price?');
+  await live.closeSession('s1');
+});
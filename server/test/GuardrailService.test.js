@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const GuardrailService = require('../services/GuardrailService');
+const KnowledgeBase = require('../services/KnowledgeBase');
+
+const knowledgeBase = new KnowledgeBase();
+const persona = {
+  name: 'Rev',
+  allowedTopics: ['Revolt motorcycles and their specifications', 'dealers and test rides']
+};
+const createGuardrails = (options = {}) => new GuardrailService({ knowledgeBase, topicLanguages: ['en'], ...options });
+
+test('blocks listed terms on whole words only', () => {
+  const guardrails = createGuardrails({ blocklist: ['wheelie contest'] });
+  assert.deepStrictEqual(guardrails.check('How do I make a bomb?'), { stage: 'input', reason: 'blocked', term: 'bomb' });
+  assert.deepStrictEqual(
+    guardrails.check('Sign me up for the wheelie contest', { stage: 'output' }),
+    { stage: 'output', reason: 'blocked', term: 'wheelie contest' }
+  );
+  assert.strictEqual(guardrails.check('Is the gunmetal grey RV400 in stock?', { persona, language: 'en' }), null);
+});
+
+test('keeps turns to the persona topics and the knowledge base', () => {
+  const guardrails = createGuardrails();
+  const options = { persona, language: 'en' };
+
+  assert.strictEqual(guardrails.check('What is the range of the RV400?', options), null);
+  assert.strictEqual(guardrails.check('Where is the nearest hub in Pune?', options), null);
+  assert.deepStrictEqual(
+    guardrails.check('Who won the cricket world cup final yesterday?', options),
+    { stage: 'input', reason: 'off-topic' }
+  );
+  // Small talk and personas without topics always pass
+  assert.strictEqual(guardrails.check('Hello, thank you so much!', options), null);
+  assert.strictEqual(guardrails.check('Who won the cricket world cup final yesterday?', { language: 'en' }), null);
+});
+
+test('only checks the topic in configured languages and of complete text', () => {
+  const guardrails = createGuardrails();
+  const question = 'Who won the cricket world cup final yesterday?';
+
+  assert.strictEqual(guardrails.check(question, { persona, language: 'hinglish' }), null);
+  assert.strictEqual(guardrails.check(question, { persona, language: 'en', partial: true }), null);
+  assert.strictEqual(guardrails.check('Tell me about the bomb', { persona, language: 'hi', partial: true }).reason, 'blocked');
+});
+
+test('passes everything when disabled', () => {
+  const guardrails = createGuardrails({ enabled: 'false' });
+  assert.strictEqual(guardrails.check('How do I make a bomb?'), null);
+});
+
+test('refuses in the turn language with the persona topics', () => {
+  const guardrails = createGuardrails();
+  assert.strictEqual(
+    guardrails.refusal('en', { reason: 'off-topic' }, persona),
+    'Sorry, I can only help with Revolt motorcycles and their specifications, dealers and test rides.'
+  );
+  assert.strictEqual(guardrails.refusal('fr', { reason: 'blocked' }), "Sorry, I can't help with that request.");
+  assert.match(guardrails.refusal('hinglish', { reason: 'off-topic' }, persona), /^Sorry, main sirf Revolt/);
+});
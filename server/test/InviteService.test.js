@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CacheService = require('../services/CacheService');
+const SessionManager = require('../services/SessionManager');
+const InviteService = require('../services/InviteService');
+
+const owner = { id: 'owner', username: 'owner', role: 'user' };
+const guest = (n) => ({ id: `guest-${n}`, username: `guest${n}`, role: 'user' });
+
+const setup = async () => {
+  const cache = new CacheService({ store: 'memory' });
+  const sessionManager = new SessionManager(cache);
+  const invites = new InviteService(cache, sessionManager, { secret: 'test-secret' });
+  const session = await sessionManager.createSession({ ownerId: owner.id });
+  return { cache, sessionManager, invites, session };
+};
+
+test('concurrent redemptions never exceed the use limit', async () => {
+  const { invites, session } = await setup();
+  const { token } = await invites.create(session, owner, { maxUses: 2 });
+
+  const results = await Promise.allSettled([1, 2, 3, 4, 5].map(n => invites.redeem(token, guest(n))));
+  assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 2);
+  results.filter(result => result.status === 'rejected')
+    .forEach(result => assert.strictEqual(result.reason.status, 410));
+  await assert.rejects(invites.preview(token), { status: 410 });
+});
+
+test('members rejoining do not use up the invite', async () => {
+  const { invites, session } = await setup();
+  const { token } = await invites.create(session, owner, { maxUses: 2 });
+
+  await invites.redeem(token, owner);
+  assert.strictEqual((await invites.preview(token)).remainingUses, 2);
+  await invites.redeem(token, guest(1));
+  await invites.redeem(token, guest(1));
+  assert.strictEqual((await invites.preview(token)).remainingUses, 1);
+  await invites.redeem(token, guest(2));
+  await assert.rejects(invites.redeem(token, guest(3)), { status: 410 });
+});
+
+test('rejects tampered tokens and invites to ended sessions', async () => {
+  const { invites, sessionManager, session } = await setup();
+  const { token } = await invites.create(session, owner, { role: 'observer' });
+
+  await assert.rejects(invites.redeem(`${token}x`, guest(1)), { status: 400, message: 'Invalid invite' });
+  await assert.rejects(invites.create(session, owner, { role: 'captain' }), { status: 400 });
+
+  await sessionManager.endSession(session.id);
+  await assert.rejects(invites.redeem(token, guest(1)), { status: 410 });
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RecordingService = require('../services/RecordingService');
+const { parseWav } = require('../utils/wav');
+
+const tone = (samples, value) => {
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) pcm.writeInt16LE(value, i * 2);
+  return pcm;
+};
+
+const setup = (t, options = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new RecordingService({ dir, sampleRate: 1000, ...options });
+};
+
+test('sources are mixed with clipping from the capture file', async (t) => {
+  const service = setup(t);
+  const capture = service.open('rec-1', 0);
+  capture.add(0, { type: 'audio', source: 'user', pcm: tone(15000, 20000) });
+  capture.add(5000, { type: 'audio', source: 'ai', pcm: tone(15000, 20000), text: 'Hello', language: 'en' });
+
+  const saved = await service.save('rec-1', capture);
+  const wav = parseWav(fs.readFileSync(path.join(service.dir, saved.audioFile)));
+
+  assert.strictEqual(saved.audioDuration, 20000);
+  assert.strictEqual(wav.pcm.length, 20000 * 2);
+  assert.strictEqual(wav.pcm.readInt16LE(4999 * 2), 20000);
+  assert.strictEqual(wav.pcm.readInt16LE(5000 * 2), 32767);
+  assert.strictEqual(wav.pcm.readInt16LE(15000 * 2), 20000);
+  assert.deepStrictEqual(saved.cues, [{ start: 5000, end: 20000, speaker: 'ai', text: 'Hello', language: 'en' }]);
+  assert.deepStrictEqual(fs.readdirSync(service.dir), ['rec-1.wav']);
+});
+
+test('the capture refuses audio past the maximum duration', async (t) => {
+  const service = setup(t, { maxDurationMs: 3000 });
+  const capture = service.open('rec-2', 0);
+
+  assert.strictEqual(capture.add(0, { type: 'audio', source: 'user', pcm: tone(4000, 100) }), true);
+  assert.strictEqual(capture.add(3000, { type: 'audio', source: 'user', pcm: tone(100, 100) }), false);
+
+  const saved = await service.save('rec-2', capture);
+  assert.strictEqual(saved.audioDuration, 3000);
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CacheService = require('../services/CacheService');
+const RecordingService = require('../services/RecordingService');
+const SessionManager = require('../services/SessionManager');
+
+const setup = async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  const cache = new CacheService({ store: 'memory' });
+  const sessionManager = new SessionManager(cache, { recordingService: new RecordingService({ dir }) });
+  const session = await sessionManager.createSession();
+  await sessionManager.joinSession(session.id, 'socket-1');
+  return { dir, cache, sessionManager, session };
+};
+
+test('ending a session saves the recording still running', async (t) => {
+  const { dir, cache, sessionManager, session } = await setup();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await sessionManager.startRecording(session.id);
+  await sessionManager.addRecordingData(session.id, { type: 'audio', source: 'user', pcm: Buffer.alloc(3200) });
+  const states = [];
+  sessionManager.on('state-change', change => states.push(change.state));
+
+  await sessionManager.leaveSession(session.id, 'socket-1');
+
+  assert.deepStrictEqual(states.slice(-1), ['ended']);
+  assert.strictEqual(sessionManager.isRecording(session.id), false);
+  const files = fs.readdirSync(dir);
+  assert.strictEqual(files.length, 1);
+  const recording = await cache.get(`recording:${path.basename(files[0], '.wav')}`);
+  assert.strictEqual(recording.sessionId, session.id);
+});
+
+test('a recording session cannot move straight to ended', async () => {
+  const { sessionManager, session } = await setup();
+  const recording = await sessionManager.startRecording(session.id);
+
+  assert.throws(() => sessionManager.transition(recording, 'ended'), { status: 409 });
+});
+
+test('a recording stops and saves itself at its maximum duration', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const sessionManager = new SessionManager(new CacheService({ store: 'memory' }), {
+    recordingService: new RecordingService({ dir, maxDurationMs: 1000 })
+  });
+  const session = await sessionManager.createSession();
+  await sessionManager.joinSession(session.id, 'socket-1');
+  const { recordingStartTime } = await sessionManager.startRecording(session.id);
+  const stopped = [];
+  sessionManager.on('recording-limit', event => stopped.push(event));
+
+  await sessionManager.addRecordingData(session.id, { type: 'audio', source: 'user', pcm: Buffer.alloc(3200) }, recordingStartTime);
+  await sessionManager.addRecordingData(session.id, { type: 'audio', source: 'user', pcm: Buffer.alloc(3200) }, recordingStartTime + 1000);
+  await sessionManager.addRecordingData(session.id, { type: 'audio', source: 'user', pcm: Buffer.alloc(3200) }, recordingStartTime + 1100);
+
+  assert.strictEqual(stopped.length, 1);
+  assert.strictEqual(stopped[0].recording.audioDuration, 100);
+  assert.strictEqual(sessionManager.isRecording(session.id), false);
+  assert.strictEqual((await sessionManager.getSession(session.id)).state, 'active');
+});
+
+test('nodes sharing a store list and clean up from the stored copy', async () => {
+  const cache = new CacheService({ store: 'memory' });
+  const owner = new SessionManager(cache, { shared: true });
+  const other = new SessionManager(cache, { shared: true, claimOwnership: async () => false });
+  const ended = await owner.createSession();
+  const quiet = await owner.createSession();
+  await other.getSession(ended.id);
+  await other.getSession(quiet.id);
+
+  await owner.endSession(ended.id);
+  const stored = await cache.getSession(quiet.id);
+  stored.lastActivity = Date.now() - 60 * 60 * 1000;
+  await cache.setSession(quiet.id, stored);
+
+  assert.deepStrictEqual((await other.getAllSessions()).map(session => session.id), [quiet.id]);
+  assert.deepStrictEqual(await other.cleanupInactiveSessions(), { checked: 1, ended: 0 });
+  assert.deepStrictEqual(await owner.cleanupInactiveSessions(), { checked: 1, ended: 1 });
+  assert.deepStrictEqual(await other.getAllSessions(), []);
+});
+
+test('cleanup leaves quiet sessions with someone connected or recording', async () => {
+  const cache = new CacheService({ store: 'memory' });
+  const sessionManager = new SessionManager(cache);
+  const connected = await sessionManager.createSession();
+  const recording = await sessionManager.createSession();
+  const abandoned = await sessionManager.createSession();
+  await sessionManager.joinSession(connected.id, 'socket-1');
+  await sessionManager.joinSession(recording.id, 'socket-2');
+  await sessionManager.joinSession(abandoned.id, 'socket-3');
+  await sessionManager.startRecording(recording.id);
+  recording.participants[0].disconnectedAt = Date.now();
+  abandoned.participants[0].disconnectedAt = Date.now();
+  for (const session of [connected, recording, abandoned]) {
+    (await sessionManager.getSession(session.id)).lastActivity = Date.now() - 60 * 60 * 1000;
+  }
+
+  assert.deepStrictEqual(await sessionManager.cleanupInactiveSessions(), { checked: 3, ended: 1 });
+  assert.strictEqual(await sessionManager.getSession(abandoned.id), null);
+  assert.ok(await sessionManager.getSession(connected.id));
+  assert.ok(await sessionManager.getSession(recording.id));
+});
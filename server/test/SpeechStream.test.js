@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SpeechStream = require('../services/SpeechStream');
+const ListenerStream = require('../services/ListenerStream');
+
+// TTS stand-in: the audio is the sentence itself, and sentences containing
+// "fail" are rejected
+const createTts = () => ({
+  getLanguageCode: (language) => language || 'en-IN',
+  synthesize: async (text) => {
+    if (text.includes('fail')) throw new Error('TTS unavailable');
+    return Buffer.from(text);
+  }
+});
+
+const collect = (stream, event = 'audio') => {
+  const chunks = [];
+  stream.on(event, (chunk) => chunks.push(chunk));
+  return chunks;
+};
+
+test('emits clips in sentence order however synthesis finishes', async () => {
+  const tts = createTts();
+  const synthesize = tts.synthesize;
+  // Earlier sentences take longer
+  tts.synthesize = async (text) => {
+    await new Promise(resolve => setTimeout(resolve, text.startsWith('First') ? 30 : 5));
+    return synthesize(text);
+  };
+  const stream = new SpeechStream(tts, { responseId: 'r0' });
+  const audio = collect(stream);
+
+  stream.push('First of all, hello there. Second, the RV400 ');
+  stream.push('goes 150 km.');
+  await stream.end();
+
+  assert.deepStrictEqual(audio.map(chunk => [chunk.index, chunk.text]), [
+    [0, 'First of all, hello there.'],
+    [1, 'Second, the RV400 goes 150 km.']
+  ]);
+  assert.strictEqual(Buffer.from(audio[1].audio, 'base64').toString(), 'Second, the RV400 goes 150 km.');
+});
+
+test('emits nothing more once cancelled', async () => {
+  const stream = new SpeechStream(createTts(), { responseId: 'r3' });
+  const audio = collect(stream);
+  const ends = collect(stream, 'end');
+
+  stream.push('This sentence is already on its way. ');
+  stream.cancel();
+  stream.push('This one is never spoken. ');
+  await stream.end();
+
+  assert.deepStrictEqual(audio, []);
+  assert.deepStrictEqual(ends, []);
+});
+
+test('numbers clips after the sentences that failed to synthesize', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const stream = new SpeechStream(createTts(), { responseId: 'r1' });
+  const audio = collect(stream);
+  const ends = collect(stream, 'end');
+
+  stream.push('The first sentence is fine. This one will fail to speak. ');
+  stream.push('The last one is fine too.');
+  await stream.end();
+
+  assert.deepStrictEqual(audio.map(chunk => chunk.index), [0, 1]);
+  assert.deepStrictEqual(audio.map(chunk => chunk.text), ['The first sentence is fine.', 'The last one is fine too.']);
+  assert.deepStrictEqual(ends, [{ responseId: 'r1', chunks: 2 }]);
+});
+
+test('listener groups report only the clips they received', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const stream = new ListenerStream({
+    responseId: 'r2',
+    language: 'hi',
+    sourceLanguage: 'en',
+    ttsService: createTts(),
+    translate: async (text) => text
+  });
+  const audio = collect(stream);
+  const ends = collect(stream, 'audio-end');
+
+  stream.push('Please fail here. Then carry on speaking.');
+  await stream.end();
+  await stream.speech.chain;
+
+  assert.deepStrictEqual(audio.map(chunk => chunk.index), [0]);
+  assert.deepStrictEqual(ends, [{ responseId: 'r2', chunks: 1 }]);
+});
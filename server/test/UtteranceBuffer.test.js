@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const UtteranceBuffer = require('../services/UtteranceBuffer');
+
+// 20 ms frames at 16 kHz, filled with their sequence number
+const frame = (n) => Buffer.alloc(640, n);
+const frameNumbers = (audio) => Array.from({ length: audio.length / 640 }, (_, i) => audio[i * 640]);
+
+test('keeps only the pre-roll between turns', () => {
+  const buffer = new UtteranceBuffer({ preRollMs: 60 });
+  for (let n = 1; n <= 500; n++) buffer.push(frame(n % 256));
+
+  assert.strictEqual(buffer.bytes, 3 * 640);
+  assert.strictEqual(buffer.take(), null);
+});
+
+test('opens an utterance with the pre-roll and resets after it is taken', () => {
+  const buffer = new UtteranceBuffer({ preRollMs: 40 });
+  [1, 2, 3].forEach(n => buffer.push(frame(n)));
+  buffer.start();
+  [4, 5].forEach(n => buffer.push(frame(n)));
+
+  assert.deepStrictEqual(frameNumbers(buffer.take()), [2, 3, 4, 5]);
+  [6, 7, 8].forEach(n => buffer.push(frame(n)));
+  assert.strictEqual(buffer.take(), null);
+  assert.strictEqual(buffer.bytes, 0);
+});
+
+test('caps an utterance at maxMs', () => {
+  const buffer = new UtteranceBuffer({ preRollMs: 0, maxMs: 100 });
+  buffer.start();
+  for (let n = 1; n <= 10; n++) buffer.push(frame(n));
+
+  assert.strictEqual(buffer.truncated, true);
+  assert.deepStrictEqual(frameNumbers(buffer.take()), [1, 2, 3, 4, 5]);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const VoiceActivityDetector = require('../services/VoiceActivityDetector');
+
+const SAMPLE_RATE = 16000;
+
+// 16-bit mono PCM of a 440 Hz tone (amplitude 0 is silence)
+const tone = (ms, amplitude) => {
+  const samples = Math.round(SAMPLE_RATE * ms / 1000);
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE)), i * 2);
+  }
+  return pcm;
+};
+
+const run = (detector, ...chunks) => chunks.flatMap(chunk => detector.process(chunk));
+
+test('detects an utterance between quiet stretches', (t) => {
+  const detector = new VoiceActivityDetector({ sampleRate: SAMPLE_RATE });
+  t.after(() => detector.destroy());
+
+  // Odd chunk sizes: results depend on the samples, not on the chunking
+  const stream = Buffer.concat([tone(1000, 30), tone(1500, 6000), tone(1000, 30)]);
+  const events = [];
+  for (let offset = 0; offset < stream.length; offset += 333) {
+    events.push(...detector.process(stream.subarray(offset, offset + 333)));
+  }
+
+  assert.deepStrictEqual(events.map(event => event.type), ['speech-start', 'speech-end']);
+  assert.strictEqual(events[0].streamTimeMs, 1000);
+  assert.strictEqual(events[1].reason, 'silence');
+  assert.strictEqual(events[1].durationMs, 1500);
+});
+
+test('ignores clicks shorter than minSpeechMs', (t) => {
+  const detector = new VoiceActivityDetector({ sampleRate: SAMPLE_RATE });
+  t.after(() => detector.destroy());
+
+  const clicks = [];
+  for (let i = 0; i < 10; i++) clicks.push(tone(500, 30), tone(60, 8000));
+  assert.deepStrictEqual(run(detector, ...clicks), []);
+});
+
+test('ends an open utterance when the stream stops', async (t) => {
+  const detector = new VoiceActivityDetector({ sampleRate: SAMPLE_RATE, idleTimeoutMs: 20 });
+  t.after(() => detector.destroy());
+
+  const ended = new Promise(resolve => detector.once('speech-end', resolve));
+  run(detector, tone(500, 30), tone(500, 6000));
+  assert.strictEqual(detector.speaking, true);
+  assert.strictEqual((await ended).reason, 'idle');
+});
+
+test('absorbs steady noise that starts while the floor is low', (t) => {
+  const detector = new VoiceActivityDetector({ sampleRate: SAMPLE_RATE });
+  t.after(() => detector.destroy());
+
+  const events = run(detector, tone(1000, 30), tone(15000, 1500));
+  assert.deepStrictEqual(events.map(event => event.type), ['speech-start', 'speech-end']);
+  assert.strictEqual(events[1].reason, 'silence');
+  assert.strictEqual(detector.speaking, false);
+});
+
+test('cuts utterances at maxSpeechMs and carries on in a new one', (t) => {
+  const detector = new VoiceActivityDetector({ sampleRate: SAMPLE_RATE, maxSpeechMs: 2000 });
+  t.after(() => detector.destroy());
+
+  const events = run(detector, tone(500, 30), tone(2500, 8000));
+  assert.deepStrictEqual(events.map(event => event.type), ['speech-start', 'speech-end', 'speech-start']);
+  assert.strictEqual(events[1].reason, 'max-length');
+  assert.ok(events[1].durationMs >= 1900 && events[1].durationMs <= 2100);
+});
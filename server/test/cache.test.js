@@ -0,0 +1,92 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryStore = require('../services/cache/MemoryStore');
+const FileStore = require('../services/cache/FileStore');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('expires keys after their ttl', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+  const store = new MemoryStore();
+
+  await store.set('short', 'a', 10);
+  await store.set('forever', 'b');
+  t.mock.timers.tick(9000);
+  assert.strictEqual(await store.get('short'), 'a');
+  assert.strictEqual(await store.expire('forever', 5), true);
+
+  t.mock.timers.tick(6000);
+  assert.strictEqual(await store.get('short'), null);
+  assert.strictEqual(await store.exists('forever'), false);
+  assert.strictEqual(await store.expire('short', 5), false);
+});
+
+test('increments counters atomically, from zero, keeping their ttl', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+  const store = new MemoryStore();
+
+  const counts = await Promise.all([1, 2, 3, 4, 5].map(() => store.incr('uses')));
+  assert.deepStrictEqual(counts.sort(), [1, 2, 3, 4, 5]);
+  assert.strictEqual(await store.get('uses'), '5');
+
+  await store.expire('uses', 10);
+  assert.strictEqual(await store.incr('uses'), 6);
+  t.mock.timers.tick(11000);
+  assert.strictEqual(await store.incr('uses'), 1);
+
+  await store.set('name', '"alice"');
+  await assert.rejects(store.incr('name'), /not an integer/);
+  await store.rPush('list', 'x');
+  await assert.rejects(store.incr('list'), /WRONGTYPE/);
+});
+
+test('keeps hashes, lists and scans like Redis', async () => {
+  const store = new MemoryStore();
+  await store.hSet('user:1', 'name', 'alice');
+  assert.deepStrictEqual(await store.hGetAll('user:1'), { name: 'alice' });
+
+  for (const item of ['a', 'b', 'c', 'd']) await store.rPush('list', item);
+  await store.lTrim('list', -3, -1);
+  assert.deepStrictEqual(await store.lRange('list', 0, -1), ['b', 'c', 'd']);
+
+  const keys = [];
+  for await (const key of store.scan('user:*')) keys.push(key);
+  assert.deepStrictEqual(keys, ['user:1']);
+});
+
+test('file store snapshots survive a restart', async () => {
+  const filePath = path.join(tempDir, 'cache.json');
+  const store = new FileStore({ filePath });
+  await store.connect();
+  await store.set('session:1', '{"id":"1"}', 3600);
+  await store.set('gone', 'x', 1);
+  await store.incr('invite-uses:1');
+  await store.rPush('history:1', '{"n":1}');
+  await store.hSet('user:1', 'name', 'alice');
+  await store.expire('gone', -1);
+  await store.disconnect();
+
+  const restarted = new FileStore({ filePath });
+  await restarted.connect();
+  assert.strictEqual(await restarted.get('session:1'), '{"id":"1"}');
+  assert.strictEqual(await restarted.get('gone'), null);
+  assert.strictEqual(await restarted.incr('invite-uses:1'), 2);
+  assert.deepStrictEqual(await restarted.lRange('history:1', 0, -1), ['{"n":1}']);
+  assert.strictEqual(await restarted.hGet('user:1', 'name'), 'alice');
+  await restarted.disconnect();
+});
+
+test('file store ignores a corrupt snapshot', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const filePath = path.join(tempDir, 'corrupt.json');
+  fs.writeFileSync(filePath, '{ not json');
+
+  const store = new FileStore({ filePath });
+  await store.connect();
+  assert.strictEqual(await store.get('anything'), null);
+  await store.disconnect();
+});
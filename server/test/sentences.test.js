@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SentenceSplitter, splitSentences } = require('../utils/sentences');
+
+test('emits sentences once whitespace follows their terminator', () => {
+  const splitter = new SentenceSplitter();
+  assert.deepStrictEqual(splitter.push('The RV400 has a 3.'), []);
+  assert.deepStrictEqual(splitter.push('24 kWh battery. It char'), ['The RV400 has a 3.24 kWh battery.']);
+  assert.deepStrictEqual(splitter.push('ges in about four hours! Any'), ['It charges in about four hours!']);
+  assert.deepStrictEqual(splitter.flush(), ['Any']);
+  assert.deepStrictEqual(splitter.flush(), []);
+});
+
+test('joins short fragments to the next sentence', () => {
+  assert.deepStrictEqual(
+    splitSentences('Yes. Sure thing. The RV400 is our best seller.'),
+    ['Yes. Sure thing.', 'The RV400 is our best seller.']
+  );
+});
+
+test('keeps closing quotes and the Devanagari danda with their sentence', () => {
+  assert.deepStrictEqual(
+    splitSentences('He said "ride it today." यह बाइक बहुत अच्छी है। Thank you very much'),
+    ['He said "ride it today."', 'यह बाइक बहुत अच्छी है।', 'Thank you very much']
+  );
+});
+
+test('cuts run-on text at a word boundary', () => {
+  const splitter = new SentenceSplitter({ maxLength: 20 });
+  const sentences = splitter.push('one two three four five six seven eight nine ten');
+  assert.ok(sentences.length >= 2);
+  sentences.forEach(sentence => assert.ok(sentence.length <= 20, sentence));
+  assert.strictEqual([...sentences, ...splitter.flush()].join(' '), 'one two three four five six seven eight nine ten');
+});
@@ -0,0 +1,69 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRevoltTools } = require('../services/tools');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'revolt-tools-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const createTools = (name) => createRevoltTools({ filePath: path.join(tempDir, `${name}.json`) });
+
+// Dates at the hubs, which run on Indian time
+const hubDate = (days) => new Date(Date.now() + 5.5 * 3600000 + days * 86400000).toISOString().slice(0, 10);
+const nextDate = (from, test) => {
+  for (let days = from; ; days += 1) {
+    if (test(new Date(`${hubDate(days)}T00:00:00Z`).getUTCDay())) return hubDate(days);
+  }
+};
+// Okhla is open 10:00-19:00, Monday to Saturday
+const openDay = nextDate(2, day => day !== 0);
+const sunday = nextDate(2, day => day === 0);
+
+const serviceSlots = (tools, args) => tools.execute('check_service_slot', { dealerId: 'del-okhla', ...args });
+
+test('checkDate accepts calendar dates within the booking window', async () => {
+  const tools = createTools('dates');
+  const errors = {
+    '2024-02-30': 'date must be a calendar date as YYYY-MM-DD',
+    '12/05/2030': 'date must be a calendar date as YYYY-MM-DD',
+    [hubDate(-1)]: `${hubDate(-1)} is in the past; today is ${hubDate(0)}`,
+    [hubDate(31)]: 'Bookings open up to 30 days ahead'
+  };
+
+  for (const [date, error] of Object.entries(errors)) {
+    const call = await serviceSlots(tools, { date });
+    assert.deepStrictEqual([call.status, call.error], ['error', error], date);
+  }
+  assert.strictEqual((await serviceSlots(tools, { date: hubDate(30) })).status, 'ok');
+});
+
+test('checkTime takes whole hours in 24-hour time', async () => {
+  const tools = createTools('times');
+
+  assert.strictEqual((await serviceSlots(tools, { date: openDay, time: '9' })).result.time, '09:00');
+  assert.strictEqual((await serviceSlots(tools, { date: openDay, time: '14:00' })).result.available, true);
+  assert.strictEqual((await serviceSlots(tools, { date: openDay, time: '11:30' })).error, 'Slots start on the hour');
+  assert.strictEqual((await serviceSlots(tools, { date: openDay, time: '25:00' })).error, 'time must be HH:MM in 24-hour time');
+});
+
+test('freeSlots follows opening hours and slot capacity', async () => {
+  const tools = createTools('slots');
+  const { result } = await serviceSlots(tools, { date: openDay });
+  assert.deepStrictEqual(result.slots, ['10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00', '17:00', '18:00']);
+  assert.deepStrictEqual((await serviceSlots(tools, { date: sunday })).result.slots, []);
+
+  const booking = { dealerId: 'del-okhla', model: 'RV400', date: openDay, time: '11:00', name: 'Asha', phone: '+91 98765-43210' };
+  const first = await tools.execute('book_test_ride', booking);
+  assert.strictEqual(first.status, 'ok');
+  assert.strictEqual(first.result.booking.phone, '******3210');
+  assert.strictEqual((await tools.execute('book_test_ride', booking)).status, 'ok');
+
+  // Two test rides per slot
+  const full = await tools.execute('book_test_ride', booking);
+  assert.strictEqual(full.status, 'error');
+  assert.match(full.error, /^11:00 on .* is not available at Revolt Hub Okhla\. Free slots: 10:00, 12:00/);
+  assert.strictEqual((await tools.execute('book_test_ride', { ...booking, date: sunday })).error,
+    `Revolt Hub Okhla has no test ride slots on ${sunday} (open 10:00-19:00, Monday to Saturday)`);
+});
@@ -0,0 +1,108 @@
+const { splitSentences } = require('./sentences');
+
+// Caption track rendering. Cues are { start, end } in milliseconds from the
+// start of the recording or session, plus speaker, text and language.
+
+const SPEAKER_LABELS = {
+  user: 'User',
+  ai: 'AI',
+};
+
+const MIN_CUE_MS = 1000;
+const MS_PER_CHAR = 60;
+
+// Rough speaking time for text that has no measured audio
+const estimateSpeechMs = (text) => Math.max(MIN_CUE_MS, (text || '').length * MS_PER_CHAR);
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const formatTimestamp = (ms, separator = '.') => {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+};
+
+const escapeVtt = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const toWebVtt = (cues) => {
+  const blocks = cues.map((cue, index) => {
+    const speaker = SPEAKER_LABELS[cue.speaker] || cue.speaker || 'Speaker';
+    let text = escapeVtt(cue.text);
+    if (cue.language) text = `<lang ${cue.language}>${text}</lang>`;
+
+    return [
+      String(index + 1),
+      `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}`,
+      `<v ${speaker}>${text}`,
+    ].join('\n');
+  });
+
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+};
+
+const toSrt = (cues) => cues.map((cue, index) => {
+  const speaker = SPEAKER_LABELS[cue.speaker] || cue.speaker || 'Speaker';
+  const label = cue.language ? `${speaker} [${cue.language}]` : speaker;
+
+  return [
+    String(index + 1),
+    `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+    `${label}: ${cue.text}`,
+  ].join('\n');
+}).join('\n\n') + '\n';
+
+// Reconstruct cues from history entries. Each entry is stamped when the
+// response completed; the recorded latency and utterance duration place the
+// user's turn before it, and speaking time is estimated from text length.
+const historyToCues = (history, origin) => {
+  const cues = [];
+
+  for (const entry of history) {
+    const latency = entry.latency || {};
+    const aiText = entry.aiResponse || '';
+    const userEnd = latency.totalMs !== undefined
+      ? entry.timestamp - latency.totalMs
+      : entry.timestamp - estimateSpeechMs(aiText);
+    const userStart = userEnd - (entry.duration || estimateSpeechMs(entry.userInput));
+    const aiStart = userEnd + (latency.firstResponseMs || 0);
+
+    if (entry.userInput) {
+      cues.push({ start: userStart - origin, end: userEnd - origin, speaker: 'user', text: entry.userInput, language: entry.language });
+    }
+    if (aiText) {
+      cues.push({ start: aiStart - origin, end: aiStart + estimateSpeechMs(aiText) - origin, speaker: 'ai', text: aiText, language: entry.language });
+    }
+  }
+
+  return cues.filter(cue => cue.end > 0).map(cue => ({ ...cue, start: Math.max(0, cue.start) }));
+};
+
+// One cue per sentence, sharing the parent cue's time in proportion to length
+const splitCuesBySentence = (cues) => cues.flatMap((cue) => {
+  const sentences = splitSentences(cue.text, { minLength: 1 });
+  if (sentences.length < 2) return [cue];
+
+  const totalChars = sentences.reduce((sum, sentence) => sum + sentence.length, 0);
+  let start = cue.start;
+  return sentences.map((sentence) => {
+    const end = start + (cue.end - cue.start) * (sentence.length / totalChars);
+    const sentenceCue = { ...cue, start: Math.round(start), end: Math.round(end), text: sentence };
+    start = end;
+    return sentenceCue;
+  });
+});
+
+module.exports = {
+  toWebVtt,
+  toSrt,
+  historyToCues,
+  splitCuesBySentence,
+  estimateSpeechMs,
+  formatTimestamp,
+  SPEAKER_LABELS,
+};
@@ -0,0 +1,4 @@
+// Error carrying the HTTP status routes and socket handlers should report
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+module.exports = { httpError };
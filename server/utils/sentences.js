@@ -0,0 +1,57 @@
+// Incremental sentence splitting for streamed model output. Text arrives in
+// arbitrary deltas, so a terminator only counts once whitespace follows it
+// ("3.5 kW" stays whole); very short fragments are held back and joined to
+// the next sentence, and run-ons are cut at a word boundary so speech can
+// start before the model reaches a full stop.
+
+const BOUNDARY = /[.!?।]+["'”’)\]]*\s+/g;
+
+class SentenceSplitter {
+  constructor(options = {}) {
+    this.minLength = options.minLength || 12;
+    this.maxLength = options.maxLength || 240;
+    this.buffer = '';
+  }
+
+  // Returns the sentences completed by this delta
+  push(text) {
+    this.buffer += text || '';
+    const sentences = [];
+    const boundary = new RegExp(BOUNDARY.source, 'g');
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(this.buffer)) !== null) {
+      const end = match.index + match[0].length;
+      const sentence = this.buffer.slice(start, end).trim();
+      if (sentence.length >= this.minLength) {
+        sentences.push(sentence);
+        start = end;
+      }
+    }
+    this.buffer = this.buffer.slice(start);
+
+    while (this.buffer.length > this.maxLength) {
+      const space = this.buffer.lastIndexOf(' ', this.maxLength);
+      const cut = space > 0 ? space : this.maxLength;
+      sentences.push(this.buffer.slice(0, cut).trim());
+      this.buffer = this.buffer.slice(cut);
+    }
+
+    return sentences;
+  }
+
+  // Whatever is left once the stream has ended
+  flush() {
+    const rest = this.buffer.trim();
+    this.buffer = '';
+    return rest ? [rest] : [];
+  }
+}
+
+const splitSentences = (text, options) => {
+  const splitter = new SentenceSplitter(options);
+  return [...splitter.push(text), ...splitter.flush()];
+};
+
+module.exports = { SentenceSplitter, splitSentences };
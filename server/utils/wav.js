@@ -0,0 +1,81 @@
+// Minimal WAV helpers for 16-bit little-endian PCM
+
+const WAV_HEADER_SIZE = 44;
+
+// Header for `dataLength` bytes of samples, for writers that stream the data
+const wavHeader = (dataLength, sampleRate, channels = 1) => {
+  const header = Buffer.alloc(WAV_HEADER_SIZE);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+};
+
+const pcmToWav = (pcm, sampleRate, channels = 1) => (
+  Buffer.concat([wavHeader(pcm.length, sampleRate, channels), pcm])
+);
+
+// Locate the fmt and data chunks instead of assuming a 44-byte header, since
+// encoders are free to add LIST/fact chunks before the samples
+const parseWav = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let offset = 12;
+  let format = null;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    } else if (id === 'data') {
+      return { ...format, pcm: buffer.subarray(body, Math.min(body + size, buffer.length)) };
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  return null;
+};
+
+// Linear-interpolation resampler for mono 16-bit PCM (e.g. 24 kHz model
+// output onto the 16 kHz pipeline rate)
+const resamplePcm = (pcm, fromRate, toRate) => {
+  if (fromRate === toRate) return pcm;
+
+  const inputSamples = Math.floor(pcm.length / 2);
+  const outputSamples = Math.floor(inputSamples * toRate / fromRate);
+  const output = Buffer.alloc(outputSamples * 2);
+  const ratio = fromRate / toRate;
+
+  for (let i = 0; i < outputSamples; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, inputSamples - 1);
+    const fraction = position - index;
+    const sample = pcm.readInt16LE(index * 2) * (1 - fraction) + pcm.readInt16LE(next * 2) * fraction;
+    output.writeInt16LE(Math.round(sample), i * 2);
+  }
+
+  return output;
+};
+
+module.exports = { wavHeader, pcmToWav, parseWav, resamplePcm, WAV_HEADER_SIZE };